@@ -22,6 +22,18 @@ export const defaultConfig = {
     elementWait: 10000, // 10 seconds
     navigation: 30000
   },
+  // Device profiles each URL is tested on: Puppeteer device names ("iPhone 13", "Pixel 5",
+  // "iPad Mini"), "desktop", or { name, viewport, userAgent } objects. Empty = defaultViewport only.
+  devices: [],
+  overlays: {
+    // Cookie and consent banners. An add to cart button covered by one of these is a warning, not a failure.
+    selectors: [
+      '#onetrust-banner-sdk', '#onetrust-consent-sdk', '#CybotCookiebotDialog', '#usercentrics-root',
+      '.cc-window', '#cookie-banner', '#shopify-pc__banner', '[id*="cookie-consent"]', '[class*="cookie-consent"]',
+      '[id*="cookie-banner"]', '[class*="cookie-banner"]', '[aria-label*="cookie" i]', '[aria-label*="consent" i]'
+    ]
+  },
+  concurrency: 1, // Product pages tested in parallel (one browser, one tab each)
   retry: {
     attempts: 3,
     delay: 2000 // 2 seconds between retries
@@ -31,6 +43,239 @@ export const defaultConfig = {
     warning: 5, // Allow up to 5 warnings
     network: 2 // Allow up to 2 network failures (non-critical)
   },
+  knownIssues: {
+    file: null, // JSON/YAML file of extra rules, appended to the rules below
+    // Suppress console errors, network failures and image failures from expected sources.
+    // A rule matches on message (regex) and/or url ("*" wildcards, or "/regex/"); all given patterns must match.
+    rules: [
+      {
+        id: 'third-party-tracking',
+        description: 'Analytics and advertising scripts outside the store\'s control',
+        url: '/^https?:\\/\\/([\\w-]+\\.)*(google-analytics\\.com|googletagmanager\\.com|doubleclick\\.net|facebook\\.net|facebook\\.com\\/tr|bat\\.bing\\.com|analytics\\.tiktok\\.com|static\\.hotjar\\.com)/i'
+      }
+    ]
+  },
+  accessibility: {
+    enabled: true,
+    // Finding severities that fail the page (critical, serious, moderate, minor); the rest are warnings
+    failOn: ['critical'],
+    disabledRules: [] // Rule ids to skip, e.g. ['heading-order', 'landmark-banner']
+  },
+  price: {
+    defaultCurrency: 'USD', // Assumed for "$" and for prices shown without a currency
+    // Struck-through prices inside the price element are read as the compare-at price
+    compareAtSelectors: ['s', 'del', 'strike', '[class*="compare"]', '[class*="was-price"]', '.price--non-sale'],
+    // Price elements inside these containers (cart drawers, recommendations) are ignored
+    excludeContainers: [
+      'cart-drawer', '[class*="cart-drawer"]', '[class*="mini-cart"]', '[class*="cart__footer"]',
+      '[class*="subtotal"]', '[class*="totals"]', '.product-recommendations', '[class*="related-products"]'
+    ]
+  },
+  expect: {
+    file: null, // JSON or CSV fixture of expected product data (--expect)
+    priceTolerance: 0.01,
+    failOnMissing: false, // Fail pages with no matching fixture entry instead of warning
+    skuSelectors: ['[itemprop="sku"]', '[data-sku]', '.product-sku', '.productView-info-value--sku', '.sku'],
+    // imageCount only counts product images outside these containers (recommendations, cart drawers, header, footer)
+    imageExcludeContainers: [
+      'header', 'footer', 'cart-drawer', '[class*="cart-drawer"]', '[class*="mini-cart"]', '.product-recommendations',
+      'product-recommendations', '[class*="related-products"]', '[class*="recently-viewed"]', '[class*="upsell"]', '[class*="cross-sell"]'
+    ]
+  },
+  platformApi: {
+    enabled: false, // Opt in with --platform-api; each page then makes extra storefront API requests
+    shopifyFormats: ['js', 'json'], // Tried in order; .js includes stock, .json does not
+    bigcommerceToken: null, // Storefront API token; read from the page when not set
+    bigcommerceGraphqlPath: '/graphql',
+    apiOrigin: null, // Send API requests here instead of the page origin, e.g. a local mock server
+    priceTolerance: 0.01,
+    imageSeverity: 'warning', // API images missing from the page: 'error' or 'warning'
+    timeout: 10000
+  },
+  structuredData: {
+    enabled: true,
+    // Missing required fields fail the page, missing recommended fields are warnings
+    requiredFields: ['name', 'price', 'priceCurrency', 'availability'],
+    recommendedFields: ['image', 'sku/gtin'],
+    priceTolerance: 0.01 // Allowed difference between markup and displayed price
+  },
+  seo: {
+    enabled: true,
+    // Severity per check: 'error' fails the page, 'warning' only reports it, 'off' skips it
+    checks: {
+      canonical: 'error',
+      openGraph: 'warning',
+      twitterCard: 'warning',
+      hreflang: 'warning',
+      robots: 'error',
+      duplicateH1: 'warning',
+      titleLength: 'warning',
+      descriptionLength: 'warning'
+    },
+    titleLength: { min: 10, max: 60 },
+    descriptionLength: { min: 50, max: 160 },
+    hreflangTimeout: 5000, // Per alternate URL request
+    hreflangConcurrency: 6 // Alternate URLs requested in parallel
+  },
+  performance: {
+    budgetSeverity: 'error', // 'error' fails the page on a budget violation; 'warning' only reports it
+    // Budgets per metric (ms unless noted); set a metric to null to skip it
+    budgets: {
+      lcp: 2500,
+      cls: 0.1, // unitless
+      inp: null, // Not measured: metrics are read right after load, before any interaction
+      tbt: 300,
+      fcp: 1800,
+      ttfb: 800,
+      transferSize: 5 * 1024 * 1024, // bytes
+      requestCount: 200
+    },
+    // Overrides per device name, e.g. { "iPhone 13": { "lcp": 4000 } }
+    deviceBudgets: {}
+  },
+  screenshots: {
+    onFailure: true, // Capture screenshots whenever a check fails
+    fullPage: true,
+    dir: null, // Defaults to <output>/screenshots
+    // Areas screenshotted when a failed element itself can't be captured
+    contextSelectors: ['form[action*="/cart/add"]', '.product-single', '.productView', '.product', 'main']
+  },
+  visual: {
+    enabled: false, // Compare full-page screenshots against stored baselines
+    baselineDir: './baselines', // Commit this directory to share baselines
+    threshold: 0.1, // Per-pixel colour difference tolerance (0-1, pixelmatch)
+    maxDiffRatio: 0.01, // Fraction of differing pixels allowed before flagging a regression
+    fullPage: true,
+    // Hidden in both baseline and current screenshots, e.g. rotating banners or countdown timers
+    ignoreSelectors: ['.announcement-bar', '[class*="countdown"]', '[class*="marquee"]', 'iframe']
+  },
+  variants: {
+    matrix: false, // Opt-in (--variant-matrix): select every option combination on each page
+    maxCombinations: 25, // Cap on option combinations selected per product
+    settleDelay: 750, // Time for the theme to update price/image after a selection
+    swatchSelectors: ['[data-option-value]', '.swatch-element', '.swatch__button', '[class*="swatch"] button']
+  },
+  cartFlow: {
+    enabled: false, // Opt-in: actually clicks add-to-cart and empties the cart afterwards
+    timeout: 10000, // Time allowed for the cart to reflect the new item
+    selectors: {
+      shopify: {
+        cartCount: ['.cart-count-bubble', '[data-cart-count]', '.cart-count', '#CartCount'],
+        cartDrawer: ['cart-drawer[open]', '.cart-drawer.active', 'cart-notification.active', '#cart-notification.active', '.drawer--is-open']
+      },
+      bigcommerce: {
+        cartCount: ['.countPill--positive', '.cart-quantity', '[data-cart-quantity]'],
+        cartDrawer: ['#previewModal.open', '.previewCart', '.modal--cart.open']
+      }
+    }
+  },
+  checkout: {
+    enabled: false, // Opt-in: adds a product to the cart and walks checkout up to payment
+    path: '/checkout',
+    stepTimeout: 15000, // Time allowed for each checkout step to render
+    // Order matters: country is chosen before province since province options depend on it
+    testData: {
+      email: 'qa-checkout@example.com',
+      firstName: 'Test',
+      lastName: 'Shopper',
+      address1: '123 Test Street',
+      city: 'New York',
+      country: 'US',
+      province: 'NY',
+      zip: '10001',
+      phone: '2125550123'
+    },
+    requiredFields: ['email', 'lastName', 'address1', 'city', 'zip'],
+    paymentButtonPattern: 'pay|complete order|place order|submit order|confirm order',
+    selectors: {
+      shopify: {
+        fields: {
+          email: ['#email', 'input[name="email"]', '#checkout_email', 'input[autocomplete="email"]'],
+          firstName: ['input[name="firstName"]', '#checkout_shipping_address_first_name'],
+          lastName: ['input[name="lastName"]', '#checkout_shipping_address_last_name'],
+          address1: ['input[name="address1"]', '#checkout_shipping_address_address1'],
+          city: ['input[name="city"]', '#checkout_shipping_address_city'],
+          country: ['select[name="countryCode"]', '#checkout_shipping_address_country'],
+          province: ['select[name="zone"]', '#checkout_shipping_address_province'],
+          zip: ['input[name="postalCode"]', '#checkout_shipping_address_zip'],
+          phone: ['input[name="phone"]', '#checkout_shipping_address_phone']
+        },
+        contactContinue: [],
+        shippingContinue: ['#continue_button', 'button[type="submit"][data-trekkie-id="continue_to_shipping_method_button"]'],
+        shippingRates: ['#shipping_methods input[type="radio"]', '[data-shipping-method]', '.section--shipping-method .radio-wrapper'],
+        total: ['[data-checkout-payment-due-target]', '.payment-due__price', '[role="rowheader"] + [role="cell"] strong', '.total-line--total .total-line__price']
+      },
+      bigcommerce: {
+        fields: {
+          email: ['#email', 'input[name="email"]'],
+          firstName: ['#firstNameInput'],
+          lastName: ['#lastNameInput'],
+          address1: ['#addressLine1Input'],
+          city: ['#cityInput'],
+          country: ['#countryCodeInput'],
+          province: ['#provinceCodeInput', '#provinceInput'],
+          zip: ['#postCodeInput'],
+          phone: ['#phoneInput']
+        },
+        contactContinue: ['#checkout-customer-continue'],
+        shippingContinue: [],
+        shippingRates: ['.shippingOptions-container .form-checklist-item', '[data-test="shipping-option"]'],
+        total: ['[data-test="cart-total"] .cart-priceItem-value', '.cart-total .cart-priceItem-value']
+      }
+    }
+  },
+  crawler: {
+    maxDepth: 2, // Collection pages followed from the base URL
+    maxProducts: 50, // Stop discovery after this many product URLs
+    sameOrigin: true, // Ignore URLs on other hosts
+    include: [], // Regex patterns a product URL must match (any)
+    exclude: [], // Regex patterns that drop a product URL
+    sources: ['productsJson', 'sitemap', 'collections'],
+    sitemaps: ['/sitemap.xml', '/sitemap_products_1.xml', '/xmlsitemap.php'],
+    productUrlPatterns: ['/products/[^/?#]+', '/product/[^/?#]+'],
+    linkSelectors: {
+      shopify: {
+        productLinks: ['a[href*="/products/"]'],
+        listingLinks: ['a[href*="/collections/"]']
+      },
+      bigcommerce: {
+        productLinks: ['.card-title a', '.card-figure a', '[data-product-id] a[href]'],
+        listingLinks: ['.navPages-action', '.navList-action', 'a[href*="/categories/"]', '.pagination-link']
+      }
+    }
+  },
+  // Custom check modules, resolved relative to the config file (or the working directory)
+  plugins: [],
+  reporters: ['json', 'html'], // Any of json, html, junit, tap
+  history: {
+    enabled: true, // Record each run in <output>/history.json and write <output>/trend.html
+    maxRuns: 100, // Runs kept in the history
+    trendRuns: 20 // Most recent runs shown in the trend table
+  },
+  notifications: {
+    enabled: true,
+    // Each channel: { type: 'webhook' | 'slack' | 'teams', url, when: 'always' | 'failure' | 'change', name, headers }.
+    // URLs and header values may reference environment variables as ${NAME}.
+    channels: [],
+    reportBaseUrl: null, // Where the output directory is published; the report link is built from it
+    maxItems: 10, // URLs and errors listed per message
+    timeout: 10000
+  },
+  monitor: {
+    cron: null, // Five-field cron schedule for the monitor command; falls back to schedule.cron in bolt.config.json
+    runOnStart: false, // Run once at startup instead of waiting for the first scheduled time
+    healthCheckTimeout: 10000 // How long the browser may take to open a page before it is restarted
+  },
+  failPolicy: {
+    // The run exits with code 1 when any condition is met: any, critical, warnings:<n>, percent:<p>
+    failOn: ['any'],
+    // Result sections that count for the "critical" condition (a crashed page always does)
+    criticalChecks: ['productPage', 'errors', 'cartFlow', 'checkout']
+  },
+  scenarios: {
+    files: [], // YAML/JSON scenario files, resolved like plugins
+    stepTimeout: 10000 // How long a step waits for its target
+  },
   selectors: {
     // Common Shopify selectors
     shopify: {
@@ -88,8 +333,55 @@ export function mergeConfig(userConfig = {}) {
   return {
     browser: { ...defaultConfig.browser, ...userConfig.browser },
     timeouts: { ...defaultConfig.timeouts, ...userConfig.timeouts },
+    devices: userConfig.devices ?? defaultConfig.devices,
+    overlays: { ...defaultConfig.overlays, ...userConfig.overlays },
+    concurrency: userConfig.concurrency ?? defaultConfig.concurrency,
     retry: { ...defaultConfig.retry, ...userConfig.retry },
     errorTolerance: { ...defaultConfig.errorTolerance, ...userConfig.errorTolerance },
+    knownIssues: { ...defaultConfig.knownIssues, ...userConfig.knownIssues },
+    accessibility: { ...defaultConfig.accessibility, ...userConfig.accessibility },
+    price: { ...defaultConfig.price, ...userConfig.price },
+    expect: { ...defaultConfig.expect, ...userConfig.expect },
+    platformApi: { ...defaultConfig.platformApi, ...userConfig.platformApi },
+    structuredData: { ...defaultConfig.structuredData, ...userConfig.structuredData },
+    seo: {
+      ...defaultConfig.seo,
+      ...userConfig.seo,
+      checks: { ...defaultConfig.seo.checks, ...userConfig.seo?.checks },
+      titleLength: { ...defaultConfig.seo.titleLength, ...userConfig.seo?.titleLength },
+      descriptionLength: { ...defaultConfig.seo.descriptionLength, ...userConfig.seo?.descriptionLength }
+    },
+    performance: {
+      ...defaultConfig.performance,
+      ...userConfig.performance,
+      budgets: { ...defaultConfig.performance.budgets, ...userConfig.performance?.budgets }
+    },
+    screenshots: { ...defaultConfig.screenshots, ...userConfig.screenshots },
+    visual: { ...defaultConfig.visual, ...userConfig.visual },
+    variants: { ...defaultConfig.variants, ...userConfig.variants },
+    cartFlow: {
+      ...defaultConfig.cartFlow,
+      ...userConfig.cartFlow,
+      selectors: { ...defaultConfig.cartFlow.selectors, ...userConfig.cartFlow?.selectors }
+    },
+    checkout: {
+      ...defaultConfig.checkout,
+      ...userConfig.checkout,
+      testData: { ...defaultConfig.checkout.testData, ...userConfig.checkout?.testData },
+      selectors: { ...defaultConfig.checkout.selectors, ...userConfig.checkout?.selectors }
+    },
+    crawler: {
+      ...defaultConfig.crawler,
+      ...userConfig.crawler,
+      linkSelectors: { ...defaultConfig.crawler.linkSelectors, ...userConfig.crawler?.linkSelectors }
+    },
+    plugins: userConfig.plugins ?? defaultConfig.plugins,
+    reporters: userConfig.reporters ?? defaultConfig.reporters,
+    history: { ...defaultConfig.history, ...userConfig.history },
+    notifications: { ...defaultConfig.notifications, ...userConfig.notifications },
+    monitor: { ...defaultConfig.monitor, ...userConfig.monitor },
+    failPolicy: { ...defaultConfig.failPolicy, ...userConfig.failPolicy },
+    scenarios: { ...defaultConfig.scenarios, ...userConfig.scenarios },
     selectors: { ...defaultConfig.selectors, ...userConfig.selectors }
   };
 }
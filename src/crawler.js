@@ -0,0 +1,327 @@
+/**
+ * Site Crawler
+ * Discovers product page URLs from a storefront base URL
+ */
+
+import chalk from 'chalk';
+
+export class SiteCrawler {
+  constructor(browser, config, platform = 'auto') {
+    this.browser = browser;
+    this.config = config;
+    this.crawler = config.crawler;
+    this.platform = (platform || 'auto').toLowerCase();
+    this.include = (this.crawler.include || []).map(pattern => new RegExp(pattern));
+    this.exclude = (this.crawler.exclude || []).map(pattern => new RegExp(pattern));
+    this.productUrls = new Set();
+    this.results = {
+      urls: [],
+      sources: {
+        productsJson: 0,
+        sitemap: 0,
+        collections: 0
+      },
+      warnings: []
+    };
+  }
+
+  /**
+   * Discover product URLs starting from the base URL
+   */
+  async discover(baseUrl) {
+    console.log(chalk.blue('\n🕷️  Discovering product pages...'));
+
+    this.origin = new URL(baseUrl).origin;
+    const sources = this.crawler.sources;
+
+    if (sources.includes('productsJson') && this.platform !== 'bigcommerce') {
+      await this.discoverFromProductsJson();
+    }
+
+    if (sources.includes('sitemap') && !this.isFull()) {
+      await this.discoverFromSitemaps();
+    }
+
+    if (sources.includes('collections') && !this.isFull()) {
+      await this.discoverFromCollections(baseUrl);
+    }
+
+    this.results.urls = Array.from(this.productUrls);
+
+    console.log(chalk.gray(`  products.json: ${this.results.sources.productsJson}`));
+    console.log(chalk.gray(`  Sitemaps: ${this.results.sources.sitemap}`));
+    console.log(chalk.gray(`  Collection pages: ${this.results.sources.collections}`));
+    console.log(chalk.gray(`  Discovered ${this.results.urls.length} product URLs`));
+
+    return this.results;
+  }
+
+  /**
+   * Discover products through the Shopify /products.json endpoint
+   */
+  async discoverFromProductsJson() {
+    console.log(chalk.gray('  ✓ Checking /products.json...'));
+
+    const pageSize = 250;
+    const maxPages = Math.ceil(this.crawler.maxProducts / pageSize);
+
+    for (let pageNumber = 1; pageNumber <= maxPages && !this.isFull(); pageNumber++) {
+      const body = await this.fetchText(`${this.origin}/products.json?limit=${pageSize}&page=${pageNumber}`);
+      if (!body) break;
+
+      let products;
+      try {
+        products = JSON.parse(body).products || [];
+      } catch (error) {
+        break;
+      }
+
+      for (const product of products) {
+        if (product.handle && this.addProductUrl(`${this.origin}/products/${product.handle}`)) {
+          this.results.sources.productsJson++;
+        }
+      }
+
+      if (products.length < pageSize) break;
+    }
+  }
+
+  /**
+   * Discover products through sitemap.xml and its child sitemaps
+   */
+  async discoverFromSitemaps() {
+    console.log(chalk.gray('  ✓ Checking sitemaps...'));
+
+    const queue = this.crawler.sitemaps.map(sitemapPath => new URL(sitemapPath, this.origin).href);
+    const visited = new Set();
+
+    while (queue.length > 0 && !this.isFull()) {
+      const sitemapUrl = queue.shift();
+      if (visited.has(sitemapUrl)) continue;
+      visited.add(sitemapUrl);
+
+      const body = await this.fetchText(sitemapUrl);
+      if (!body) continue;
+
+      const locations = this.extractLocations(body);
+
+      if (/<sitemapindex/i.test(body)) {
+        // Only follow child sitemaps that hold products, e.g. sitemap_products_1.xml or xmlsitemap.php?type=products
+        locations
+          .filter(loc => isProductSitemap(loc) && this.isAllowedOrigin(loc))
+          .forEach(loc => queue.push(loc));
+        continue;
+      }
+
+      // Product sitemaps also list products by slug (BigCommerce uses /<slug>/), so their entries are trusted unless
+      // they are the store root (Shopify lists it first) or another section; other sitemaps need product-looking URLs
+      const productSitemap = isProductSitemap(sitemapUrl);
+      for (const loc of locations) {
+        const isProduct = this.isProductUrl(loc) || (productSitemap && !isNonProductPage(loc));
+        if (isProduct && this.addProductUrl(loc)) {
+          this.results.sources.sitemap++;
+        }
+      }
+    }
+  }
+
+  /**
+   * Walk collection/category pages in the browser looking for product links
+   */
+  async discoverFromCollections(baseUrl) {
+    console.log(chalk.gray('  ✓ Walking collection pages...'));
+
+    const page = await this.browser.newPage();
+    const queue = [{ url: this.normalizeUrl(baseUrl, true), depth: 0 }];
+    const visited = new Set();
+
+    try {
+      while (queue.length > 0 && !this.isFull()) {
+        const { url, depth } = queue.shift();
+        if (visited.has(url)) continue;
+        visited.add(url);
+
+        try {
+          await page.goto(url, {
+            waitUntil: 'domcontentloaded',
+            timeout: this.config.timeouts.navigation
+          });
+        } catch (error) {
+          this.results.warnings.push({
+            type: 'warning',
+            url: url,
+            message: 'Could not load listing page: ' + error.message
+          });
+          continue;
+        }
+
+        const links = await this.extractLinks(page);
+
+        for (const link of links.products) {
+          if (this.addProductUrl(link)) {
+            this.results.sources.collections++;
+          }
+        }
+
+        if (depth < this.crawler.maxDepth) {
+          links.listings
+            .map(link => this.normalizeUrl(link, true))
+            .filter(link => link && this.isAllowedOrigin(link) && !visited.has(link))
+            .forEach(link => queue.push({ url: link, depth: depth + 1 }));
+        }
+      }
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Extract product and listing links from the current page
+   */
+  async extractLinks(page) {
+    const selectors = this.getLinkSelectors();
+
+    return await page.evaluate((productSelectors, listingSelectors) => {
+      const collect = (selectorList) => {
+        const hrefs = new Set();
+        selectorList.forEach(selector => {
+          try {
+            document.querySelectorAll(selector).forEach(el => {
+              if (el.href) hrefs.add(el.href);
+            });
+          } catch (e) {
+            // Ignore invalid selectors
+          }
+        });
+        return Array.from(hrefs);
+      };
+
+      return {
+        products: collect(productSelectors),
+        listings: collect(listingSelectors)
+      };
+    }, selectors.productLinks, selectors.listingLinks);
+  }
+
+  /**
+   * Get link selectors for the configured platform (all platforms when auto-detecting)
+   */
+  getLinkSelectors() {
+    const linkSelectors = this.crawler.linkSelectors;
+    const platforms = linkSelectors[this.platform] ? [this.platform] : Object.keys(linkSelectors);
+
+    return {
+      productLinks: platforms.flatMap(platform => linkSelectors[platform].productLinks),
+      listingLinks: platforms.flatMap(platform => linkSelectors[platform].listingLinks)
+    };
+  }
+
+  /**
+   * Add a product URL if it passes origin and pattern filters
+   */
+  addProductUrl(url) {
+    if (this.isFull()) return false;
+
+    const normalized = this.normalizeUrl(url);
+    if (!normalized || this.productUrls.has(normalized)) return false;
+    if (!this.isAllowedOrigin(normalized)) return false;
+    if (this.include.length > 0 && !this.include.some(pattern => pattern.test(normalized))) return false;
+    if (this.exclude.some(pattern => pattern.test(normalized))) return false;
+
+    this.productUrls.add(normalized);
+    return true;
+  }
+
+  /**
+   * Normalize a URL: drop hash (and query for product pages), collapse Shopify
+   * collection-scoped product paths
+   */
+  normalizeUrl(url, keepQuery = false) {
+    try {
+      const parsed = new URL(url, this.origin);
+      parsed.hash = '';
+      if (!keepQuery) parsed.search = '';
+      parsed.pathname = parsed.pathname.replace(/^\/collections\/[^/]+(\/products\/)/, '$1');
+      return parsed.href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check if a URL is on the base origin (when same-origin enforcement is enabled)
+   */
+  isAllowedOrigin(url) {
+    if (!this.crawler.sameOrigin) return true;
+    try {
+      return new URL(url).origin === this.origin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check if a sitemap location looks like a product page
+   */
+  isProductUrl(url) {
+    return this.crawler.productUrlPatterns.some(pattern => new RegExp(pattern).test(url));
+  }
+
+  /**
+   * Check if the max-products limit has been reached
+   */
+  isFull() {
+    return this.productUrls.size >= this.crawler.maxProducts;
+  }
+
+  /**
+   * Extract <loc> values from sitemap XML
+   */
+  extractLocations(xml) {
+    const locations = [];
+    const locPattern = /<loc>\s*(?:<!\[CDATA\[)?\s*(.*?)\s*(?:\]\]>)?\s*<\/loc>/gi;
+    let match;
+    while ((match = locPattern.exec(xml)) !== null) {
+      locations.push(match[1].replace(/&amp;/g, '&'));
+    }
+    return locations;
+  }
+
+  /**
+   * Fetch a URL as text, returning null on any failure
+   */
+  async fetchText(url) {
+    try {
+      const response = await fetch(url, {
+        signal: AbortSignal.timeout(this.config.timeouts.navigation)
+      });
+      if (!response.ok) return null;
+      return await response.text();
+    } catch (error) {
+      this.results.warnings.push({
+        type: 'warning',
+        url: url,
+        message: 'Request failed: ' + error.message
+      });
+      return null;
+    }
+  }
+}
+
+/**
+ * Sitemaps meant for products: Shopify sitemap_products_N.xml, BigCommerce xmlsitemap.php?type=products
+ */
+function isProductSitemap(url) {
+  return /product/i.test(url);
+}
+
+// The store root and sections that never hold a single product
+const NON_PRODUCT_PATHS = /^\/(?:$|(?:collections|categories|brands|pages|blogs|cart|search|account|login)(?:[/.]|$))/i;
+
+function isNonProductPage(url) {
+  try {
+    return NON_PRODUCT_PATHS.test(new URL(url).pathname);
+  } catch (error) {
+    return true;
+  }
+}
@@ -0,0 +1,630 @@
+/**
+ * Dashboard
+ * Local web server for browsing stored runs and reports, with a REST API that starts runs and streams their progress
+ */
+
+import http from 'http';
+import net from 'net';
+import fs from 'fs/promises';
+import path from 'path';
+import { loadHistory, findRun, compareRuns, runStatus } from './history.js';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.tap': 'text/plain; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp'
+};
+
+const PLATFORMS = ['shopify', 'bigcommerce', 'auto'];
+const STATUSES = ['passed', 'failed', 'flaky'];
+const MAX_JOBS = 20; // Finished jobs kept for /api/jobs
+const MAX_BODY = 1024 * 1024;
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * Start the dashboard server
+ * @param {object} options
+ * @param {string} options.outputDir - report output directory holding history.json and the reports
+ * @param {string} options.host - interface to listen on
+ * @param {number} options.port - port to listen on (0 picks a free one)
+ * @param {function} options.startRun - async ({products, url, platform}, hooks) => exit code; hooks are onStart(runs), onResult(result), onSnapshot(run)
+ * @returns {Promise<http.Server>} the listening server
+ */
+export function startDashboard({ outputDir, host, port, startRun }) {
+  const jobs = new Map();
+  let activeJob = null;
+
+  const routes = [
+    ['GET', /^\/$/, async (req, res, url) => {
+      const runs = await loadHistory(outputDir);
+      const filters = parseFilters(url.searchParams);
+      sendHtml(res, 200, runsPage(filterRuns(runs, filters), filters, runs.length, activeJob));
+    }],
+    ['GET', /^\/runs\/([^/]+)$/, async (req, res, url, ref) => {
+      const runs = await loadHistory(outputDir);
+      const run = lookupRun(runs, ref);
+      const index = runs.indexOf(run);
+      sendHtml(res, 200, runPage(run, index > 0 ? compareRuns(runs[index - 1], run) : null));
+    }],
+    ['GET', /^\/urls\/([^/]+)$/, async (req, res, url, key) => {
+      const runs = await loadHistory(outputDir);
+      const entries = runs
+        .map(run => ({ run, result: run.results.find(result => result.key === key) }))
+        .filter(entry => entry.result)
+        .reverse();
+      if (entries.length === 0) throw httpError(404, `No runs tested ${key}`);
+      sendHtml(res, 200, urlPage(key, entries));
+    }],
+    ['GET', /^\/reports\/(.+)$/, async (req, res, url, file) => {
+      await sendFile(res, outputDir, file);
+    }],
+    ['GET', /^\/api\/runs$/, async (req, res, url) => {
+      const runs = filterRuns(await loadHistory(outputDir), parseFilters(url.searchParams));
+      sendJson(res, 200, { runs: runs.map(({ results, ...run }) => ({ ...run, status: runStatus(run) })) });
+    }],
+    ['GET', /^\/api\/runs\/([^/]+)$/, async (req, res, url, ref) => {
+      sendJson(res, 200, lookupRun(await loadHistory(outputDir), ref));
+    }],
+    ['POST', /^\/api\/runs$/, async (req, res) => {
+      // Requiring JSON keeps other web pages from starting runs: a cross-origin JSON POST needs a CORS preflight this server never allows
+      if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+        throw httpError(415, 'Send the run request as application/json');
+      }
+      const request = parseRunRequest(await readJson(req));
+      if (activeJob) throw httpError(409, `Run ${activeJob.id} is still in progress`, { job: jobLinks(activeJob) });
+
+      activeJob = createJob(request);
+      runJob(activeJob).finally(() => {
+        activeJob = null;
+      });
+      sendJson(res, 202, { job: jobState(activeJob), links: jobLinks(activeJob) });
+    }],
+    ['GET', /^\/api\/jobs\/([^/]+)$/, async (req, res, url, id) => {
+      sendJson(res, 200, jobState(lookupJob(id)));
+    }],
+    ['GET', /^\/api\/jobs\/([^/]+)\/events$/, async (req, res, url, id) => {
+      streamJob(req, res, lookupJob(id));
+    }]
+  ];
+
+  function createJob(request) {
+    const job = {
+      id: `job-${Date.now()}`,
+      status: 'running',
+      request: request,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      exitCode: null,
+      runId: null,
+      error: null,
+      events: [],
+      clients: new Set()
+    };
+    jobs.set(job.id, job);
+    [...jobs.keys()].slice(0, -MAX_JOBS).forEach(oldId => jobs.delete(oldId));
+    return job;
+  }
+
+  async function runJob(job) {
+    let total = 0;
+    let completed = 0;
+    emit(job, 'started', { jobId: job.id, request: job.request });
+
+    try {
+      job.exitCode = await startRun(job.request, {
+        onStart: runs => {
+          total = runs.length;
+          emit(job, 'planned', { total, urls: runs.map(run => run.url) });
+        },
+        onResult: result => {
+          completed++;
+          emit(job, 'progress', {
+            completed,
+            total,
+            url: result.url,
+            device: result.device || null,
+            passed: result.overall.passed,
+            flaky: Boolean(result.overall.flaky),
+            error: result.overall.error || null
+          });
+        },
+        onSnapshot: run => {
+          job.runId = run.id;
+        }
+      });
+      job.status = 'completed';
+      emit(job, 'completed', { exitCode: job.exitCode, runId: job.runId, links: job.runId ? { run: `/runs/${job.runId}`, api: `/api/runs/${job.runId}` } : null });
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      emit(job, 'failed', { error: error.message });
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      job.clients.forEach(client => client.end());
+      job.clients.clear();
+    }
+  }
+
+  function lookupJob(id) {
+    const job = jobs.get(id);
+    if (!job) throw httpError(404, `Unknown job "${id}"`);
+    return job;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://dashboard');
+    try {
+      checkHost(req, host);
+
+      const match = routes
+        .map(([method, pattern, handler]) => ({ method, handler, params: url.pathname.match(pattern) }))
+        .filter(route => route.params);
+      if (match.length === 0) throw httpError(404, `Not found: ${url.pathname}`);
+
+      const route = match.find(candidate => candidate.method === req.method);
+      if (!route) throw httpError(405, `${req.method} is not allowed on ${url.pathname}`);
+
+      const params = route.params.slice(1).map(param => {
+        try {
+          return decodeURIComponent(param);
+        } catch (error) {
+          throw httpError(400, `Malformed URL: ${url.pathname}`);
+        }
+      });
+      await route.handler(req, res, url, ...params);
+    } catch (error) {
+      const status = error.status || 500;
+      if (res.headersSent) {
+        res.end();
+      } else if (url.pathname.startsWith('/api/')) {
+        sendJson(res, status, { error: error.message, ...error.details });
+      } else {
+        sendHtml(res, status, layout('Error', `<h1>${status}</h1><p>${escapeHtml(error.message)}</p>`));
+      }
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Refuse requests addressed to another name. A DNS rebinding page reaches the server under the
+ * attacker's domain, so only localhost, IP addresses and the --host name are accepted, in Host and in Origin.
+ */
+function checkHost(req, boundHost) {
+  const allowed = value => {
+    let hostname;
+    try {
+      hostname = new URL(value).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    } catch (error) {
+      return false;
+    }
+    return LOCAL_HOSTS.includes(hostname) || net.isIP(hostname) !== 0 || hostname === String(boundHost).toLowerCase();
+  };
+
+  if (!req.headers.host || !allowed(`http://${req.headers.host}`)) {
+    throw httpError(403, `Host "${req.headers.host || ''}" is not allowed; open the dashboard as localhost, by IP address or by its --host name`);
+  }
+  if (req.headers.origin && !allowed(req.headers.origin)) {
+    throw httpError(403, `Origin "${req.headers.origin}" is not allowed`);
+  }
+}
+
+/**
+ * Server-Sent Events: everything so far, then each new event until the job finishes
+ */
+function streamJob(req, res, job) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  job.events.forEach(event => res.write(formatEvent(event)));
+  if (job.status !== 'running') {
+    res.end();
+    return;
+  }
+  job.clients.add(res);
+  req.on('close', () => job.clients.delete(res));
+}
+
+function emit(job, type, data) {
+  const event = { type, data, time: new Date().toISOString() };
+  job.events.push(event);
+  job.clients.forEach(client => client.write(formatEvent(event)));
+}
+
+function formatEvent(event) {
+  return `event: ${event.type}\ndata: ${JSON.stringify({ ...event.data, time: event.time })}\n\n`;
+}
+
+function jobState(job) {
+  const { events, clients, ...state } = job;
+  const progress = [...events].reverse().find(event => event.type === 'progress');
+  return { ...state, progress: progress ? { completed: progress.data.completed, total: progress.data.total } : null };
+}
+
+function jobLinks(job) {
+  return { self: `/api/jobs/${job.id}`, events: `/api/jobs/${job.id}/events` };
+}
+
+/**
+ * { products: [...] } and/or { url } with optional platform; products may also be a space-separated string
+ */
+function parseRunRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw httpError(400, 'Run request must be a JSON object');
+
+  const products = typeof body.products === 'string'
+    ? body.products.split(/\s+/).filter(Boolean)
+    : (body.products || []);
+  if (!Array.isArray(products)) throw httpError(400, '"products" must be a list of URLs');
+
+  [...products, ...(body.url ? [body.url] : [])].forEach(value => {
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch (error) {
+      throw httpError(400, `"${value}" is not a valid URL`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw httpError(400, `"${value}" is not an http(s) URL`);
+  });
+
+  if (products.length === 0 && !body.url) throw httpError(400, 'Give "products" (product URLs) or "url" (a store to crawl)');
+  if (body.platform && !PLATFORMS.includes(body.platform)) {
+    throw httpError(400, `Unknown platform "${body.platform}" (use ${PLATFORMS.join(', ')})`);
+  }
+
+  return { products: products.length > 0 ? products : null, url: body.url || null, platform: body.platform || null };
+}
+
+async function readJson(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY) throw httpError(413, 'Request body is too large');
+  }
+  try {
+    return JSON.parse(body || '{}');
+  } catch (error) {
+    throw httpError(400, `Invalid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Filters shared by the runs page and /api/runs:
+ *   url     - runs that tested a URL containing this text
+ *   status  - passed, failed or flaky; with url, the status of that URL, otherwise of the run
+ *   from/to - dates (inclusive) or timestamps
+ */
+function parseFilters(query) {
+  const filters = {
+    url: (query.get('url') || '').trim(),
+    status: query.get('status') || '',
+    from: query.get('from') || '',
+    to: query.get('to') || ''
+  };
+  if (filters.status && !STATUSES.includes(filters.status)) {
+    throw httpError(400, `Unknown status "${filters.status}" (use ${STATUSES.join(', ')})`);
+  }
+  ['from', 'to'].forEach(name => {
+    if (filters[name] && Number.isNaN(Date.parse(filters[name]))) throw httpError(400, `"${filters[name]}" is not a date`);
+  });
+  return filters;
+}
+
+function filterRuns(runs, filters) {
+  const from = filters.from ? Date.parse(filters.from) : -Infinity;
+  // A plain date includes the whole day
+  const to = filters.to ? Date.parse(filters.to) + (/^\d{4}-\d{2}-\d{2}$/.test(filters.to) ? 86400000 - 1 : 0) : Infinity;
+  const text = filters.url.toLowerCase();
+
+  return runs
+    .filter(run => {
+      const time = Date.parse(run.timestamp);
+      if (time < from || time > to) return false;
+      if (text) return matchingResults(run, filters).length > 0;
+      if (filters.status === 'flaky') return run.summary.flaky > 0;
+      return !filters.status || runStatus(run) === filters.status;
+    })
+    .reverse();
+}
+
+function matchingResults(run, filters) {
+  const text = filters.url.toLowerCase();
+  return run.results.filter(result =>
+    result.key.toLowerCase().includes(text) && (!filters.status || resultStatus(result) === filters.status));
+}
+
+function resultStatus(result) {
+  if (!result.passed) return 'failed';
+  return result.flaky ? 'flaky' : 'passed';
+}
+
+function lookupRun(runs, ref) {
+  let run;
+  try {
+    run = findRun(runs, ref);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+  if (!run) throw httpError(404, `No run matches "${ref}"`);
+  return run;
+}
+
+/**
+ * Serve a file from the output directory; paths cannot leave it
+ */
+async function sendFile(res, outputDir, file) {
+  const root = path.resolve(outputDir);
+  const target = path.resolve(root, file);
+  if (!target.startsWith(root + path.sep)) throw httpError(404, `Not found: ${file}`);
+
+  let content;
+  try {
+    content = await fs.readFile(target);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') throw httpError(404, `Not found: ${file}`);
+    throw error;
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(target).toLowerCase()] || 'application/octet-stream' });
+  res.end(content);
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(data, null, 2));
+}
+
+function sendHtml(res, status, html) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(html);
+}
+
+function httpError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+function reportHref(run, format = 'html') {
+  const report = run.reports && run.reports[format];
+  return report ? `/reports/${report.split('/').map(encodeURIComponent).join('/')}` : null;
+}
+
+/**
+ * Link to a tested page; only http(s) URLs, so a stored javascript: URL is never rendered as a link
+ */
+function pageHref(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol) ? escapeHtml(url) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function statusBadge(status) {
+  return `<span class="status ${status}">${status.replace('_', ' ').toUpperCase()}</span>`;
+}
+
+/**
+ * Run list with filters and the form that starts a run
+ */
+function runsPage(runs, filters, storedRuns, activeJob) {
+  const option = (value, label) => `<option value="${value}"${filters.status === value ? ' selected' : ''}>${label}</option>`;
+
+  return layout('Runs', `
+        <h1>🛒 Test Runs</h1>
+        <div class="timestamp">${runs.length} of ${storedRuns} stored runs</div>
+        <form class="filters" method="get" action="/">
+            <input type="search" name="url" placeholder="URL contains..." value="${escapeHtml(filters.url)}">
+            <select name="status">${option('', 'Any status')}${STATUSES.map(status => option(status, status)).join('')}</select>
+            <label>From <input type="date" name="from" value="${escapeHtml(filters.from)}"></label>
+            <label>To <input type="date" name="to" value="${escapeHtml(filters.to)}"></label>
+            <button type="submit">Filter</button>
+            <a href="/">Clear</a>
+        </form>
+        ${runs.length === 0 ? '<p class="empty">No runs match.</p>' : `
+        <table>
+            <thead>
+                <tr><th>Run</th><th>Status</th><th>URLs</th><th>Passed</th><th>Failed</th><th>Flaky</th>${filters.url ? '<th>Matching URLs</th>' : ''}<th>Report</th></tr>
+            </thead>
+            <tbody>
+                ${runs.map(run => `
+                <tr>
+                    <td><a href="/runs/${encodeURIComponent(run.id)}">${escapeHtml(new Date(run.timestamp).toLocaleString())}</a><div class="muted">${escapeHtml(run.id)}</div></td>
+                    <td>${statusBadge(runStatus(run))}</td>
+                    <td>${run.summary.total}</td>
+                    <td>${run.summary.passed}</td>
+                    <td>${run.summary.failed}</td>
+                    <td>${run.summary.flaky}</td>
+                    ${filters.url ? `<td class="url">${matchingResults(run, filters).map(result => `<div>${statusBadge(resultStatus(result))} <a href="/urls/${encodeURIComponent(result.key)}">${escapeHtml(result.key)}</a></div>`).join('')}</td>` : ''}
+                    <td>${reportHref(run) ? `<a href="${reportHref(run)}">HTML</a>` : ''} ${reportHref(run, 'json') ? `<a href="${reportHref(run, 'json')}">JSON</a>` : ''}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`}
+        <h2>Start a run</h2>
+        <form id="run-form" class="run-form">
+            <textarea name="products" rows="3" placeholder="Product URLs, one per line"></textarea>
+            <input type="url" name="url" placeholder="...or a store URL to crawl">
+            <select name="platform"><option value="">Default platform</option>${PLATFORMS.map(platform => `<option value="${platform}">${platform}</option>`).join('')}</select>
+            <button type="submit"${activeJob ? ' disabled' : ''}>Run tests</button>
+        </form>
+        <pre id="run-log" class="run-log">${activeJob ? `Run ${escapeHtml(activeJob.id)} is in progress` : ''}</pre>
+        <script>
+            const form = document.getElementById('run-form');
+            const log = document.getElementById('run-log');
+            const write = line => { log.textContent += line + '\\n'; };
+            form.addEventListener('submit', async event => {
+                event.preventDefault();
+                log.textContent = '';
+                const request = { products: form.products.value, url: form.url.value || undefined, platform: form.platform.value || undefined };
+                const response = await fetch('/api/runs', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(request) });
+                const data = await response.json();
+                if (!response.ok) return write('Error: ' + data.error);
+                form.querySelector('button').disabled = true;
+                const events = new EventSource(data.links.events);
+                events.addEventListener('started', () => write('Run ' + data.job.id + ' started'));
+                events.addEventListener('planned', message => write('Testing ' + JSON.parse(message.data).total + ' URLs'));
+                events.addEventListener('progress', message => {
+                    const progress = JSON.parse(message.data);
+                    write('[' + progress.completed + '/' + progress.total + '] ' + (progress.passed ? (progress.flaky ? 'FLAKY ' : 'PASS ') : 'FAIL ') + progress.url + (progress.device ? ' [' + progress.device + ']' : ''));
+                });
+                events.addEventListener('completed', message => {
+                    const result = JSON.parse(message.data);
+                    events.close();
+                    write('Finished with exit code ' + result.exitCode);
+                    if (result.links) window.location.href = result.links.run;
+                });
+                events.addEventListener('failed', message => {
+                    events.close();
+                    write('Error: ' + JSON.parse(message.data).error);
+                    form.querySelector('button').disabled = false;
+                });
+            });
+        </script>`);
+}
+
+/**
+ * One run: summary, fail-on reasons and every URL with its change since the previous run
+ */
+function runPage(run, comparison) {
+  const changes = new Map(comparison ? comparison.urls.map(url => [url.key, url.status]) : []);
+
+  return layout(`Run ${run.id}`, `
+        <h1>${runStatus(run) === 'failed' ? '❌' : '✅'} Run ${escapeHtml(run.id)}</h1>
+        <div class="timestamp">${escapeHtml(new Date(run.timestamp).toLocaleString())}
+            ${reportHref(run) ? ` · <a href="${reportHref(run)}">HTML report</a>` : ''}
+            ${reportHref(run, 'json') ? ` · <a href="${reportHref(run, 'json')}">JSON report</a>` : ''}
+            · <a href="/api/runs/${encodeURIComponent(run.id)}">API</a></div>
+        <div class="summary">
+            <div class="summary-card"><h3>URLs</h3><div class="value">${run.summary.total}</div></div>
+            <div class="summary-card passed"><h3>Passed</h3><div class="value">${run.summary.passed}</div></div>
+            <div class="summary-card failed"><h3>Failed</h3><div class="value">${run.summary.failed}</div></div>
+            <div class="summary-card"><h3>Flaky</h3><div class="value">${run.summary.flaky}</div></div>
+        </div>
+        ${(run.reasons || []).length > 0 ? `<ul class="reasons">${run.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>` : ''}
+        <table>
+            <thead>
+                <tr><th>URL</th><th>Status</th>${comparison ? '<th>Since previous run</th>' : ''}<th>Failed checks</th><th>Issues</th></tr>
+            </thead>
+            <tbody>
+                ${run.results.map(result => `
+                <tr>
+                    <td class="url"><a href="/urls/${encodeURIComponent(result.key)}">${escapeHtml(result.key)}</a></td>
+                    <td>${statusBadge(resultStatus(result))}</td>
+                    ${comparison ? `<td>${statusBadge(changes.get(result.key) || 'added')}</td>` : ''}
+                    <td>${escapeHtml(result.failedChecks.join(', '))}</td>
+                    <td>${issuesHTML(result.issues)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`);
+}
+
+/**
+ * History of one URL (and device) across the stored runs, newest first
+ */
+function urlPage(key, entries) {
+  return layout(key, `
+        <h1>🔗 ${escapeHtml(key)}</h1>
+        <div class="timestamp">Tested in ${entries.length} stored runs${pageHref(entries[0].result.url) ? ` · <a href="${pageHref(entries[0].result.url)}">Open page</a>` : ''}</div>
+        <table>
+            <thead>
+                <tr><th>Run</th><th>Status</th><th>Failed checks</th><th>Issues</th><th>LCP</th><th>Failed images</th><th>Report</th></tr>
+            </thead>
+            <tbody>
+                ${entries.map(({ run, result }) => `
+                <tr>
+                    <td><a href="/runs/${encodeURIComponent(run.id)}">${escapeHtml(new Date(run.timestamp).toLocaleString())}</a></td>
+                    <td>${statusBadge(resultStatus(result))}</td>
+                    <td>${escapeHtml(result.failedChecks.join(', '))}</td>
+                    <td>${issuesHTML(result.issues)}</td>
+                    <td>${result.performance && typeof result.performance.lcp === 'number' ? `${Math.round(result.performance.lcp)} ms` : ''}</td>
+                    <td>${result.imageFailures} / ${result.totalImages}</td>
+                    <td>${reportHref(run) ? `<a href="${reportHref(run)}">HTML</a>` : ''}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`);
+}
+
+function issuesHTML(issues) {
+  if (issues.length === 0) return '';
+  return `<details><summary>${issues.length} issue${issues.length === 1 ? '' : 's'}</summary><ul>${issues.map(issue => `<li>${escapeHtml(issue)}</li>`).join('')}</ul></details>`;
+}
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} - Ecommerce Test Dashboard</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; background: #f5f5f5; padding: 20px; line-height: 1.6; }
+        nav { max-width: 1400px; margin: 0 auto 10px; }
+        nav a { color: #3b82f6; text-decoration: none; margin-right: 15px; font-weight: 600; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        h1 { color: #1f2937; margin-bottom: 10px; word-break: break-all; }
+        h2 { color: #1f2937; font-size: 20px; margin: 30px 0 15px; padding-bottom: 8px; border-bottom: 2px solid #3b82f6; }
+        a { color: #3b82f6; }
+        .timestamp, .muted, .empty { color: #6b7280; }
+        .timestamp { margin-bottom: 20px; }
+        .muted { font-size: 12px; }
+        .summary { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 15px; margin-bottom: 20px; }
+        .summary-card { background: #f9fafb; padding: 15px; border-radius: 6px; border-left: 4px solid #3b82f6; }
+        .summary-card.passed { border-left-color: #10b981; }
+        .summary-card.failed { border-left-color: #ef4444; }
+        .summary-card h3 { color: #374151; font-size: 13px; text-transform: uppercase; margin-bottom: 6px; }
+        .summary-card .value { font-size: 28px; font-weight: bold; color: #1f2937; }
+        .reasons { margin: 0 0 20px 20px; color: #991b1b; }
+        .filters, .run-form { display: flex; flex-wrap: wrap; gap: 10px; align-items: center; margin-bottom: 20px; }
+        .filters input, .filters select, .run-form input, .run-form select, .run-form textarea { padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 4px; font: inherit; }
+        .run-form textarea { flex: 1 1 100%; }
+        .run-form input { flex: 1; }
+        button { padding: 6px 14px; border: none; border-radius: 4px; background: #3b82f6; color: white; font: inherit; cursor: pointer; }
+        button:disabled { background: #9ca3af; cursor: default; }
+        .run-log { background: #f9fafb; padding: 10px; border-radius: 4px; font-size: 12px; white-space: pre-wrap; min-height: 2em; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid #e5e7eb; text-align: left; vertical-align: top; }
+        th { background: #f9fafb; color: #374151; white-space: nowrap; }
+        .url { max-width: 480px; word-break: break-all; }
+        details ul { margin-left: 18px; }
+        .status { padding: 2px 8px; border-radius: 4px; font-weight: 600; font-size: 12px; white-space: nowrap; }
+        .status.failed, .status.newly_failing, .status.still_failing { background: #fee2e2; color: #991b1b; }
+        .status.passed, .status.fixed, .status.passing { background: #d1fae5; color: #065f46; }
+        .status.flaky { background: #fef3c7; color: #92400e; }
+        .status.added, .status.removed { background: #e5e7eb; color: #374151; }
+    </style>
+</head>
+<body>
+    <nav><a href="/">Runs</a><a href="/reports/trend.html">Trend</a></nav>
+    <div class="container">
+        ${body}
+    </div>
+</body>
+</html>`;
+}
+
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
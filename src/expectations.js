@@ -0,0 +1,177 @@
+/**
+ * Expected product data
+ * Loads a JSON or CSV fixture of what each product should look like, keyed by URL or SKU
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseAmount } from './priceParser.js';
+
+// Accepted column/property spellings for each field
+const FIELD_ALIASES = {
+  url: ['url', 'producturl', 'link'],
+  sku: ['sku', 'productsku'],
+  title: ['title', 'name', 'producttitle'],
+  price: ['price', 'amount'],
+  currency: ['currency', 'pricecurrency'],
+  availability: ['availability', 'available', 'instock'],
+  variantCount: ['variantcount', 'variants'],
+  imageCount: ['imagecount', 'images']
+};
+
+/**
+ * Load an expectations file. JSON may be an array of entries or an object keyed by URL/SKU;
+ * CSV needs a header row.
+ * @returns {Promise<Array<object>>} normalised entries
+ */
+export async function loadExpectations(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const isCsv = path.extname(filePath).toLowerCase() === '.csv';
+
+  let rows;
+  if (isCsv) {
+    rows = parseCsv(content);
+  } else {
+    const data = JSON.parse(content);
+    rows = Array.isArray(data)
+      ? data
+      : Object.entries(data).map(([key, entry]) => ({
+        ...(/^https?:\/\//i.test(key) ? { url: key } : { sku: key }),
+        ...entry
+      }));
+  }
+
+  const entries = rows.map((row, index) => {
+    try {
+      return normalizeEntry(row);
+    } catch (error) {
+      throw new Error(`Expectation ${index + 1} in ${filePath}: ${error.message}`);
+    }
+  });
+  const unkeyed = entries.findIndex(entry => !entry.url && !entry.sku);
+  if (unkeyed !== -1) {
+    throw new Error(`Expectation ${unkeyed + 1} in ${filePath} has neither a url nor a sku`);
+  }
+  return entries;
+}
+
+/**
+ * Find the expectation for a page, by URL first and then by SKU
+ * @returns {{entry: object, matchedBy: string}|null}
+ */
+export function findExpectation(entries, url, sku = null) {
+  const key = urlKey(url);
+  const byUrl = entries.find(entry => entry.url && urlKey(entry.url) === key);
+  if (byUrl) return { entry: byUrl, matchedBy: 'url' };
+
+  if (sku) {
+    const bySku = entries.find(entry => entry.sku && entry.sku.toLowerCase() === String(sku).trim().toLowerCase());
+    if (bySku) return { entry: bySku, matchedBy: 'sku' };
+  }
+
+  return null;
+}
+
+/**
+ * Map aliased keys onto canonical field names and coerce values; throws on values that cannot be compared
+ */
+function normalizeEntry(row) {
+  const entry = {};
+  Object.entries(row).forEach(([key, value]) => {
+    const normalizedKey = key.toLowerCase().replace(/[\s_-]/g, '');
+    const field = Object.keys(FIELD_ALIASES).find(name => FIELD_ALIASES[name].includes(normalizedKey));
+    if (!field || value === null || value === undefined || value === '') return;
+    entry[field] = value;
+  });
+
+  if (entry.url) entry.url = String(entry.url).trim();
+  if (entry.sku) entry.sku = String(entry.sku).trim();
+  if (entry.title) entry.title = String(entry.title).trim();
+  if (entry.currency) entry.currency = String(entry.currency).trim().toUpperCase();
+  if (entry.price !== undefined) {
+    const number = typeof entry.price === 'number' ? null : String(entry.price).match(/-?\d[\d.,'\s]*/);
+    const amount = typeof entry.price === 'number' ? entry.price : (number ? parseAmount(number[0].trim()) : NaN);
+    if (!Number.isFinite(amount)) throw new Error(`price ${JSON.stringify(entry.price)} is not a number`);
+    entry.price = amount;
+  }
+  if (entry.variantCount !== undefined) entry.variantCount = parseCount(entry.variantCount, 'variantCount');
+  if (entry.imageCount !== undefined) entry.imageCount = parseCount(entry.imageCount, 'imageCount');
+  if (entry.availability !== undefined) entry.availability = normalizeAvailability(entry.availability);
+
+  return entry;
+}
+
+/**
+ * Whole number of variants or images, e.g. 4 or "4"
+ */
+function parseCount(value, field) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) throw new Error(`${field} ${JSON.stringify(value)} is not a whole number`);
+  return parseInt(text, 10);
+}
+
+/**
+ * "in_stock", "InStock", true, "yes" => 'in_stock'; everything else => 'out_of_stock'
+ */
+function normalizeAvailability(value) {
+  if (typeof value === 'boolean') return value ? 'in_stock' : 'out_of_stock';
+  const text = String(value).toLowerCase().replace(/^https?:\/\/schema\.org\//, '').replace(/[\s_-]/g, '');
+  return ['instock', 'true', 'yes', 'available', '1'].includes(text) ? 'in_stock' : 'out_of_stock';
+}
+
+/**
+ * URL without query, hash or trailing slash, for matching
+ */
+function urlKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+  } catch (error) {
+    return String(url).toLowerCase();
+  }
+}
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+ */
+function parseCsv(content) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+  if (!header) return [];
+  return rows.map(row => Object.fromEntries(header.map((name, i) => [name.trim(), (row[i] || '').trim()])));
+}
@@ -0,0 +1,132 @@
+/**
+ * CI gating
+ * Decides whether a finished run should fail the build, and the process exit codes for each outcome
+ */
+
+export const EXIT_CODES = {
+  PASSED: 0,
+  TEST_FAILURES: 1,
+  USAGE_ERROR: 2, // Bad options, config, fixtures, plugins or scenarios
+  INFRASTRUCTURE_ERROR: 3 // Browser failed to launch or crashed, or the tool itself failed
+};
+
+// Result sections with their own passed flag, in run order; failPolicy.criticalChecks names these
+export const RESULT_SECTIONS = ['productPage', 'images', 'errors', 'performance', 'structuredData', 'seo', 'platformApi', 'accessibility', 'visual', 'custom', 'cartFlow', 'checkout', 'scenarios'];
+
+/**
+ * Check failPolicy.criticalChecks names result sections; a typo would otherwise never match anything
+ * @param {string[]} criticalChecks - e.g. ['productPage', 'cartFlow']
+ */
+export function validateCriticalChecks(criticalChecks) {
+  if (!Array.isArray(criticalChecks)) {
+    throw new Error('failPolicy.criticalChecks must be a list of result sections');
+  }
+  const unknown = criticalChecks.filter(section => !RESULT_SECTIONS.includes(section));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown critical check ${unknown.map(section => `"${section}"`).join(', ')} in failPolicy.criticalChecks (use ${RESULT_SECTIONS.join(', ')})`);
+  }
+}
+
+/**
+ * Parse fail-on conditions: any, critical, warnings:<n>, percent:<p>
+ * @param {string[]} conditions - e.g. ['critical', 'percent:10']
+ * @returns {Array<{type: string, threshold: number|null, source: string}>}
+ */
+export function parseFailOn(conditions) {
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    throw new Error('failOn needs at least one condition (any, critical, warnings:<n>, percent:<p>)');
+  }
+
+  return conditions.map(condition => {
+    const [type, value] = String(condition).trim().toLowerCase().split(':');
+
+    if (type === 'any' || type === 'critical') {
+      if (value !== undefined) throw new Error(`Fail-on condition "${condition}" takes no value`);
+      return { type, threshold: null, source: condition };
+    }
+
+    if (type === 'warnings' || type === 'percent') {
+      const threshold = Number(value);
+      if (value === undefined || value === '' || !Number.isFinite(threshold) || threshold < 0 ||
+        (type === 'percent' && threshold > 100)) {
+        throw new Error(`Fail-on condition "${condition}" needs a ${type === 'percent' ? 'percentage from 0 to 100' : 'warning count'}, e.g. ${type}:10`);
+      }
+      return { type, threshold, source: condition };
+    }
+
+    throw new Error(`Unknown fail-on condition "${condition}" (use any, critical, warnings:<n>, percent:<p>)`);
+  });
+}
+
+/**
+ * Apply the policy to the test results. The run fails when any condition is met.
+ * @param {Array<object>} testResults - results from testProductPage
+ * @param {object} failPolicy - config.failPolicy ({ failOn, criticalChecks })
+ * @returns {{failed: boolean, reasons: string[]}}
+ */
+export function evaluateFailPolicy(testResults, failPolicy) {
+  const conditions = parseFailOn(failPolicy.failOn);
+  const failedResults = testResults.filter(result => !result.overall.passed);
+  const reasons = [];
+
+  conditions.forEach(condition => {
+    switch (condition.type) {
+      case 'any':
+        if (failedResults.length > 0) {
+          reasons.push(`${failedResults.length} of ${testResults.length} URLs failed`);
+        }
+        break;
+
+      case 'critical': {
+        const critical = failedResults.filter(result => hasCriticalFailure(result, failPolicy.criticalChecks));
+        if (critical.length > 0) {
+          reasons.push(`${critical.length} of ${testResults.length} URLs failed critical checks (${failPolicy.criticalChecks.join(', ')})`);
+        }
+        break;
+      }
+
+      case 'warnings': {
+        const warnings = testResults.reduce((total, result) => total + countWarnings(result), 0);
+        if (warnings > condition.threshold) {
+          reasons.push(`${warnings} warnings exceed the threshold of ${condition.threshold}`);
+        }
+        break;
+      }
+
+      case 'percent': {
+        const percent = testResults.length > 0 ? (failedResults.length / testResults.length) * 100 : 0;
+        if (percent > condition.threshold) {
+          reasons.push(`${percent.toFixed(1)}% of URLs failed (threshold ${condition.threshold}%)`);
+        }
+        break;
+      }
+    }
+  });
+
+  return { failed: reasons.length > 0, reasons };
+}
+
+/**
+ * A page that crashed, or whose final attempt failed one of the critical sections
+ */
+function hasCriticalFailure(result, criticalChecks) {
+  if (result.overall.error) return true;
+  return criticalChecks.some(section => result[section] && result[section].passed === false);
+}
+
+/**
+ * Warnings from every section, plus non-critical console errors and network failures
+ */
+function countWarnings(result) {
+  let count = 0;
+
+  Object.values(result).forEach(section => {
+    if (section && Array.isArray(section.warnings)) count += section.warnings.length;
+  });
+
+  const errors = result.errors || {};
+  count += (errors.consoleErrors || []).filter(error => error.severity !== 'critical').length;
+  count += (errors.networkFailures || []).filter(failure => failure.severity !== 'critical').length;
+
+  return count;
+}
@@ -0,0 +1,276 @@
+/**
+ * Run history
+ * Keeps a compact snapshot of every run in <output>/history.json and compares runs with each other
+ */
+
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import path from 'path';
+
+const HISTORY_FILE = 'history.json';
+
+// Performance metrics kept per URL for the trend view
+const TREND_METRICS = ['lcp', 'cls', 'inp', 'tbt', 'fcp', 'ttfb', 'transferSize', 'requestCount'];
+
+// Result sections whose errors are tracked as issues
+const ISSUE_SECTIONS = ['productPage', 'performance', 'structuredData', 'seo', 'platformApi', 'accessibility', 'visual', 'custom', 'cartFlow', 'checkout', 'scenarios'];
+
+/**
+ * Read the stored runs, oldest first
+ * @param {string} outputDir - report output directory
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadHistory(outputDir) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(outputDir, HISTORY_FILE), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content).runs || [];
+  } catch (error) {
+    const parseError = new Error(`Could not parse ${path.join(outputDir, HISTORY_FILE)}: ${error.message}`);
+    parseError.code = 'EHISTORYCORRUPT';
+    throw parseError;
+  }
+}
+
+/**
+ * Compact snapshot of a run, as stored in the history and used for notifications
+ * @param {string} outputDir - report output directory
+ * @param {Array<object>} testResults - results from testProductPage
+ * @param {object} reportPaths - paths returned by Reporter.generateReport
+ * @param {{failed: boolean, reasons: string[]}} verdict - result of evaluateFailPolicy
+ */
+export function createSnapshot(outputDir, testResults, reportPaths, verdict) {
+  const relative = file => file ? path.relative(outputDir, file).split(path.sep).join('/') : null;
+
+  return {
+    id: reportPaths.reportId,
+    timestamp: new Date().toISOString(),
+    status: verdict.failed ? 'failed' : 'passed',
+    reasons: verdict.reasons,
+    reports: { json: relative(reportPaths.json), html: relative(reportPaths.html) },
+    summary: {
+      total: testResults.length,
+      passed: testResults.filter(result => result.overall.passed).length,
+      failed: testResults.filter(result => !result.overall.passed).length,
+      flaky: testResults.filter(result => result.overall.flaky).length
+    },
+    results: testResults.map(snapshotResult)
+  };
+}
+
+/**
+ * Append a run snapshot to the history, dropping the oldest runs beyond maxRuns.
+ * A history file that cannot be parsed is moved aside and a new one started.
+ * @param {string} outputDir - report output directory
+ * @param {object} run - snapshot from createSnapshot
+ * @param {number} maxRuns - runs to keep
+ * @returns {Promise<Array<object>>} the stored runs, oldest first
+ */
+export async function recordRun(outputDir, run, maxRuns = 100) {
+  const file = path.join(outputDir, HISTORY_FILE);
+  let runs;
+  try {
+    runs = await loadHistory(outputDir);
+  } catch (error) {
+    if (error.code !== 'EHISTORYCORRUPT') throw error;
+    const corruptFile = path.join(outputDir, `history.corrupt-${Date.now()}.json`);
+    await fs.rename(file, corruptFile);
+    console.log(chalk.yellow(`  Warning: ${error.message}; moved it to ${corruptFile} and started a new history`));
+    runs = [];
+  }
+  runs.push(run);
+
+  const kept = runs.slice(-Math.max(1, maxRuns));
+  await fs.mkdir(outputDir, { recursive: true });
+
+  // Write a temporary file and rename it over the history, so an interrupted write never leaves half a file
+  const tempFile = `${file}.${process.pid}.tmp`;
+  try {
+    await fs.writeFile(tempFile, JSON.stringify({ version: 1, runs: kept }, null, 2));
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.rm(tempFile, { force: true });
+    throw error;
+  }
+  return kept;
+}
+
+/**
+ * Fail-policy verdict of a run; runs recorded without one failed when any URL failed
+ * @returns {'passed'|'failed'}
+ */
+export function runStatus(run) {
+  return run.status || (run.summary.failed > 0 ? 'failed' : 'passed');
+}
+
+/**
+ * Find a run by reference:
+ *   report-<timestamp>  - a run id
+ *   ~N                  - N runs before the latest (~0 is the latest)
+ *   24h, 7d             - the latest run at least that old
+ *   2024-05-01          - the latest run on or before that day (local time)
+ * @returns {object|null}
+ */
+export function findRun(runs, ref) {
+  if (runs.length === 0) return null;
+  if (ref === undefined || ref === null || ref === 'latest') return runs[runs.length - 1];
+
+  const byId = runs.find(run => run.id === ref || run.id === `report-${ref}`);
+  if (byId) return byId;
+
+  const back = String(ref).match(/^~(\d+)$/);
+  if (back) return runs[runs.length - 1 - parseInt(back[1], 10)] || null;
+
+  let cutoff = null;
+  const age = String(ref).match(/^(\d+)([hd])$/);
+  const day = String(ref).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (age) {
+    cutoff = Date.now() - parseInt(age[1], 10) * (age[2] === 'h' ? 3600000 : 86400000);
+  } else if (day) {
+    // A bare date covers the whole local day, not just UTC midnight
+    cutoff = new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]) + 1).getTime() - 1;
+  } else if (!Number.isNaN(Date.parse(ref))) {
+    cutoff = Date.parse(ref);
+  } else {
+    throw new Error(`Unknown run "${ref}" (use a run id, ~N, an age such as 24h or 7d, or a date)`);
+  }
+
+  const older = runs.filter(run => Date.parse(run.timestamp) <= cutoff);
+  return older.length > 0 ? older[older.length - 1] : null;
+}
+
+/**
+ * Compare two runs URL by URL: status changes, new and resolved issues, image failures and metrics
+ * @param {object} base - the earlier run
+ * @param {object} head - the later run
+ */
+export function compareRuns(base, head) {
+  const baseResults = new Map(base.results.map(result => [result.key, result]));
+  const headResults = new Map(head.results.map(result => [result.key, result]));
+  const keys = [...new Set([...headResults.keys(), ...baseResults.keys()])];
+
+  const urls = keys.map(key => {
+    const before = baseResults.get(key) || null;
+    const after = headResults.get(key) || null;
+    const beforeIssues = new Map((before ? before.issues : []).map(issue => [issueKey(issue), issue]));
+    const afterIssues = new Map((after ? after.issues : []).map(issue => [issueKey(issue), issue]));
+
+    return {
+      key: key,
+      url: (after || before).url,
+      device: (after || before).device,
+      status: changeStatus(before, after),
+      newIssues: [...afterIssues.keys()].filter(issue => !beforeIssues.has(issue)).map(issue => afterIssues.get(issue)),
+      resolvedIssues: [...beforeIssues.keys()].filter(issue => !afterIssues.has(issue)).map(issue => beforeIssues.get(issue)),
+      imageFailures: { base: before ? before.imageFailures : null, head: after ? after.imageFailures : null },
+      performance: compareMetrics(before, after)
+    };
+  });
+
+  const count = status => urls.filter(url => url.status === status).length;
+  return {
+    base: { id: base.id, timestamp: base.timestamp, reports: base.reports },
+    head: { id: head.id, timestamp: head.timestamp, reports: head.reports },
+    summary: {
+      newlyFailing: count('newly_failing'),
+      fixed: count('fixed'),
+      stillFailing: count('still_failing'),
+      passing: count('passing'),
+      added: count('added'),
+      removed: count('removed')
+    },
+    // Regressions first
+    urls: urls.sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status))
+  };
+}
+
+const STATUS_ORDER = ['newly_failing', 'still_failing', 'added', 'fixed', 'removed', 'passing'];
+
+function changeStatus(before, after) {
+  if (!before) return 'added';
+  if (!after) return 'removed';
+  if (before.passed && !after.passed) return 'newly_failing';
+  if (!before.passed && after.passed) return 'fixed';
+  return after.passed ? 'passing' : 'still_failing';
+}
+
+function compareMetrics(before, after) {
+  const metrics = {};
+  TREND_METRICS.forEach(metric => {
+    const baseValue = before && before.performance ? before.performance[metric] : null;
+    const headValue = after && after.performance ? after.performance[metric] : null;
+    if (typeof baseValue !== 'number' && typeof headValue !== 'number') return;
+    metrics[metric] = {
+      base: typeof baseValue === 'number' ? baseValue : null,
+      head: typeof headValue === 'number' ? headValue : null,
+      delta: typeof baseValue === 'number' && typeof headValue === 'number' ? headValue - baseValue : null
+    };
+  });
+  return metrics;
+}
+
+/**
+ * What a later run needs to know about one result
+ */
+function snapshotResult(result) {
+  const images = result.images || {};
+  const metrics = result.performance && result.performance.metrics;
+  return {
+    key: `${result.url}${result.device ? ` [${result.device}]` : ''}`,
+    url: result.url,
+    device: result.device || null,
+    passed: result.overall.passed,
+    flaky: Boolean(result.overall.flaky),
+    failedChecks: result.attempts && result.attempts.length > 0 ? result.attempts[result.attempts.length - 1].failedChecks : [],
+    issues: collectIssues(result),
+    imageFailures: (images.failedImages || []).length,
+    totalImages: images.totalImages || 0,
+    performance: metrics
+      ? Object.fromEntries(TREND_METRICS.filter(metric => typeof metrics[metric] === 'number').map(metric => [metric, metrics[metric]]))
+      : null
+  };
+}
+
+/**
+ * One line per problem on a page: failed checks, critical console and network errors, failed images
+ */
+function collectIssues(result) {
+  const issues = [];
+  if (result.overall.error) issues.push(`crash: ${result.overall.error}`);
+
+  ISSUE_SECTIONS.forEach(section => {
+    ((result[section] && result[section].errors) || []).forEach(error => {
+      issues.push(`${section}: ${error.message}`);
+    });
+  });
+
+  const errors = result.errors || {};
+  (errors.consoleErrors || []).filter(error => error.severity === 'critical').forEach(error => {
+    issues.push(`console: ${error.message}`);
+  });
+  [...(errors.networkFailures || []), ...(errors.resourceFailures || [])].filter(failure => failure.severity === 'critical').forEach(failure => {
+    issues.push(`network: HTTP ${failure.status} ${failure.url}`);
+  });
+
+  ((result.images || {}).failedImages || []).forEach(image => {
+    issues.push(`images: ${image.src} ${image.error || 'failed to load'}`);
+  });
+
+  return [...new Set(issues)];
+}
+
+/**
+ * Issues match across runs when only the numbers in them differ, e.g. measured timings.
+ * Numbers inside URLs are kept, so different failing resources stay different issues.
+ */
+function issueKey(issue) {
+  return issue.split(' ')
+    .map(word => /^(https?:)?\/\//.test(word) ? word : word.replace(/\d+(\.\d+)?/g, '#'))
+    .join(' ');
+}
@@ -0,0 +1,113 @@
+/**
+ * Known issues
+ * Allowlist rules that suppress expected console errors, network failures and image failures
+ */
+
+import fs from 'fs/promises';
+import yaml from 'js-yaml';
+
+export const ISSUE_TYPES = ['console', 'network', 'image'];
+
+/**
+ * Load rules from a JSON or YAML file holding a list of rules or { rules: [...] }
+ * @param {string} file - path to the known-issues file
+ * @returns {Promise<Array<object>>} raw rule definitions
+ */
+export async function loadKnownIssues(file) {
+  const content = await fs.readFile(file, 'utf-8');
+
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+
+  const rules = Array.isArray(data) ? data : (data && data.rules);
+  if (!Array.isArray(rules)) {
+    throw new Error(`${file} must contain a list of rules or { "rules": [...] }`);
+  }
+  return rules;
+}
+
+/**
+ * Validate rules and split them into active and expired ones
+ * @param {Array<object>} rules - raw rule definitions
+ * @param {Date} now - expiry reference time
+ * @returns {{active: Array<object>, expired: Array<object>}}
+ */
+export function compileRules(rules, now = new Date()) {
+  const active = [];
+  const expired = [];
+
+  rules.forEach((rule, index) => {
+    const source = `Known issue ${rule && rule.id ? `"${rule.id}"` : `#${index + 1}`}`;
+    if (!rule || typeof rule !== 'object') throw new Error(`${source} must be an object`);
+    if (!rule.message && !rule.url) throw new Error(`${source} needs a "message" or "url" pattern`);
+
+    const types = rule.types ? [].concat(rule.types) : ISSUE_TYPES;
+    const unknownTypes = types.filter(type => !ISSUE_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+      throw new Error(`${source} has unknown type ${unknownTypes.join(', ')} (use ${ISSUE_TYPES.join(', ')})`);
+    }
+
+    let expires = null;
+    let expiresAt = null;
+    if (rule.expires) {
+      expires = new Date(rule.expires);
+      if (Number.isNaN(expires.getTime())) throw new Error(`${source} has an invalid expiry date "${rule.expires}"`);
+      // A bare date ("2025-03-31", UTC midnight) keeps suppressing until the end of that day, local time
+      expiresAt = expires.getTime() % 86400000 === 0
+        ? new Date(expires.getUTCFullYear(), expires.getUTCMonth(), expires.getUTCDate() + 1)
+        : expires;
+    }
+
+    let message, url;
+    try {
+      message = rule.message ? new RegExp(rule.message, 'i') : null;
+      url = rule.url ? urlPattern(rule.url) : null;
+    } catch (error) {
+      throw new Error(`${source}: ${error.message}`);
+    }
+
+    const compiled = {
+      id: rule.id || `rule-${index + 1}`,
+      description: rule.description || null,
+      ticket: rule.ticket || null,
+      expires: expires ? expires.toISOString().substring(0, 10) : null,
+      types: types,
+      message: message,
+      url: url
+    };
+    (expiresAt && expiresAt <= now ? expired : active).push(compiled);
+  });
+
+  return { active, expired };
+}
+
+/**
+ * The first active rule that matches an issue; every pattern the rule sets has to match
+ * @param {Array<object>} rules - active rules from compileRules
+ * @param {string} type - console, network or image
+ * @param {{message: string, url: string|null}} issue
+ * @returns {object|null} the rule, without its compiled patterns
+ */
+export function matchKnownIssue(rules, type, issue) {
+  const rule = (rules || []).find(candidate =>
+    candidate.types.includes(type) &&
+    (!candidate.message || candidate.message.test(issue.message || '')) &&
+    (!candidate.url || (issue.url && candidate.url.test(issue.url))));
+
+  return rule ? { id: rule.id, description: rule.description, ticket: rule.ticket, expires: rule.expires } : null;
+}
+
+/**
+ * "/regex/" is a regular expression; anything else is a URL with * wildcards
+ */
+function urlPattern(pattern) {
+  const regex = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) return new RegExp(regex[1], regex[2]);
+
+  const escaped = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
@@ -0,0 +1,261 @@
+/**
+ * Accessibility Audit Module
+ * Checks WCAG rules on the product page purchase path
+ */
+
+import chalk from 'chalk';
+
+export class AccessibilityAuditor {
+  constructor(page, config, platform = 'shopify') {
+    this.page = page;
+    this.config = config;
+    this.accessibility = config.accessibility;
+    this.platform = platform.toLowerCase();
+    this.selectors = config.selectors[this.platform] || config.selectors.shopify;
+    this.results = {
+      passed: true,
+      findings: [],
+      summary: { critical: 0, serious: 0, moderate: 0, minor: 0 },
+      errors: [],
+      warnings: []
+    };
+  }
+
+  /**
+   * Run the accessibility audit
+   */
+  async audit() {
+    console.log(chalk.blue('\n♿ Auditing Accessibility...'));
+
+    try {
+      const findings = await this.page.evaluate(auditPage, {
+        price: this.selectors.productPrice,
+        addToCart: this.selectors.addToCart,
+        variant: this.selectors.productVariant,
+        image: this.selectors.productImage
+      });
+
+      const disabledRules = this.accessibility.disabledRules;
+      this.results.findings = findings.filter(finding => !disabledRules.includes(finding.id));
+    } catch (error) {
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'accessibility',
+        message: 'Error running accessibility audit: ' + error.message
+      });
+      return this.results;
+    }
+
+    this.results.findings.forEach(finding => {
+      this.results.summary[finding.severity]++;
+
+      const isError = this.accessibility.failOn.includes(finding.severity);
+      (isError ? this.results.errors : this.results.warnings).push({
+        type: isError ? 'critical' : 'warning',
+        element: `a11y_${finding.id}`,
+        message: `[WCAG ${finding.wcag}] ${finding.message}`
+      });
+    });
+
+    this.results.passed = this.results.errors.length === 0;
+
+    const summary = this.results.summary;
+    console.log(chalk.gray(`  Found ${summary.critical} critical, ${summary.serious} serious, ${summary.moderate} moderate, ${summary.minor} minor issues`));
+
+    return this.results;
+  }
+}
+
+/**
+ * Runs inside the page and returns WCAG findings. Must stay self-contained.
+ */
+function auditPage(selectors) {
+  const findings = [];
+  const add = (id, wcag, severity, target, message) => findings.push({ id, wcag, severity, target, message });
+
+  const firstMatch = selectorList => {
+    for (const selector of selectorList) {
+      try {
+        const el = document.querySelector(selector);
+        if (el) return el;
+      } catch (e) {
+        // Ignore invalid selectors
+      }
+    }
+    return null;
+  };
+  const allMatches = selectorList => {
+    const found = new Set();
+    selectorList.forEach(selector => {
+      try {
+        document.querySelectorAll(selector).forEach(el => found.add(el));
+      } catch (e) {
+        // Ignore invalid selectors
+      }
+    });
+    return Array.from(found);
+  };
+  const isRendered = el => {
+    const rect = el.getBoundingClientRect();
+    const style = window.getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+  const describe = el => {
+    const id = el.id ? `#${el.id}` : '';
+    const name = el.getAttribute('name') ? `[name="${el.getAttribute('name')}"]` : '';
+    return `${el.tagName.toLowerCase()}${id}${name}`;
+  };
+
+  // Accessible name, following the main steps of the accname algorithm
+  const accessibleName = el => {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' ').trim();
+      if (text) return text;
+    }
+    const ariaLabel = el.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) return ariaLabel.trim();
+    if (el.labels && el.labels.length > 0) {
+      const text = Array.from(el.labels).map(label => label.textContent).join(' ').trim();
+      if (text) return text;
+    }
+    if (el.tagName === 'INPUT' && ['submit', 'button'].includes(el.type) && el.value) return el.value.trim();
+    const text = (el.innerText || el.textContent || '').trim();
+    if (text && el.tagName !== 'SELECT') return text;
+    const img = el.querySelector && el.querySelector('img[alt]');
+    if (img && img.alt.trim()) return img.alt.trim();
+    return (el.getAttribute('title') || '').trim();
+  };
+
+  // Contrast ratio of an element's text against its effective background
+  const parseColor = value => {
+    const match = value.match(/rgba?\(([^)]+)\)/);
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  };
+  const luminance = ({ r, g, b }) => {
+    const channel = c => {
+      const v = c / 255;
+      return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  };
+  const backgroundOf = el => {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const style = window.getComputedStyle(node);
+      if (style.backgroundImage && style.backgroundImage !== 'none') return null; // Can't judge images
+      const color = parseColor(style.backgroundColor);
+      if (color && color.a > 0.99) return color;
+    }
+    return { r: 255, g: 255, b: 255, a: 1 };
+  };
+  const checkContrast = (el, label) => {
+    if (!el || !isRendered(el)) return;
+    const style = window.getComputedStyle(el);
+    const fg = parseColor(style.color);
+    const bg = backgroundOf(el);
+    if (!fg || !bg) return;
+
+    const l1 = luminance(fg);
+    const l2 = luminance(bg);
+    const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    const size = parseFloat(style.fontSize);
+    const bold = parseInt(style.fontWeight, 10) >= 700;
+    const isLarge = size >= 24 || (bold && size >= 18.66);
+    const required = isLarge ? 3 : 4.5;
+
+    if (ratio < required) {
+      add('color-contrast', '1.4.3', 'serious', describe(el),
+        `${label} text contrast is ${ratio.toFixed(2)}:1 (needs ${required}:1)`);
+    }
+  };
+
+  const price = firstMatch(selectors.price);
+  const addToCart = firstMatch(selectors.addToCart);
+  const variantControls = allMatches(selectors.variant).filter(isRendered);
+
+  // 1.4.3 Contrast of price and call to action
+  checkContrast(price, 'Price');
+  checkContrast(addToCart, 'Add to cart button');
+
+  // 4.1.2 Accessible names on the add to cart button and variant controls
+  if (addToCart && !accessibleName(addToCart)) {
+    add('button-name', '4.1.2', 'critical', describe(addToCart), 'Add to cart button has no accessible name');
+  }
+  variantControls.forEach(control => {
+    const controls = control.matches('select, input, button') ? [control] : Array.from(control.querySelectorAll('select, input, button'));
+    controls.filter(isRendered).forEach(inner => {
+      if (!accessibleName(inner)) {
+        add('control-name', '4.1.2', 'serious', describe(inner), 'Variant control has no accessible name');
+      }
+    });
+  });
+
+  // 1.3.1 / 3.3.2 Variant selects need an associated label
+  allMatches(selectors.variant)
+    .flatMap(el => (el.tagName === 'SELECT' ? [el] : Array.from(el.querySelectorAll('select'))))
+    .filter(isRendered)
+    .forEach(select => {
+      const labelled = (select.labels && select.labels.length > 0) ||
+        select.getAttribute('aria-label') || select.getAttribute('aria-labelledby');
+      if (!labelled) {
+        add('select-label', '1.3.1', 'serious', describe(select), 'Variant select has no associated <label>');
+      }
+    });
+
+  // 2.1.1 The purchase path must be keyboard focusable
+  [addToCart, ...variantControls.filter(el => el.matches('select, input, button, a'))].filter(Boolean).forEach(el => {
+    if (!isRendered(el) || el.disabled) return;
+    const previous = document.activeElement;
+    el.focus();
+    const focused = document.activeElement === el;
+    if (previous && previous.focus) previous.focus();
+    if (!focused || el.tabIndex < 0) {
+      add('keyboard-focus', '2.1.1', el === addToCart ? 'critical' : 'serious', describe(el),
+        `${el === addToCart ? 'Add to cart button' : 'Variant control'} cannot be reached with the keyboard`);
+    }
+  });
+
+  // 1.3.1 Heading structure
+  const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]')).filter(isRendered);
+  const h1Count = headings.filter(h => h.tagName === 'H1' || h.getAttribute('aria-level') === '1').length;
+  if (h1Count === 0) {
+    add('page-has-heading-one', '1.3.1', 'moderate', 'document', 'Page has no level-one heading');
+  } else if (h1Count > 1) {
+    add('heading-one-unique', '1.3.1', 'minor', 'document', `Page has ${h1Count} level-one headings`);
+  }
+  let previousLevel = 0;
+  headings.forEach(heading => {
+    const level = heading.tagName.startsWith('H') ? parseInt(heading.tagName[1], 10) : parseInt(heading.getAttribute('aria-level') || '2', 10);
+    if (previousLevel && level > previousLevel + 1) {
+      add('heading-order', '1.3.1', 'moderate', describe(heading),
+        `Heading level skips from h${previousLevel} to h${level}: "${heading.textContent.trim().substring(0, 40)}"`);
+    }
+    previousLevel = level;
+  });
+
+  // 1.3.1 Landmarks
+  const mains = document.querySelectorAll('main, [role="main"]');
+  if (mains.length === 0) {
+    add('landmark-main', '1.3.1', 'moderate', 'document', 'Page has no main landmark');
+  } else if (mains.length > 1) {
+    add('landmark-main-unique', '1.3.1', 'minor', 'document', `Page has ${mains.length} main landmarks`);
+  }
+  if (!document.querySelector('header, [role="banner"]')) {
+    add('landmark-banner', '1.3.1', 'minor', 'document', 'Page has no banner (header) landmark');
+  }
+  if (!document.querySelector('footer, [role="contentinfo"]')) {
+    add('landmark-contentinfo', '1.3.1', 'minor', 'document', 'Page has no contentinfo (footer) landmark');
+  }
+
+  // 1.1.1 Product images need alternative text
+  allMatches(selectors.image)
+    .map(el => (el.tagName === 'IMG' ? el : el.querySelector('img')))
+    .filter(img => img && isRendered(img) && !img.hasAttribute('alt'))
+    .forEach(img => {
+      add('image-alt', '1.1.1', 'serious', describe(img), `Product image has no alt attribute: ${(img.currentSrc || img.src).substring(0, 80)}`);
+    });
+
+  return findings;
+}
@@ -0,0 +1,250 @@
+/**
+ * Cart Flow Testing Module
+ * Selects a variant, clicks add-to-cart and verifies the cart actually changed
+ */
+
+import chalk from 'chalk';
+
+export class CartFlowTester {
+  constructor(page, config, platform = 'shopify') {
+    this.page = page;
+    this.config = config;
+    this.platform = platform.toLowerCase();
+    this.selectors = config.selectors[this.platform] || config.selectors.shopify;
+    this.cartSelectors = config.cartFlow.selectors[this.platform] || config.cartFlow.selectors.shopify;
+    this.results = {
+      passed: true,
+      skipped: false,
+      steps: [],
+      errors: [],
+      warnings: [],
+      cartBefore: null,
+      cartAfter: null
+    };
+  }
+
+  /**
+   * Run the add-to-cart flow
+   */
+  async test() {
+    console.log(chalk.blue('\n🛒 Testing Add-to-Cart Flow...'));
+
+    try {
+      await this.runStep('select_variant', () => this.selectAvailableVariant());
+
+      // Without the starting cart state there is nothing to verify the click against
+      this.results.cartBefore = await this.runStep('read_cart', () => this.getCartState());
+
+      const clicked = this.results.cartBefore && await this.runStep('click_add_to_cart', () => this.clickAddToCart());
+      if (clicked) {
+        await this.runStep('verify_cart', () => this.verifyCartChanged());
+      }
+    } finally {
+      await this.runStep('cleanup', () => this.clearCart(), 'warning');
+    }
+
+    this.results.passed = this.results.errors.length === 0;
+
+    return this.results;
+  }
+
+  /**
+   * Run a named step, recording its outcome and duration
+   */
+  async runStep(name, fn, severity = 'critical') {
+    console.log(chalk.gray(`  ✓ ${name.replace(/_/g, ' ')}...`));
+
+    const startTime = Date.now();
+    const step = { name: name, passed: true, duration: 0 };
+
+    try {
+      step.result = await fn();
+      return step.result;
+    } catch (error) {
+      step.passed = false;
+      step.error = error.message;
+      (severity === 'critical' ? this.results.errors : this.results.warnings).push({
+        type: severity,
+        element: `cart_flow_${name}`,
+        message: error.message
+      });
+      return null;
+    } finally {
+      step.duration = Date.now() - startTime;
+      this.results.steps.push(step);
+    }
+  }
+
+  /**
+   * Pick the first available option in each variant select / radio group
+   */
+  async selectAvailableVariant() {
+    const selected = await this.page.evaluate((variantSelectors) => {
+      const choices = [];
+      const selectorList = variantSelectors.join(', ');
+
+      document.querySelectorAll('select').forEach(select => {
+        if (!select.matches(selectorList) && !select.closest(selectorList)) return;
+        const option = Array.from(select.options).find(o => !o.disabled && o.value);
+        if (option && select.value !== option.value) {
+          select.value = option.value;
+          select.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        if (option) choices.push({ name: select.name, value: option.value });
+      });
+
+      const radioGroups = new Set();
+      document.querySelectorAll('input[type="radio"]').forEach(radio => {
+        if (!radio.closest(selectorList) && !radio.closest('form[action*="/cart"]')) return;
+        if (radioGroups.has(radio.name)) return;
+        const group = Array.from(document.querySelectorAll(`input[type="radio"][name="${CSS.escape(radio.name)}"]`));
+        const option = group.find(r => r.checked && !r.disabled) || group.find(r => !r.disabled);
+        if (option) {
+          radioGroups.add(radio.name);
+          if (!option.checked) option.click();
+          choices.push({ name: option.name, value: option.value });
+        }
+      });
+
+      return choices;
+    }, this.selectors.productVariant);
+
+    // Give themes time to react to the variant change (price, availability)
+    if (selected.length > 0) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    return selected;
+  }
+
+  /**
+   * Click the first visible add-to-cart button
+   */
+  async clickAddToCart() {
+    for (const selector of this.selectors.addToCart) {
+      const element = await this.page.$(selector).catch(() => null);
+      if (!element) continue;
+
+      const state = await this.page.evaluate(el => {
+        const rect = el.getBoundingClientRect();
+        return { visible: rect.width > 0 && rect.height > 0, enabled: !el.disabled };
+      }, element);
+
+      if (!state.visible) continue;
+
+      if (!state.enabled) {
+        this.results.skipped = true;
+        this.results.warnings.push({
+          type: 'warning',
+          element: 'cart_flow',
+          message: 'Add to cart button is disabled, cart flow skipped (product may be out of stock)'
+        });
+        return false;
+      }
+
+      await element.click();
+      return { selector: selector };
+    }
+
+    throw new Error('No visible add to cart button to click');
+  }
+
+  /**
+   * Wait until the cart API, cart count badge or cart drawer reflects the new item
+   */
+  async verifyCartChanged() {
+    const before = this.results.cartBefore;
+    const timeout = this.config.cartFlow.timeout;
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < timeout) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      // Non-AJAX themes navigate to /cart on submit, so the page may be mid-navigation
+      const after = await this.getCartState().catch(() => null);
+      if (!after) continue;
+      this.results.cartAfter = after;
+
+      if (after.itemCount !== null && before.itemCount !== null && after.itemCount > before.itemCount) {
+        return { signal: 'cart_api', itemCount: after.itemCount };
+      }
+      if (after.badgeCount !== null && after.badgeCount > (before.badgeCount || 0)) {
+        return { signal: 'cart_badge', badgeCount: after.badgeCount };
+      }
+      if (after.drawerVisible && !before.drawerVisible) {
+        return { signal: 'cart_drawer' };
+      }
+    }
+
+    throw new Error(`Cart did not change within ${timeout}ms after clicking add to cart`);
+  }
+
+  /**
+   * Read the cart item count from the platform API plus badge/drawer state from the page
+   */
+  async getCartState() {
+    return await this.page.evaluate(async (platform, cartSelectors) => {
+      const state = { itemCount: null, badgeCount: null, drawerVisible: false, cartId: null };
+
+      try {
+        if (platform === 'bigcommerce') {
+          const res = await fetch('/api/storefront/carts', { credentials: 'same-origin' });
+          if (res.ok) {
+            const carts = await res.json();
+            const cart = carts[0];
+            state.cartId = cart ? cart.id : null;
+            state.itemCount = cart
+              ? Object.values(cart.lineItems || {}).flat().reduce((sum, item) => sum + (item.quantity || 0), 0)
+              : 0;
+          }
+        } else {
+          const res = await fetch('/cart.js', { credentials: 'same-origin' });
+          if (res.ok) {
+            const cart = await res.json();
+            state.itemCount = cart.item_count;
+          }
+        }
+      } catch (e) {
+        // Cart API unavailable, fall back to page signals
+      }
+
+      for (const selector of cartSelectors.cartCount) {
+        const el = document.querySelector(selector);
+        const match = el && el.textContent.match(/\d+/);
+        if (match) {
+          state.badgeCount = parseInt(match[0], 10);
+          break;
+        }
+      }
+
+      state.drawerVisible = cartSelectors.cartDrawer.some(selector => {
+        const el = document.querySelector(selector);
+        if (!el) return false;
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+      });
+
+      return state;
+    }, this.platform, this.cartSelectors);
+  }
+
+  /**
+   * Empty the cart so test runs don't leave items behind
+   */
+  async clearCart() {
+    return await this.page.evaluate(async (platform) => {
+      if (platform === 'bigcommerce') {
+        const res = await fetch('/api/storefront/carts', { credentials: 'same-origin' });
+        const carts = res.ok ? await res.json() : [];
+        for (const cart of carts) {
+          await fetch(`/api/storefront/carts/${cart.id}`, { method: 'DELETE', credentials: 'same-origin' });
+        }
+        return { cleared: carts.length };
+      }
+
+      const res = await fetch('/cart/clear.js', { method: 'POST', credentials: 'same-origin' });
+      return { cleared: res.ok };
+    }, this.platform);
+  }
+}
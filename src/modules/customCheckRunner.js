@@ -0,0 +1,133 @@
+/**
+ * Custom Check Module
+ * Runs the checks registered by plugins (config.plugins) and collects their results
+ */
+
+import chalk from 'chalk';
+
+export class CustomCheckRunner {
+  constructor(page, config, platform = 'shopify', checks = []) {
+    this.page = page;
+    this.config = config;
+    this.platform = platform;
+    this.checks = checks;
+    this.setupFailures = new Map();
+    this.results = {
+      passed: true,
+      checks: [],
+      errors: [],
+      warnings: []
+    };
+  }
+
+  /**
+   * Run setup hooks. Called before navigation so checks can listen to requests or inject scripts.
+   */
+  async setup(url) {
+    for (const check of this.checks) {
+      if (!check.setup) continue;
+      try {
+        await this.withTimeout(check.setup(this.context(url)), `setup of "${check.name}"`);
+      } catch (error) {
+        this.setupFailures.set(check.name, error);
+      }
+    }
+  }
+
+  /**
+   * Run every check that applies to the platform
+   * @param {string} url - product URL
+   * @param {object} result - the test result so far, so checks can build on built-in findings
+   * @param {string} platform - platform detected after navigation
+   */
+  async run(url, result, platform = this.platform) {
+    console.log(chalk.blue('\n🧩 Running Custom Checks...'));
+    this.platform = platform;
+
+    for (const check of this.checks) {
+      // The platform is only known after navigation, so filtering happens here rather than in setup
+      if (check.platforms && !check.platforms.includes(this.platform)) continue;
+
+      const startTime = Date.now();
+      const checkResult = {
+        name: check.name,
+        title: check.title,
+        severity: check.severity,
+        plugin: check.plugin,
+        passed: true,
+        message: null,
+        details: null,
+        issues: [],
+        duration: 0
+      };
+
+      try {
+        const setupError = this.setupFailures.get(check.name);
+        if (setupError) throw setupError;
+
+        const outcome = await this.withTimeout(check.run({ ...this.context(url), result }), `"${check.name}"`);
+        Object.assign(checkResult, normalizeOutcome(outcome));
+      } catch (error) {
+        checkResult.passed = false;
+        checkResult.message = `Check threw: ${error.message}`;
+        checkResult.issues = [checkResult.message];
+      }
+
+      checkResult.duration = Date.now() - startTime;
+      this.results.checks.push(checkResult);
+
+      if (!checkResult.passed) {
+        const isError = check.severity === 'error';
+        const issues = checkResult.issues.length > 0 ? checkResult.issues : [checkResult.message || 'Check failed'];
+        issues.forEach(message => {
+          (isError ? this.results.errors : this.results.warnings).push({
+            type: isError ? 'critical' : 'warning',
+            element: `custom_${check.name}`,
+            message: `${check.title}: ${message}`
+          });
+        });
+      }
+
+      const status = checkResult.passed ? chalk.green('✓') : (check.severity === 'error' ? chalk.red('✗') : chalk.yellow('!'));
+      console.log(chalk.gray(`  ${status} ${check.title} (${checkResult.duration}ms)${checkResult.message ? ` - ${checkResult.message}` : ''}`));
+    }
+
+    this.results.passed = this.results.errors.length === 0;
+    return this.results;
+  }
+
+  /**
+   * Arguments handed to setup and run hooks
+   */
+  context(url) {
+    return { page: this.page, config: this.config, platform: this.platform, url: url };
+  }
+
+  /**
+   * Fail a hook that runs longer than the page load timeout
+   */
+  withTimeout(promise, label) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timed out after ${this.config.timeouts.pageLoad}ms`)), this.config.timeouts.pageLoad);
+    });
+    return Promise.race([Promise.resolve(promise), timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+/**
+ * Accept true/false, or { passed, message, details, errors }; a check that lists errors has failed
+ */
+function normalizeOutcome(outcome) {
+  if (outcome === undefined || outcome === null || outcome === true) return { passed: true };
+  if (outcome === false) return { passed: false, message: 'Check failed' };
+
+  const issues = Array.isArray(outcome.errors) ? outcome.errors.map(String) : [];
+  const passed = outcome.passed !== undefined ? Boolean(outcome.passed) : issues.length === 0;
+  return {
+    passed: passed,
+    message: outcome.message || null,
+    details: outcome.details || null,
+    issues: issues
+  };
+}
@@ -4,6 +4,7 @@
  */
 
 import chalk from 'chalk';
+import { matchKnownIssue } from '../knownIssues.js';
 
 export class ErrorDetector {
   constructor(page, config) {
@@ -15,10 +16,10 @@ export class ErrorDetector {
       networkFailures: [],
       resourceFailures: [],
       corsErrors: [],
-      performanceWarnings: [],
       securityErrors: [],
       totalErrors: 0,
-      totalWarnings: 0
+      totalWarnings: 0,
+      suppressed: [] // Matched a known-issue rule: { type, message, url, rule }
     };
   }
 
@@ -121,9 +122,6 @@ export class ErrorDetector {
       // Check for security issues
       this.checkSecurityIssues(response);
     });
-
-    // Monitor performance
-    await this.setupPerformanceMonitoring();
   }
 
   /**
@@ -141,10 +139,6 @@ export class ErrorDetector {
     // Additional wait to catch delayed errors
     await new Promise(resolve => setTimeout(resolve, 3000));
 
-
-    // Check performance metrics
-    await this.checkPerformanceMetrics();
-
     // Analyze collected errors
     this.analyzeErrors();
 
@@ -158,22 +152,15 @@ export class ErrorDetector {
    * Analyze and categorize errors
    */
   analyzeErrors() {
-    // Filter out common non-critical errors
-    this.results.consoleErrors = this.results.consoleErrors.filter(error => {
-      const message = error.message.toLowerCase();
-      // Filter out common analytics/advertising errors that don't affect functionality
-      const ignorablePatterns = [
-        'analytics',
-        'google-analytics',
-        'facebook',
-        'advertising',
-        'adblock',
-        'tracking',
-        'pixel'
-      ];
-      
-      return !ignorablePatterns.some(pattern => message.includes(pattern));
-    });
+    // Drop failures covered by a known-issue rule (config.knownIssues)
+    this.results.consoleErrors = this.results.consoleErrors.filter(error =>
+      !this.suppress('console', error.message, this.getErrorUrl(error)));
+    this.results.networkFailures = this.results.networkFailures.filter(failure =>
+      !this.suppress('network', describeFailure(failure), failure.url, failure.severity));
+    this.results.resourceFailures = this.results.resourceFailures.filter(failure =>
+      !this.suppress('network', describeFailure(failure), failure.url, failure.severity));
+    this.results.corsErrors = this.results.corsErrors.filter(failure =>
+      !this.suppress('network', describeFailure(failure), failure.url));
 
     // Categorize console errors by severity
     this.results.consoleErrors = this.results.consoleErrors.map(error => {
@@ -198,6 +185,34 @@ export class ErrorDetector {
     console.log(chalk.gray(`  Network failures: ${this.results.networkFailures.length}`));
     console.log(chalk.gray(`  Resource failures: ${this.results.resourceFailures.length}`));
     console.log(chalk.gray(`  CORS errors: ${this.results.corsErrors.length}`));
+    if (this.results.suppressed.length > 0) {
+      console.log(chalk.gray(`  Suppressed as known issues: ${this.results.suppressed.length}`));
+    }
+  }
+
+  /**
+   * Record an issue matched by a known-issue rule and take it out of the error counts
+   */
+  suppress(type, message, url, severity = 'critical') {
+    const rule = matchKnownIssue(this.config.knownIssues.active, type, { message, url });
+    if (!rule) return false;
+
+    this.results.suppressed.push({ type, message, url: url || null, rule });
+    if (severity === 'warning') {
+      this.results.totalWarnings--;
+    } else {
+      this.results.totalErrors--;
+    }
+    return true;
+  }
+
+  /**
+   * Script URL a console error came from: its reported location, or the first URL in its stack
+   */
+  getErrorUrl(error) {
+    if (error.location && error.location.url) return error.location.url;
+    const match = (error.stack || '').match(/https?:\/\/[^\s)]+/);
+    return match ? match[0].replace(/:\d+:\d+$/, '') : null;
   }
 
   /**
@@ -221,45 +236,6 @@ export class ErrorDetector {
     return true;
   }
 
-  /**
-   * Setup performance monitoring
-   */
-  async setupPerformanceMonitoring() {
-    // Monitor for performance issues after page loads
-    // Note: Puppeteer doesn't have a direct 'load' event, so we'll check after navigation
-    // This will be called from the detect() method after page loads
-  }
-
-  /**
-   * Check performance metrics
-   */
-  async checkPerformanceMetrics() {
-    try {
-      const performanceMetrics = await this.page.evaluate(() => {
-        const perfData = window.performance.timing;
-        const navigation = performance.getEntriesByType('navigation')[0];
-        
-        return {
-          domContentLoaded: perfData.domContentLoadedEventEnd - perfData.navigationStart,
-          loadComplete: perfData.loadEventEnd - perfData.navigationStart,
-          firstPaint: navigation?.paintTiming?.firstPaint || null,
-          firstContentfulPaint: navigation?.paintTiming?.firstContentfulPaint || null
-        };
-      });
-
-      // Warn if page load is slow
-      if (performanceMetrics.loadComplete > 5000) {
-        this.results.performanceWarnings.push({
-          type: 'slow_load',
-          message: `Page load time: ${performanceMetrics.loadComplete}ms`,
-          metrics: performanceMetrics
-        });
-      }
-    } catch (error) {
-      // Ignore performance monitoring errors
-    }
-  }
-
   /**
    * Check for security issues in response
    */
@@ -301,8 +277,12 @@ export class ErrorDetector {
    */
   getErrorLocation(msg) {
     try {
-      // Puppeteer console messages don't have location() method
-      // Extract from message text if available
+      const location = typeof msg.location === 'function' ? msg.location() : null;
+      if (location && location.url) {
+        return { url: location.url, lineNumber: location.lineNumber, columnNumber: location.columnNumber };
+      }
+
+      // Fall back to a location in the message text
       const text = msg.text();
       const match = text.match(/(.+?):(\d+):(\d+)/);
       if (match) {
@@ -347,3 +327,6 @@ export class ErrorDetector {
   }
 }
 
+function describeFailure(failure) {
+  return failure.status ? `HTTP ${failure.status} ${failure.statusText || ''}`.trim() : failure.failure;
+}
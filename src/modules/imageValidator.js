@@ -4,6 +4,7 @@
  */
 
 import chalk from 'chalk';
+import { matchKnownIssue } from '../knownIssues.js';
 
 export class ImageValidator {
   constructor(page, config) {
@@ -15,7 +16,8 @@ export class ImageValidator {
       loadedImages: 0,
       failedImages: [],
       missingAltText: [],
-      images: []
+      images: [],
+      suppressed: [] // Failures that matched a known-issue rule: { type, message, url, rule }
     };
   }
 
@@ -58,9 +60,17 @@ export class ImageValidator {
     // Check lazy-loaded images
     await this.checkLazyLoadedImages();
 
+    // Known issues (config.knownIssues) do not count as failures
+    this.results.failedImages = this.results.failedImages.filter(image => {
+      const message = image.error || `Image failed to load${image.status ? ` (HTTP ${image.status})` : ''}`;
+      const rule = matchKnownIssue(this.config.knownIssues.active, 'image', { message, url: image.src });
+      if (rule) this.results.suppressed.push({ type: 'image', message, url: image.src, rule });
+      return !rule;
+    });
+
     // Determine overall result
     this.results.passed = this.results.failedImages.length === 0;
-    this.results.loadedImages = this.results.totalImages - this.results.failedImages.length;
+    this.results.loadedImages = this.results.totalImages - this.results.failedImages.length - this.results.suppressed.length;
 
     return this.results;
   }
@@ -177,7 +187,8 @@ export class ImageValidator {
     try {
       // Scroll to trigger lazy loading
       const scrollHeight = await this.page.evaluate(() => document.body.scrollHeight);
-      const viewportHeight = this.config.browser.defaultViewport.height;
+      const viewport = this.page.viewport() || this.config.browser.defaultViewport;
+      const viewportHeight = viewport.height;
       
       for (let scroll = 0; scroll < scrollHeight; scroll += viewportHeight) {
         await this.page.evaluate((y) => window.scrollTo(0, y), scroll);
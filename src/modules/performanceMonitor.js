@@ -0,0 +1,201 @@
+/**
+ * Performance Monitoring Module
+ * Collects Core Web Vitals, transfer size and request counts, and checks them against budgets
+ */
+
+import chalk from 'chalk';
+
+const METRIC_LABELS = {
+  lcp: 'Largest Contentful Paint',
+  cls: 'Cumulative Layout Shift',
+  inp: 'Interaction to Next Paint',
+  tbt: 'Total Blocking Time',
+  fcp: 'First Contentful Paint',
+  ttfb: 'Time to First Byte',
+  transferSize: 'Total Transfer Size',
+  requestCount: 'Request Count'
+};
+
+export class PerformanceMonitor {
+  constructor(page, config, device = null) {
+    this.page = page;
+    this.config = config;
+    this.performance = config.performance;
+    this.device = device;
+    this.network = { requestCount: 0, transferSize: 0 };
+    this.results = {
+      passed: true,
+      metrics: {},
+      budgets: this.getBudgets(),
+      violations: [],
+      errors: [],
+      warnings: []
+    };
+  }
+
+  /**
+   * Install Web Vitals observers and network accounting. Must run before navigation.
+   */
+  async setup() {
+    await this.page.evaluateOnNewDocument(installVitalsObservers);
+
+    this.client = await this.page.createCDPSession();
+    await this.client.send('Network.enable');
+    this.client.on('Network.requestWillBeSent', () => {
+      this.network.requestCount++;
+    });
+    this.client.on('Network.loadingFinished', event => {
+      this.network.transferSize += event.encodedDataLength || 0;
+    });
+  }
+
+  /**
+   * Collect metrics from the loaded page and evaluate budgets
+   */
+  async collect() {
+    console.log(chalk.blue('\n⏱️  Collecting Performance Metrics...'));
+
+    try {
+      const vitals = await this.page.evaluate(() => {
+        const vitalsState = window.__ettVitals || { lcp: null, layoutShifts: [], longTasks: [], interactions: [] };
+        const navigation = performance.getEntriesByType('navigation')[0];
+        const fcpEntry = performance.getEntriesByName('first-contentful-paint')[0];
+        const fcp = fcpEntry ? fcpEntry.startTime : null;
+
+        // CLS: largest session window (shifts < 1s apart, window max 5s)
+        let cls = 0;
+        let sessionValue = 0;
+        let sessionStart = 0;
+        let lastShift = 0;
+        vitalsState.layoutShifts.forEach(shift => {
+          if (sessionValue && (shift.startTime - lastShift > 1000 || shift.startTime - sessionStart > 5000)) {
+            sessionValue = 0;
+          }
+          if (!sessionValue) sessionStart = shift.startTime;
+          sessionValue += shift.value;
+          lastShift = shift.startTime;
+          cls = Math.max(cls, sessionValue);
+        });
+
+        // TBT: blocking portion (over 50ms) of long tasks after FCP
+        const tbt = vitalsState.longTasks
+          .filter(task => fcp === null || task.startTime >= fcp)
+          .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+
+        // INP: slowest interaction. Metrics are collected before the tool interacts with the page,
+        // so this is null unless a page script triggered an interaction during load.
+        const inp = vitalsState.interactions.length > 0
+          ? Math.max(...vitalsState.interactions.map(entry => entry.duration))
+          : null;
+
+        return {
+          lcp: vitalsState.lcp,
+          cls: Math.round(cls * 1000) / 1000,
+          inp: inp,
+          tbt: Math.round(tbt),
+          fcp: fcp !== null ? Math.round(fcp) : null,
+          ttfb: navigation ? Math.round(navigation.responseStart) : null,
+          domContentLoaded: navigation ? Math.round(navigation.domContentLoadedEventEnd) : null,
+          load: navigation && navigation.loadEventEnd > 0 ? Math.round(navigation.loadEventEnd) : null
+        };
+      });
+
+      this.results.metrics = {
+        ...vitals,
+        lcp: vitals.lcp !== null ? Math.round(vitals.lcp) : null,
+        transferSize: this.network.transferSize,
+        requestCount: this.network.requestCount
+      };
+    } catch (error) {
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'performance',
+        message: 'Error collecting performance metrics: ' + error.message
+      });
+      return this.results;
+    }
+
+    this.checkBudgets();
+
+    const m = this.results.metrics;
+    console.log(chalk.gray(`  LCP: ${formatValue('lcp', m.lcp)}, CLS: ${formatValue('cls', m.cls)}, TBT: ${formatValue('tbt', m.tbt)}`));
+    console.log(chalk.gray(`  FCP: ${formatValue('fcp', m.fcp)}, TTFB: ${formatValue('ttfb', m.ttfb)}, INP: ${formatValue('inp', m.inp)}`));
+    console.log(chalk.gray(`  Requests: ${m.requestCount}, Transferred: ${formatValue('transferSize', m.transferSize)}`));
+    console.log(chalk.gray(`  Budget violations: ${this.results.violations.length}`));
+
+    return this.results;
+  }
+
+  /**
+   * Budgets for this run: defaults overlaid with the device-specific budget, if any
+   */
+  getBudgets() {
+    const deviceBudgets = (this.device && this.performance.deviceBudgets[this.device]) || {};
+    return { ...this.performance.budgets, ...deviceBudgets };
+  }
+
+  /**
+   * Compare metrics against budgets and record violations
+   */
+  checkBudgets() {
+    const isError = this.performance.budgetSeverity === 'error';
+
+    Object.entries(this.results.budgets).forEach(([metric, budget]) => {
+      const value = this.results.metrics[metric];
+      if (value === null || value === undefined || budget === null || value <= budget) return;
+
+      const violation = { metric: metric, value: value, budget: budget };
+      this.results.violations.push(violation);
+
+      (isError ? this.results.errors : this.results.warnings).push({
+        type: isError ? 'critical' : 'warning',
+        element: `performance_${metric}`,
+        message: `${METRIC_LABELS[metric] || metric} ${formatValue(metric, value)} exceeds budget of ${formatValue(metric, budget)}`
+      });
+    });
+
+    this.results.passed = this.results.errors.length === 0;
+  }
+}
+
+/**
+ * Format a metric value for display
+ */
+export function formatValue(metric, value) {
+  if (value === null || value === undefined) return 'n/a';
+  if (metric === 'cls') return String(value);
+  if (metric === 'requestCount') return String(value);
+  if (metric === 'transferSize') return `${(value / 1024).toFixed(0)} KB`;
+  return `${value}ms`;
+}
+
+/**
+ * Runs in the page before any script: records LCP, layout shifts, long tasks and
+ * interactions into window.__ettVitals. Must stay self-contained.
+ */
+function installVitalsObservers() {
+  const vitalsState = { lcp: null, layoutShifts: [], longTasks: [], interactions: [] };
+  window.__ettVitals = vitalsState;
+
+  const observe = (type, callback, options = {}) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback))
+        .observe({ type, buffered: true, ...options });
+    } catch (e) {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe('largest-contentful-paint', entry => {
+    vitalsState.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+  });
+  observe('layout-shift', entry => {
+    if (!entry.hadRecentInput) vitalsState.layoutShifts.push({ startTime: entry.startTime, value: entry.value });
+  });
+  observe('longtask', entry => {
+    vitalsState.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+  });
+  observe('event', entry => {
+    if (entry.interactionId) vitalsState.interactions.push({ duration: entry.duration });
+  }, { durationThreshold: 16 });
+}
@@ -0,0 +1,382 @@
+/**
+ * Platform API Validation Module
+ * Fetches the product record from the platform's own endpoint (Shopify /products/<handle>.js
+ * or .json, BigCommerce Storefront GraphQL) and compares it with the rendered page
+ */
+
+import chalk from 'chalk';
+
+const BIGCOMMERCE_PRODUCT_QUERY = `
+  query ProductById($productId: Int!) {
+    site {
+      product(entityId: $productId) {
+        name
+        availabilityV2 { status }
+        prices { price { value currencyCode } }
+        images { edges { node { url(width: 1280) } } }
+        variants(first: 250) {
+          edges {
+            node {
+              entityId
+              sku
+              inventory { isInStock }
+              prices { price { value currencyCode } }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+export class PlatformApiValidator {
+  constructor(page, config, platform = 'shopify') {
+    this.page = page;
+    this.config = config;
+    this.platformApi = config.platformApi;
+    this.platform = platform.toLowerCase();
+    this.results = {
+      passed: true,
+      skipped: false,
+      platform: this.platform,
+      source: null,
+      product: null,
+      checks: [],
+      errors: [],
+      warnings: []
+    };
+  }
+
+  /**
+   * Fetch the platform's product record and compare it with the page
+   * @param {object} productPage - results from ProductPageTester
+   * @param {object} images - results from ImageValidator
+   */
+  async validate(productPage = {}, images = {}) {
+    console.log(chalk.blue('\n🔗 Cross-checking Platform API...'));
+
+    try {
+      if (this.platform === 'shopify') {
+        this.results.product = await this.fetchShopifyProduct();
+      } else if (this.platform === 'bigcommerce') {
+        this.results.product = await this.fetchBigCommerceProduct();
+      } else {
+        this.skip(`No storefront API support for platform "${this.platform}"`);
+      }
+    } catch (error) {
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'platform_api',
+        message: 'Error fetching product from platform API: ' + error.message
+      });
+      return this.results;
+    }
+
+    if (!this.results.product) return this.results;
+
+    console.log(chalk.gray(`  Loaded ${this.results.product.variants.length} variants from ${this.results.source}`));
+
+    this.compare(productPage, images);
+
+    this.results.passed = this.results.errors.length === 0;
+    return this.results;
+  }
+
+  /**
+   * Compare title, price, availability, variants and images
+   */
+  compare(productPage, images) {
+    const product = this.results.product;
+    const elements = productPage.elements || {};
+    const selected = this.selectedVariant();
+
+    const record = (field, passed, api, page, message, severity = 'error') => {
+      this.results.checks.push({ field, passed, api, page, message: passed ? 'matches API' : message });
+      if (passed) return;
+      (severity === 'error' ? this.results.errors : this.results.warnings).push({
+        type: severity === 'error' ? 'critical' : 'warning',
+        element: `platform_api_${field}`,
+        message: message
+      });
+    };
+
+    // Title
+    if (elements.title && elements.title.found) {
+      const apiTitle = normalizeText(product.title);
+      const pageTitle = normalizeText(elements.title.text);
+      record('title', apiTitle === pageTitle || apiTitle.includes(pageTitle) || pageTitle.includes(apiTitle),
+        product.title, elements.title.text,
+        `API title "${product.title}" does not match page title "${elements.title.text}"`);
+    }
+
+    // Price of the variant the page shows
+    const price = elements.price || {};
+    if (typeof price.amount === 'number' && selected && selected.price !== null) {
+      record('price', Math.abs(price.amount - selected.price) <= this.platformApi.priceTolerance,
+        selected.price, price.amount,
+        `API price ${selected.price} for "${selected.title}" does not match displayed price ${price.amount}`);
+    }
+
+    // Availability vs add to cart state
+    const addToCart = elements.addToCart || {};
+    if (addToCart.found && selected && selected.available !== null) {
+      const enabled = addToCart.enabled !== false;
+      record('availability', selected.available === enabled,
+        selected.available ? 'available' : 'sold out', enabled ? 'add to cart enabled' : 'add to cart disabled',
+        `API reports "${selected.title}" as ${selected.available ? 'available' : 'sold out'} but add to cart button is ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    this.compareVariantSet(productPage.variants || [], elements.variants, record);
+    this.compareVariants(productPage.variants || [], record);
+    this.compareImages(images, record);
+  }
+
+  /**
+   * Which variants the page offers. Not every option combination is a variant (a missing Size x Colour pair,
+   * one master select), so the API variants are matched against what the variant matrix actually reached:
+   * variant ids when the page reports them, otherwise option values. Only a variant id the API does not know
+   * is an error; variants the page never reached, or a bare count difference, are warnings.
+   */
+  compareVariantSet(pageVariants, pageElements, record) {
+    const apiVariants = this.results.product.variants;
+    const reached = pageVariants.filter(variant => !variant.broken);
+    // With a capped matrix, unreached variants may simply not have been tried
+    const complete = pageElements && pageElements.combinations !== undefined &&
+      pageElements.combinations === pageElements.totalCombinations;
+    const unreachedMessage = unreached =>
+      `${unreached.length} of ${apiVariants.length} API variants were not reached on the page: ${unreached.slice(0, 3).map(variant => `"${variant.title}"`).join(', ')}`;
+
+    const pageIds = new Set(reached.map(variant => variant.variantId).filter(Boolean).map(String));
+    if (pageIds.size > 0) {
+      const apiIds = new Set(apiVariants.map(variant => String(variant.id)));
+      const unknown = [...pageIds].filter(id => !apiIds.has(id));
+      record('variants', unknown.length === 0, apiVariants.length, pageIds.size,
+        `Page selects variant ids the API does not list: ${unknown.slice(0, 5).join(', ')}`);
+
+      const unreached = apiVariants.filter(variant => !pageIds.has(String(variant.id)));
+      if (complete && unreached.length > 0) {
+        record('variants_reached', false, apiVariants.length, apiVariants.length - unreached.length, unreachedMessage(unreached), 'warning');
+      }
+      return;
+    }
+
+    if (reached.length > 0 && apiVariants.every(variant => variant.options && variant.options.length > 0)) {
+      const unreached = apiVariants.filter(variant => !reached.some(pageVariant => sameOptions(pageVariant.options, variant.options)));
+      if (complete) {
+        record('variants', unreached.length === 0, apiVariants.length, apiVariants.length - unreached.length, unreachedMessage(unreached), 'warning');
+      }
+      return;
+    }
+
+    // No matrix data: compare counts; a single default variant has no selector on the page
+    const pageCount = pageElements ? (pageElements.totalCombinations ?? pageElements.count) : 0;
+    if (!(apiVariants.length === 1 && pageCount <= 1)) {
+      record('variants', apiVariants.length === pageCount, apiVariants.length, pageCount,
+        `API has ${apiVariants.length} variants but the page shows ${pageCount} variant options`, 'warning');
+    }
+  }
+
+  /**
+   * Per-variant price and stock, for variants the matrix test identified by id
+   */
+  compareVariants(pageVariants, record) {
+    const byId = new Map(this.results.product.variants.map(variant => [String(variant.id), variant]));
+    const mismatches = [];
+
+    pageVariants.filter(variant => variant.variantId && byId.has(String(variant.variantId))).forEach(variant => {
+      const apiVariant = byId.get(String(variant.variantId));
+      if (apiVariant.available !== null && apiVariant.available !== variant.available) {
+        mismatches.push(`"${variant.name}" is ${apiVariant.available ? 'available' : 'sold out'} in the API but ${variant.available ? 'purchasable' : 'not purchasable'} on the page`);
+      }
+      if (typeof variant.amount === 'number' && apiVariant.price !== null &&
+        Math.abs(variant.amount - apiVariant.price) > this.platformApi.priceTolerance) {
+        mismatches.push(`"${variant.name}" costs ${apiVariant.price} in the API but ${variant.amount} on the page`);
+      }
+    });
+
+    mismatches.forEach(message => record('variant', false, null, null, message));
+  }
+
+  /**
+   * Every product image from the API should be rendered somewhere on the page
+   */
+  compareImages(images, record) {
+    const apiImages = this.results.product.images;
+    if (apiImages.length === 0) return;
+
+    const pageImages = new Set((images.images || [])
+      .flatMap(image => [image.src, image.currentSrc])
+      .filter(Boolean)
+      .map(imageKey));
+    const missing = apiImages.filter(url => !pageImages.has(imageKey(url)));
+
+    record('images', missing.length === 0, apiImages.length, apiImages.length - missing.length,
+      `${missing.length} of ${apiImages.length} API product images are not on the page: ${missing.slice(0, 3).join(', ')}`,
+      this.platformApi.imageSeverity);
+  }
+
+  /**
+   * The variant the page is showing: ?variant= on Shopify, otherwise the first available one
+   */
+  selectedVariant() {
+    const product = this.results.product;
+    const variantParam = new URL(this.page.url()).searchParams.get('variant');
+    const fromUrl = variantParam && product.variants.find(variant => String(variant.id) === variantParam);
+    if (fromUrl) return fromUrl;
+    if (product.price !== undefined) {
+      return { title: product.title, price: product.price, available: product.available };
+    }
+    return product.variants.find(variant => variant.available) || product.variants[0] || null;
+  }
+
+  /**
+   * Shopify: /products/<handle>.js (cents, with availability), falling back to .json
+   */
+  async fetchShopifyProduct() {
+    const match = new URL(this.page.url()).pathname.match(/\/products\/([^/?#]+)/);
+    if (!match) return this.skip('Page URL has no /products/<handle> segment');
+    const handle = match[1];
+
+    for (const format of this.platformApi.shopifyFormats) {
+      const url = `${this.apiOrigin()}/products/${handle}.${format}`;
+      const data = await this.fetchJson(url);
+      if (!data) continue;
+
+      this.results.source = url;
+      if (format === 'js') {
+        return {
+          title: data.title,
+          images: (data.images || []).map(absoluteUrl),
+          variants: (data.variants || []).map(variant => ({
+            id: variant.id,
+            title: variant.title,
+            sku: variant.sku || null,
+            options: variant.options || [],
+            price: variant.price / 100,
+            available: variant.available
+          }))
+        };
+      }
+
+      // The .json format has no stock information
+      const product = data.product || {};
+      return {
+        title: product.title,
+        images: (product.images || []).map(image => absoluteUrl(image.src)),
+        variants: (product.variants || []).map(variant => ({
+          id: variant.id,
+          title: variant.title,
+          sku: variant.sku || null,
+          options: [variant.option1, variant.option2, variant.option3].filter(Boolean),
+          price: parseFloat(variant.price),
+          available: null
+        }))
+      };
+    }
+
+    throw new Error(`No product record at /products/${handle}.{${this.platformApi.shopifyFormats.join(',')}}`);
+  }
+
+  /**
+   * BigCommerce: Storefront GraphQL, authorised with the storefront token from config or the page
+   */
+  async fetchBigCommerceProduct() {
+    const pageData = await this.page.evaluate(() => {
+      const input = document.querySelector('input[name="product_id"], [data-product-id]');
+      const productId = input ? (input.value || input.getAttribute('data-product-id')) : null;
+      const tokenMatch = document.documentElement.innerHTML.match(/storefront_?api_?token\\?"\s*:\s*\\?"([\w.-]+)/i);
+      return { productId: productId, token: tokenMatch ? tokenMatch[1] : null };
+    });
+
+    const token = this.platformApi.bigcommerceToken || pageData.token;
+    if (!token) return this.skip('No BigCommerce storefront API token (set platformApi.bigcommerceToken)');
+    if (!pageData.productId) return this.skip('No product id found on the page');
+
+    const url = `${this.apiOrigin()}${this.platformApi.bigcommerceGraphqlPath}`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ query: BIGCOMMERCE_PRODUCT_QUERY, variables: { productId: parseInt(pageData.productId, 10) } }),
+      signal: AbortSignal.timeout(this.platformApi.timeout)
+    });
+    if (!response.ok) throw new Error(`GraphQL request returned HTTP ${response.status}`);
+
+    const body = await response.json();
+    if (body.errors && body.errors.length > 0) throw new Error(body.errors.map(error => error.message).join('; '));
+    const product = body.data && body.data.site && body.data.site.product;
+    if (!product) throw new Error(`Product ${pageData.productId} not found in the Storefront API`);
+
+    this.results.source = url;
+    const productPrice = product.prices && product.prices.price ? product.prices.price.value : null;
+    return {
+      title: product.name,
+      price: productPrice,
+      available: product.availabilityV2 ? product.availabilityV2.status !== 'Unavailable' : null,
+      images: product.images.edges.map(edge => edge.node.url),
+      variants: product.variants.edges.map(({ node }) => ({
+        id: node.entityId,
+        title: node.sku || String(node.entityId),
+        sku: node.sku || null,
+        price: node.prices && node.prices.price ? node.prices.price.value : productPrice,
+        available: node.inventory ? node.inventory.isInStock : null
+      }))
+    };
+  }
+
+  /**
+   * Origin to send API requests to; platformApi.apiOrigin points them at a mock server
+   */
+  apiOrigin() {
+    return (this.platformApi.apiOrigin || new URL(this.page.url()).origin).replace(/\/$/, '');
+  }
+
+  async fetchJson(url) {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(this.platformApi.timeout)
+    });
+    if (!response.ok) return null;
+    return response.json().catch(() => null);
+  }
+
+  skip(reason) {
+    this.results.skipped = true;
+    this.results.warnings.push({
+      type: 'warning',
+      element: 'platform_api',
+      message: `Platform API check skipped: ${reason}`
+    });
+    console.log(chalk.gray(`  Skipped: ${reason}`));
+    return null;
+  }
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Page option labels match API option values in any group order; labels may carry extras such as "Red - Sold out"
+ */
+function sameOptions(pageOptions = [], apiOptions = []) {
+  const labels = pageOptions.map(normalizeText);
+  return apiOptions.length === labels.length && apiOptions.every(option => {
+    const value = normalizeText(option);
+    return labels.some(label => label === value || label.startsWith(`${value} `));
+  });
+}
+
+function absoluteUrl(url) {
+  return String(url).startsWith('//') ? `https:${url}` : String(url);
+}
+
+/**
+ * Comparable image identity: file name without CDN size suffixes, query or extension
+ */
+function imageKey(url) {
+  const file = String(url).split('?')[0].split('/').pop().toLowerCase();
+  return file
+    .replace(/\.(jpe?g|png|gif|webp|avif)$/, '')
+    .replace(/_(\d+x\d*|\d*x\d+|pico|icon|thumb|small|compact|medium|large|grande|original|master)(@\d+x)?(_crop_\w+)?$/, '')
+    .replace(/\.\d+$/, '');
+}
@@ -4,6 +4,8 @@
  */
 
 import chalk from 'chalk';
+import { parsePrice } from '../priceParser.js';
+import { findExpectation } from '../expectations.js';
 
 export class ProductPageTester {
   constructor(page, config, platform = 'shopify') {
@@ -37,6 +39,11 @@ export class ProductPageTester {
     await this.testProductVariants();
     await this.testMetaInformation();
 
+    // Compare against the expected catalog data, when a fixture was given
+    if (this.config.expect.entries) {
+      await this.testExpectations();
+    }
+
     // Determine overall result
     this.results.passed = this.results.errors.length === 0;
 
@@ -132,39 +139,107 @@ export class ProductPageTester {
   async testProductPrice() {
     console.log(chalk.gray('  ✓ Checking product price...'));
   
-    let priceFound = false;
-    let priceText = '';
     const selectors = this.selectors.productPrice || ['[data-testid="product-price"]', '.price', '[data-price]'];
+    const rejected = [];
   
     for (const selector of selectors) {
       try {
         // Wait for the element to appear for max 10s
         const element = await this.page.waitForSelector(selector, { timeout: 10000 });
-        if (element) {
-          priceText = await this.page.evaluate(el => el.textContent?.trim(), element);
-          if (priceText && (/\$|€|£|¥|\d/.test(priceText))) {
-            priceFound = true;
-            this.results.elements.price = {
-              found: true,
-              selector: selector,
-              text: priceText
-            };
-            break;
-          }
+        if (!element) continue;
+
+        const displayed = await this.readDisplayedPrice(selector);
+        rejected.push(...displayed.rejected);
+
+        if (displayed.parsed) {
+          const { candidate, parsed, compareAt } = displayed;
+          this.results.elements.price = {
+            found: true,
+            selector: selector,
+            text: candidate.fullText,
+            amount: parsed.amount,
+            currency: parsed.currency,
+            range: parsed.isRange ? { min: parsed.min, max: parsed.max } : null,
+            compareAt: compareAt ? compareAt.amount : null,
+            compareAtText: candidate.compareAtText || null
+          };
+          this.checkPriceConsistency(this.results.elements.price, compareAt);
+          return;
         }
       } catch (error) {
         continue;
       }
     }
   
-    if (!priceFound) {
-      this.results.errors.push({
-        type: 'critical',
+    this.results.errors.push({
+      type: 'critical',
+      element: 'product_price',
+      message: rejected.length > 0
+        ? `Product price not found on page (ignored non-price text: "${rejected[0].substring(0, 50)}")`
+        : 'Product price not found on page',
+      selectors
+    });
+    this.results.elements.price = { found: false };
+  }
+
+  /**
+   * The first visible price under a selector that parses, with its compare-at price.
+   * Used for the product price and for each variant in the matrix, so both read prices the same way.
+   * @returns {Promise<{candidate: object|null, parsed: object|null, compareAt: object|null, rejected: string[]}>}
+   */
+  async readDisplayedPrice(selector) {
+    const priceConfig = this.config.price;
+    const candidates = await this.page.evaluate(readPriceCandidates, selector, {
+      compareAt: priceConfig.compareAtSelectors,
+      exclude: priceConfig.excludeContainers
+    });
+
+    const rejected = [];
+    for (const candidate of candidates) {
+      const parsed = parsePrice(candidate.text, priceConfig);
+      if (!parsed) {
+        rejected.push(candidate.text);
+        continue;
+      }
+      const compareAt = candidate.compareAtText ? parsePrice(candidate.compareAtText, priceConfig) : null;
+      return { candidate, parsed, compareAt, rejected };
+    }
+    return { candidate: null, parsed: null, compareAt: null, rejected };
+  }
+
+  /**
+   * Flag prices no customer should see: zero, negative, unparseable, or a "sale" that isn't one
+   */
+  checkPriceConsistency(price, compareAt) {
+    const fail = message => this.results.errors.push({ type: 'critical', element: 'product_price', message });
+
+    if (Number.isNaN(price.amount)) {
+      fail(`Product price "${price.text}" is not a number`);
+    } else if (price.amount < 0) {
+      fail(`Product price is negative (${price.amount})`);
+    } else if (price.amount === 0) {
+      fail(`Product price is zero ("${price.text}")`);
+    }
+
+    if (compareAt) {
+      if (compareAt.currency && price.currency && compareAt.currency !== price.currency) {
+        this.results.warnings.push({
+          type: 'warning',
+          element: 'product_price',
+          message: `Sale price currency ${price.currency} differs from compare-at currency ${compareAt.currency}`
+        });
+      }
+      if (price.amount >= compareAt.amount) {
+        fail(`Sale price ${price.amount} is not lower than compare-at price ${compareAt.amount}`);
+      }
+    }
+
+    if (price.range && price.range.min === price.range.max) {
+      this.results.warnings.push({
+        type: 'warning',
         element: 'product_price',
-        message: 'Product price not found on page',
-        selectors
+        message: `Price range has the same lower and upper bound (${price.range.min})`
       });
-      this.results.elements.price = { found: false };
     }
   }
   
@@ -215,6 +290,7 @@ export class ProductPageTester {
     let buttonFound = false;
     let buttonVisible = false;
     let buttonEnabled = false;
+    let buttonCoveredBy = null;
 
     for (const selector of this.selectors.addToCart) {
       try {
@@ -227,15 +303,19 @@ export class ProductPageTester {
           }, element);
           
           const isEnabled = await this.page.evaluate(el => !el.disabled, element);
+          const covering = isVisible ? await this.getCoveringElement(element) : null;
           
           if (isVisible) buttonVisible = true;
           if (isEnabled) buttonEnabled = true;
+          if (covering) buttonCoveredBy = covering;
 
           this.results.elements.addToCart = {
             found: true,
             selector: selector,
             visible: isVisible,
-            enabled: isEnabled
+            enabled: isEnabled,
+            coveredBy: covering ? covering.element : null,
+            coveredByOverlay: covering ? covering.overlay : false
           };
           break;
         }
@@ -258,6 +338,19 @@ export class ProductPageTester {
         element: 'add_to_cart_button',
         message: 'Add to cart button is not visible'
       });
+    } else if (buttonCoveredBy && buttonCoveredBy.overlay) {
+      // Shoppers can dismiss a consent banner, so it's not a broken page
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'add_to_cart_button',
+        message: `Add to cart button is covered by a cookie or consent banner (${buttonCoveredBy.element})`
+      });
+    } else if (buttonCoveredBy) {
+      this.results.errors.push({
+        type: 'critical',
+        element: 'add_to_cart_button',
+        message: `Add to cart button is covered by another element (${buttonCoveredBy.element})`
+      });
     } else if (!buttonEnabled) {
       this.results.warnings.push({
         type: 'warning',
@@ -267,6 +360,35 @@ export class ProductPageTester {
     }
   }
 
+  /**
+   * Scroll an element into view and describe whatever sits on top of its centre (e.g. a sticky bar on mobile)
+   * as { element, overlay }, where overlay means it is inside a config.overlays banner. Null when it is clickable.
+   */
+  async getCoveringElement(element) {
+    try {
+      return await this.page.evaluate((el, overlaySelectors) => {
+        el.scrollIntoView({ block: 'center' });
+        const rect = el.getBoundingClientRect();
+        const hit = document.elementFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        if (!hit || el.contains(hit) || hit.contains(el)) return null;
+
+        const classes = typeof hit.className === 'string' && hit.className.trim()
+          ? '.' + hit.className.trim().split(/\s+/).join('.')
+          : '';
+        const overlay = overlaySelectors.some(selector => {
+          try {
+            return Boolean(hit.closest(selector));
+          } catch (e) {
+            return false;
+          }
+        });
+        return { element: `${hit.tagName.toLowerCase()}${hit.id ? '#' + hit.id : ''}${classes}`, overlay };
+      }, element, this.config.overlays.selectors);
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Test product images (basic check, detailed validation in image module)
    */
@@ -328,14 +450,313 @@ export class ProductPageTester {
       }
     }
 
-    // Variants are optional, so we just log if found
-    if (variantFound) {
-      this.results.elements.variants = this.results.elements.variants || { found: false };
+    // Variants are optional, so only walk the option matrix when some were found (and it is enabled)
+    if (variantFound && this.config.variants.matrix) {
+      await this.testVariantMatrix();
     }
   }
 
   /**
-   * Test meta information (page title, description)
+   * Select every variant option combination and record price, stock, image and variant id
+   */
+  async testVariantMatrix() {
+    const variantConfig = this.config.variants;
+    const scanConfig = {
+      variantSelectors: this.selectors.productVariant,
+      swatchSelectors: variantConfig.swatchSelectors,
+      priceSelectors: this.selectors.productPrice,
+      addToCartSelectors: this.selectors.addToCart,
+      imageSelectors: this.selectors.productImage
+    };
+
+    let initial;
+    try {
+      initial = await this.page.evaluate(scanVariantGroups, scanConfig, null);
+    } catch (error) {
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'product_variants',
+        message: 'Error reading variant options: ' + error.message
+      });
+      return;
+    }
+
+    const groups = initial.groups.filter(group => group.options.length > 0);
+    if (groups.length === 0) return;
+
+    const combinations = buildCombinations(groups.map(group => group.options.length));
+    const tested = combinations.slice(0, variantConfig.maxCombinations);
+
+    console.log(chalk.gray(`  ✓ Testing ${tested.length} of ${combinations.length} variant combinations...`));
+
+    if (combinations.length > tested.length) {
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'product_variants',
+        message: `Only ${tested.length} of ${combinations.length} variant combinations tested (variants.maxCombinations)`
+      });
+    }
+
+    this.results.variants = [];
+
+    for (const combination of tested) {
+      const selection = combination.map((optionIndex, i) => ({ group: groups[i].key, option: groups[i].options[optionIndex].id }));
+      const options = combination.map((optionIndex, i) => groups[i].options[optionIndex].label);
+      const variant = {
+        name: groups.map((group, i) => `${group.name}: ${options[i]}`).join(' / '),
+        options: options,
+        price: null,
+        amount: null,
+        available: false,
+        image: null,
+        variantId: null,
+        broken: false,
+        issues: []
+      };
+
+      try {
+        const applied = await this.page.evaluate(scanVariantGroups, scanConfig, selection);
+        await new Promise(resolve => setTimeout(resolve, variantConfig.settleDelay));
+        const state = await this.page.evaluate(scanVariantGroups, scanConfig, null);
+
+        variant.price = state.price;
+        variant.amount = await this.readVariantAmount(state.price);
+        variant.available = state.addToCartEnabled;
+        variant.image = state.image;
+        variant.variantId = state.variantId;
+
+        // Swatch selection state is theme-specific, so only selects and radios are verified
+        const notSelected = selection.some(sel =>
+          groups.find(group => group.key === sel.group).type !== 'swatch' && state.selected[sel.group] !== sel.option
+        );
+        if (applied.applied.length < selection.length || notSelected) {
+          variant.issues.push('Option could not be selected');
+        }
+        if (!state.price || !/\d/.test(state.price)) {
+          variant.issues.push('No price shown');
+        }
+        if (variant.available && initial.variantId !== null && state.variantId === null) {
+          variant.issues.push('Missing ?variant= parameter');
+        }
+      } catch (error) {
+        variant.issues.push(error.message);
+      }
+
+      variant.broken = variant.issues.length > 0;
+      this.results.variants.push(variant);
+    }
+
+    // Restore the variant that was selected on page load so later checks see the default state
+    await this.page.evaluate(scanVariantGroups, scanConfig,
+      groups
+        .filter(group => initial.selected[group.key] !== null && initial.selected[group.key] !== undefined)
+        .map(group => ({ group: group.key, option: initial.selected[group.key] }))
+    ).catch(() => null);
+
+    const broken = this.results.variants.filter(v => v.broken);
+    const outOfStock = this.results.variants.filter(v => !v.available);
+
+    this.results.elements.variants.combinations = this.results.variants.length;
+    this.results.elements.variants.totalCombinations = combinations.length;
+    this.results.elements.variants.outOfStock = outOfStock.length;
+    this.results.elements.variants.broken = broken.length;
+
+    broken.forEach(variant => {
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'product_variant_combination',
+        message: `Broken variant combination "${variant.name}": ${variant.issues.join(', ')}`
+      });
+    });
+
+    if (outOfStock.length === this.results.variants.length) {
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'product_variants',
+        message: 'All tested variant combinations are out of stock'
+      });
+    }
+  }
+
+  /**
+   * Amount shown for the current variant, read like the product price (same selector, candidates and
+   * compare-at handling). Falls back to the matrix scan's raw price text.
+   */
+  async readVariantAmount(priceText) {
+    const price = this.results.elements.price;
+    if (price && price.found) {
+      const displayed = await this.readDisplayedPrice(price.selector).catch(() => null);
+      if (displayed && displayed.parsed) return displayed.parsed.amount;
+    }
+    const parsed = priceText ? parsePrice(priceText, this.config.price) : null;
+    return parsed ? parsed.amount : null;
+  }
+
+  /**
+   * Compare what the page shows with the expected data for this product (--expect)
+   */
+  async testExpectations() {
+    console.log(chalk.gray('  ✓ Checking expected product data...'));
+
+    const expectConfig = this.config.expect;
+    const sku = await this.readSku().catch(() => null);
+    const match = findExpectation(expectConfig.entries, this.page.url(), sku);
+
+    if (!match) {
+      (expectConfig.failOnMissing ? this.results.errors : this.results.warnings).push({
+        type: expectConfig.failOnMissing ? 'critical' : 'warning',
+        element: 'expected_data',
+        message: `No expected data for this product (url ${this.page.url()}${sku ? `, sku ${sku}` : ''})`
+      });
+      return;
+    }
+
+    const { entry, matchedBy } = match;
+    const elements = this.results.elements;
+    const diffs = [];
+    const compare = (field, expected, actual, equal) => {
+      if (expected === undefined) return;
+      const passed = actual !== null && actual !== undefined && equal(expected, actual);
+      diffs.push({ field, expected, actual: actual ?? null, passed });
+      if (!passed) {
+        this.results.errors.push({
+          type: 'critical',
+          element: `expected_${field}`,
+          message: `Expected ${field} ${JSON.stringify(expected)} but page shows ${JSON.stringify(actual ?? null)}`
+        });
+      }
+    };
+
+    const normalize = text => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+    const price = elements.price || {};
+    const addToCart = elements.addToCart || {};
+    const actualAvailability = addToCart.found ? (addToCart.enabled ? 'in_stock' : 'out_of_stock') : null;
+
+    compare('title', entry.title, elements.title && elements.title.text, (a, b) => normalize(a) === normalize(b));
+    compare('price', entry.price, price.amount, (a, b) => Math.abs(a - b) <= expectConfig.priceTolerance);
+    compare('currency', entry.currency, price.currency, (a, b) => a === b);
+    compare('availability', entry.availability, actualAvailability, (a, b) => a === b);
+    if (entry.variantCount !== undefined) {
+      // Option controls and combinations don't map one-to-one to variants, so only the product data is trusted
+      const variantCount = await this.readVariantCount().catch(() => null);
+      if (variantCount) {
+        compare('variantCount', entry.variantCount, variantCount.count, (a, b) => a === b);
+      } else {
+        this.results.warnings.push({
+          type: 'warning',
+          element: 'expected_variantCount',
+          message: 'Expected variantCount not checked: the page has no product JSON or JSON-LD offers to count variants from'
+        });
+      }
+    }
+    if (entry.imageCount !== undefined) {
+      compare('imageCount', entry.imageCount, await this.countGalleryImages(), (a, b) => a === b);
+    }
+
+    this.results.expectations = {
+      matchedBy: matchedBy,
+      key: matchedBy === 'url' ? entry.url : entry.sku,
+      sku: sku,
+      diffs: diffs
+    };
+
+    const failed = diffs.filter(diff => !diff.passed).length;
+    console.log(chalk.gray(`    Matched by ${matchedBy}: ${diffs.length - failed}/${diffs.length} fields as expected`));
+  }
+
+  /**
+   * Images matched by the product image selector, leaving out recommendation carousels and other containers
+   * in expect.imageExcludeContainers
+   */
+  async countGalleryImages() {
+    const images = this.results.elements.images;
+    if (!images || !images.found) return 0;
+
+    try {
+      return await this.page.$$eval(images.selector, (elements, containers) => elements.filter(el => !containers.some(selector => {
+        try {
+          return Boolean(el.parentElement && el.parentElement.closest(selector));
+        } catch (e) {
+          return false;
+        }
+      })).length, this.config.expect.imageExcludeContainers);
+    } catch (error) {
+      return images.count;
+    }
+  }
+
+  /**
+   * Number of variants from the product data in the page: Shopify's product JSON (analytics meta or
+   * a product JSON script), then the offers of the Product JSON-LD. Null when none is present.
+   * @returns {Promise<{count: number, source: string}|null>}
+   */
+  async readVariantCount() {
+    return this.page.evaluate(() => {
+      const meta = window.ShopifyAnalytics && window.ShopifyAnalytics.meta && window.ShopifyAnalytics.meta.product;
+      if (meta && Array.isArray(meta.variants) && meta.variants.length > 0) {
+        return { count: meta.variants.length, source: 'ShopifyAnalytics' };
+      }
+
+      for (const script of document.querySelectorAll('script[type="application/json"]')) {
+        try {
+          const data = JSON.parse(script.textContent);
+          const product = data && (data.product || data);
+          if (product && Array.isArray(product.variants) && product.variants.length > 0 && (product.handle || product.title)) {
+            return { count: product.variants.length, source: 'product JSON' };
+          }
+        } catch (e) {
+          // Not product JSON
+        }
+      }
+
+      for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+        try {
+          const nodes = [].concat(JSON.parse(script.textContent));
+          const all = nodes.flatMap(node => [node, ...[].concat((node && node['@graph']) || [])]);
+          for (const node of all) {
+            const types = [].concat((node && node['@type']) || []);
+            if (types.includes('ProductGroup') && Array.isArray(node.hasVariant) && node.hasVariant.length > 0) {
+              return { count: node.hasVariant.length, source: 'JSON-LD' };
+            }
+            if (types.includes('Product') && Array.isArray(node.offers) && node.offers.length > 0) {
+              return { count: node.offers.length, source: 'JSON-LD' };
+            }
+          }
+        } catch (e) {
+          // Invalid JSON-LD is reported by the structured data check
+        }
+      }
+      return null;
+    });
+  }
+
+  /**
+   * SKU shown on the page, from Product JSON-LD or the configured SKU selectors
+   */
+  async readSku() {
+    return this.page.evaluate(skuSelectors => {
+      for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+        try {
+          const nodes = [].concat(JSON.parse(script.textContent));
+          const all = nodes.flatMap(node => [node, ...[].concat(node['@graph'] || [])]);
+          const product = all.find(node => node && [].concat(node['@type']).includes('Product') && node.sku);
+          if (product) return String(product.sku);
+        } catch (e) {
+          // Invalid JSON-LD is reported by the structured data check
+        }
+      }
+      for (const selector of skuSelectors) {
+        const el = document.querySelector(selector);
+        if (!el) continue;
+        const value = el.getAttribute('content') || el.getAttribute('data-sku') || el.textContent;
+        if (value && value.trim()) return value.replace(/^\s*sku:?\s*/i, '').trim();
+      }
+      return null;
+    }, this.config.expect.skuSelectors);
+  }
+
+  /**
+   * Test meta information (page title, description) and collect the SEO/social tags
    */
   async testMetaInformation() {
     console.log(chalk.gray('  ✓ Checking meta information...'));
@@ -343,10 +764,37 @@ export class ProductPageTester {
     try {
       const pageTitle = await this.page.title();
       const metaDescription = await this.page.$eval('meta[name="description"]', el => el.content).catch(() => null);
+      const tags = await this.page.evaluate(() => {
+        const meta = key => {
+          const el = document.querySelector(`meta[property="${key}"], meta[name="${key}"]`);
+          return el ? el.getAttribute('content') : null;
+        };
+        return {
+          canonical: Array.from(document.querySelectorAll('link[rel="canonical"]')).map(el => el.getAttribute('href')),
+          robots: ['robots', 'googlebot'].map(meta).filter(Boolean),
+          openGraph: {
+            title: meta('og:title'),
+            image: meta('og:image'),
+            priceAmount: meta('og:price:amount') || meta('product:price:amount'),
+            priceCurrency: meta('og:price:currency') || meta('product:price:currency')
+          },
+          twitter: {
+            card: meta('twitter:card'),
+            title: meta('twitter:title'),
+            image: meta('twitter:image')
+          },
+          hreflang: Array.from(document.querySelectorAll('link[rel="alternate"][hreflang]')).map(el => ({
+            lang: el.getAttribute('hreflang'),
+            href: el.href
+          })),
+          h1: Array.from(document.querySelectorAll('h1')).map(el => el.textContent.trim().substring(0, 100))
+        };
+      });
 
       this.results.elements.meta = {
         title: pageTitle || null,
-        description: metaDescription || null
+        description: metaDescription || null,
+        ...tags
       };
 
       if (!pageTitle || pageTitle.length < 5) {
@@ -374,3 +822,206 @@ export class ProductPageTester {
   }
 }
 
+
+/**
+ * Runs inside the page: visible price elements for a selector, outside cart drawers and
+ * recommendations, split into the current price and any struck-through compare-at price.
+ * Must stay self-contained.
+ */
+function readPriceCandidates(selector, options) {
+  const matchesAny = (el, list) => list.some(sel => {
+    try {
+      return el.closest(sel) !== null;
+    } catch (e) {
+      return false;
+    }
+  });
+  const isVisible = el => {
+    const style = window.getComputedStyle(el);
+    return style.display !== 'none' && style.visibility !== 'hidden' && el.getClientRects().length > 0;
+  };
+
+  return Array.from(document.querySelectorAll(selector))
+    .filter(el => isVisible(el) && !matchesAny(el, options.exclude))
+    .map(el => {
+      let text = '';
+      let compareAtText = '';
+      const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        const node = walker.currentNode;
+        const parent = node.parentElement;
+        if (!parent || !isVisible(parent)) continue;
+        // Screen-reader-only labels ("Regular price") are visible to getClientRects but add noise
+        if (/visually-hidden|sr-only/.test(parent.className)) continue;
+        const isCompareAt = parent !== el && el.contains(parent) &&
+          options.compareAt.some(sel => {
+            try {
+              const match = parent.closest(sel);
+              return match !== null && el.contains(match) && match !== el;
+            } catch (e) {
+              return false;
+            }
+          });
+        if (isCompareAt) {
+          compareAtText += ' ' + node.textContent;
+        } else {
+          text += ' ' + node.textContent;
+        }
+      }
+      return {
+        text: text.replace(/\s+/g, ' ').trim(),
+        compareAtText: compareAtText.replace(/\s+/g, ' ').trim(),
+        fullText: el.textContent.replace(/\s+/g, ' ').trim()
+      };
+    })
+    .filter(candidate => candidate.text || candidate.compareAtText);
+}
+
+/**
+ * Build every option-index combination for the given group sizes
+ */
+function buildCombinations(sizes) {
+  return sizes.reduce((combinations, size) => {
+    const next = [];
+    combinations.forEach(combination => {
+      for (let i = 0; i < size; i++) next.push([...combination, i]);
+    });
+    return next;
+  }, [[]]);
+}
+
+/**
+ * Runs inside the page: finds variant option groups (selects, radios, swatches),
+ * optionally applies a selection, and reports the current price/stock/image state.
+ * Must stay self-contained since Puppeteer serializes it into the page.
+ */
+function scanVariantGroups(scanConfig, selection) {
+  const isVisible = el => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  };
+  const safeQueryAll = selector => {
+    try {
+      return Array.from(document.querySelectorAll(selector));
+    } catch (e) {
+      return [];
+    }
+  };
+  const firstMatch = selectors => {
+    for (const selector of selectors) {
+      const el = safeQueryAll(selector)[0];
+      if (el) return el;
+    }
+    return null;
+  };
+  const labelFor = el => {
+    if (el.id) {
+      const label = document.querySelector(`label[for="${CSS.escape(el.id)}"]`);
+      if (label) return label.textContent.trim();
+    }
+    return (el.getAttribute('aria-label') || el.getAttribute('data-value') || el.value || el.textContent || '').trim();
+  };
+
+  // Radios inside the product form
+  const radioGroups = [];
+  const radioNames = new Set();
+  safeQueryAll('form[action*="/cart"] input[type="radio"], [data-product-option] input[type="radio"]').forEach(radio => {
+    if (radioNames.has(radio.name)) return;
+    radioNames.add(radio.name);
+    radioGroups.push({
+      type: 'radio',
+      name: radio.closest('fieldset')?.querySelector('legend')?.textContent.trim() || radio.name,
+      id: radio.name,
+      elements: safeQueryAll(`input[type="radio"][name="${CSS.escape(radio.name)}"]`)
+    });
+  });
+
+  // Swatches not backed by a radio, grouped by their container
+  const swatchGroups = [];
+  const swatchContainers = new Map();
+  scanConfig.swatchSelectors.flatMap(safeQueryAll).forEach(swatch => {
+    if (swatch.matches('input') || swatch.querySelector('input[type="radio"]')) return;
+    const container = swatch.closest('fieldset, [data-option-index], .swatch') || swatch.parentElement;
+    if (!swatchContainers.has(container)) swatchContainers.set(container, []);
+    if (!swatchContainers.get(container).includes(swatch)) swatchContainers.get(container).push(swatch);
+  });
+  swatchContainers.forEach((swatches, container) => {
+    const name = container.getAttribute('data-option-name') || container.querySelector('legend')?.textContent.trim() || 'Swatch';
+    swatchGroups.push({ type: 'swatch', name: name, id: container.getAttribute('data-option-index') || name, elements: swatches });
+  });
+
+  // Selects: visible option selects. The master variant select (name="id", usually hidden) lists whole
+  // variants rather than one option, so it is only used when the page has no other option controls.
+  const selects = [...new Set(scanConfig.variantSelectors.flatMap(safeQueryAll))]
+    .filter(el => el.tagName === 'SELECT');
+  const isMaster = el => el.name === 'id' || /\[id\]$/.test(el.name);
+  const optionSelects = selects.filter(el => !isMaster(el));
+  let chosenSelects = optionSelects.filter(isVisible);
+  if (chosenSelects.length === 0 && radioGroups.length === 0 && swatchGroups.length === 0) {
+    chosenSelects = optionSelects.length > 0 ? optionSelects : selects.slice(0, 1);
+  }
+  const selectGroups = chosenSelects.map(select => ({
+    type: 'select',
+    name: select.name || labelFor(select) || 'Option',
+    id: select.name || select.id || labelFor(select),
+    elements: Array.from(select.options).filter(o => o.value),
+    select: select
+  }));
+
+  // Groups are keyed by type and name so a selection still finds its group after the theme re-renders the pickers
+  const groups = [...selectGroups, ...radioGroups, ...swatchGroups];
+  const seenKeys = new Map();
+  groups.forEach(group => {
+    const base = `${group.type}:${group.id}`;
+    seenKeys.set(base, (seenKeys.get(base) || 0) + 1);
+    group.key = seenKeys.get(base) > 1 ? `${base}#${seenKeys.get(base)}` : base;
+  });
+
+  // Options are identified by value (selects, radios) or label (swatches)
+  const optionId = el => (el.matches('option, input') ? el.value : labelFor(el));
+
+  const isSelected = (group, el) => {
+    if (group.type === 'select') return el.selected;
+    if (group.type === 'radio') return el.checked;
+    return el.classList.contains('active') || el.classList.contains('selected') ||
+      el.getAttribute('aria-checked') === 'true' || el.getAttribute('aria-pressed') === 'true';
+  };
+
+  const applied = [];
+  (selection || []).forEach(({ group: groupKey, option }) => {
+    const group = groups.find(candidate => candidate.key === groupKey);
+    const el = group && group.elements.find(candidate => optionId(candidate) === option);
+    if (!el) return;
+    if (group.type === 'select') {
+      group.select.value = el.value;
+      group.select.dispatchEvent(new Event('change', { bubbles: true }));
+    } else {
+      el.click();
+    }
+    applied.push(groupKey);
+  });
+
+  const priceEl = firstMatch(scanConfig.priceSelectors);
+  const addToCart = firstMatch(scanConfig.addToCartSelectors);
+  const image = firstMatch(scanConfig.imageSelectors);
+  const imageEl = image && (image.tagName === 'IMG' ? image : image.querySelector('img'));
+
+  return {
+    groups: groups.map(group => ({
+      key: group.key,
+      type: group.type,
+      name: group.name,
+      options: group.elements.map(el => ({ id: optionId(el), label: labelFor(el), disabled: !!el.disabled }))
+    })),
+    // Option id selected in each group, or null
+    selected: Object.fromEntries(groups.map(group => {
+      const el = group.elements.find(candidate => isSelected(group, candidate));
+      return [group.key, el ? optionId(el) : null];
+    })),
+    applied: applied,
+    price: priceEl ? priceEl.textContent.trim() : null,
+    addToCartEnabled: !!addToCart && !addToCart.disabled && addToCart.getAttribute('aria-disabled') !== 'true',
+    image: imageEl ? (imageEl.currentSrc || imageEl.src) : null,
+    variantId: new URL(window.location.href).searchParams.get('variant')
+  };
+}
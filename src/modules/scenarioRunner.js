@@ -0,0 +1,267 @@
+/**
+ * Scenario Module
+ * Executes declarative user journeys (see src/scenarios.js) against a product page
+ */
+
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import path from 'path';
+
+export class ScenarioRunner {
+  constructor(page, config, platform = 'shopify', scenarios = []) {
+    this.page = page;
+    this.config = config;
+    this.platform = platform.toLowerCase();
+    this.scenarios = scenarios;
+    // Logical names resolve to the platform's selector lists, e.g. "addToCart"
+    const platformSelectors = config.selectors[this.platform] || config.selectors.shopify;
+    const cartSelectors = config.cartFlow.selectors[this.platform] || config.cartFlow.selectors.shopify;
+    this.selectors = { ...cartSelectors, ...platformSelectors };
+    this.results = {
+      passed: true,
+      scenarios: [],
+      errors: [],
+      warnings: []
+    };
+  }
+
+  /**
+   * Run every scenario that applies to this URL and platform
+   */
+  async run(url) {
+    console.log(chalk.blue('\n🎬 Running Scenarios...'));
+
+    const applicable = this.scenarios.filter(scenario =>
+      (!scenario.urls || scenario.urls.some(pattern => pattern.test(url))) &&
+      (!scenario.platforms || scenario.platforms.includes(this.platform)));
+
+    for (const scenario of applicable) {
+      this.results.scenarios.push(await this.runScenario(scenario, url));
+    }
+
+    this.results.passed = this.results.errors.length === 0;
+    return this.results;
+  }
+
+  /**
+   * Run the steps in order from a fresh load of the product page; a failed step skips the rest
+   */
+  async runScenario(scenario, url) {
+    console.log(chalk.gray(`  ${scenario.name}`));
+
+    const startTime = Date.now();
+    const outcome = { name: scenario.name, file: scenario.file, passed: true, duration: 0, steps: [], warnings: [] };
+
+    if (scenario.steps[0].action !== 'goto') {
+      await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.config.timeouts.pageLoad }).catch(() => null);
+    }
+
+    for (const step of scenario.steps) {
+      const record = { name: step.name, action: step.action, passed: false, skipped: false, duration: 0, error: null, screenshot: null };
+      outcome.steps.push(record);
+
+      if (!outcome.passed) {
+        record.skipped = true;
+        continue;
+      }
+
+      const stepStart = Date.now();
+      try {
+        const stepResult = await this.runStep(step, url);
+        if (stepResult && stepResult.screenshot) record.screenshot = stepResult.screenshot;
+        record.passed = true;
+      } catch (error) {
+        record.error = error.message;
+        outcome.passed = false;
+        this.results.errors.push({
+          type: 'critical',
+          element: 'scenario_step',
+          message: `${scenario.name} - ${step.name}: ${error.message}`
+        });
+      }
+      record.duration = Date.now() - stepStart;
+
+      const status = record.passed ? chalk.green('✓') : chalk.red('✗');
+      console.log(chalk.gray(`    ${status} ${step.name} (${record.duration}ms)${record.error ? ` - ${record.error}` : ''}`));
+    }
+
+    outcome.duration = Date.now() - startTime;
+    return outcome;
+  }
+
+  /**
+   * Execute a single step; throws when it fails
+   */
+  async runStep(step, url) {
+    const timeout = step.timeout || this.config.scenarios.stepTimeout;
+
+    switch (step.action) {
+      case 'goto': {
+        const target = step.url.replace('{url}', url);
+        await this.page.goto(new URL(target, url).href, { waitUntil: 'domcontentloaded', timeout: this.config.timeouts.pageLoad });
+        return null;
+      }
+
+      case 'click': {
+        const element = await this.findElement(step.target, timeout, true);
+        await element.click();
+        return null;
+      }
+
+      case 'select': {
+        const element = await this.findElement(step.target, timeout, true);
+        const selected = await element.evaluate((el, value) => {
+          const matches = text => text && text.trim().toLowerCase() === String(value).toLowerCase();
+          if (el.tagName === 'SELECT') {
+            const option = Array.from(el.options).find(opt => opt.value === String(value) || matches(opt.textContent));
+            if (!option) return false;
+            el.value = option.value;
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+            return true;
+          }
+          // Radio groups and swatches: click the option whose label or value matches
+          const candidates = Array.from(el.querySelectorAll('input, label, button, [data-value], li'));
+          const option = candidates.find(candidate =>
+            candidate.value === String(value) || candidate.getAttribute('data-value') === String(value) || matches(candidate.textContent));
+          if (!option) return false;
+          option.click();
+          return true;
+        }, step.value);
+        if (!selected) throw new Error(`No option "${step.value}" in ${step.target}`);
+        return null;
+      }
+
+      case 'type': {
+        const element = await this.findElement(step.target, timeout, true);
+        if (step.clear !== false) {
+          await element.evaluate(el => { el.value = ''; });
+        }
+        await element.type(String(step.text));
+        return null;
+      }
+
+      case 'waitFor': {
+        if (typeof step.target === 'number') {
+          await new Promise(resolve => setTimeout(resolve, step.target));
+          return null;
+        }
+        if (step.state === 'hidden') {
+          await this.waitUntil(async () => !(await this.queryTarget(step.target)), timeout, `${step.target} is still visible`);
+        } else {
+          await this.findElement(step.target, timeout, step.state !== 'attached');
+        }
+        return null;
+      }
+
+      case 'assertText': {
+        const element = await this.findElement(step.target, timeout, false);
+        const text = (await element.evaluate(el => el.innerText || el.textContent || '')).replace(/\s+/g, ' ').trim();
+        assertString(text, step, `Text of ${step.target}`);
+        return null;
+      }
+
+      case 'assertVisible': {
+        if (step.visible === false) {
+          await this.waitUntil(async () => !(await this.queryTarget(step.target)), timeout, `${step.target} is visible`);
+        } else {
+          await this.findElement(step.target, timeout, true);
+        }
+        return null;
+      }
+
+      case 'assertUrl': {
+        // Give client-side navigation time to land, then fail with the actual URL
+        const urlMatches = async () => {
+          try {
+            assertString(this.page.url(), step, 'URL');
+            return true;
+          } catch (error) {
+            return false;
+          }
+        };
+        await this.waitUntil(urlMatches, timeout).catch(() => assertString(this.page.url(), step, 'URL'));
+        return null;
+      }
+
+      case 'screenshot': {
+        const dir = this.config.screenshots.dir;
+        await fs.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${slugify(url)}-${slugify(String(step.label))}-${Date.now()}.png`);
+        await this.page.screenshot({ path: file, fullPage: step.fullPage !== undefined ? step.fullPage : false });
+        return { screenshot: path.relative(this.config.screenshots.reportDir, file).split(path.sep).join('/') };
+      }
+
+      default:
+        throw new Error(`Unknown action "${step.action}"`);
+    }
+  }
+
+  /**
+   * CSS selectors for a target: a logical name from config.selectors, or a selector itself
+   */
+  resolveSelectors(target) {
+    const logical = this.selectors[target];
+    if (logical) return [].concat(logical);
+    return [target];
+  }
+
+  /**
+   * First element for the target (visible, if required), in selector-list order
+   */
+  async queryTarget(target, requireVisible = true) {
+    for (const selector of this.resolveSelectors(target)) {
+      let handles;
+      try {
+        handles = await this.page.$$(selector);
+      } catch (error) {
+        continue; // Invalid selector in a list
+      }
+      for (const handle of handles) {
+        if (!requireVisible || (await handle.boundingBox())) return handle;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Poll for the target until the timeout
+   */
+  async findElement(target, timeout, requireVisible) {
+    let element = null;
+    await this.waitUntil(async () => {
+      element = await this.queryTarget(target, requireVisible);
+      return element !== null;
+    }, timeout, `${target} not ${requireVisible ? 'visible' : 'found'} within ${timeout}ms`);
+    return element;
+  }
+
+  async waitUntil(condition, timeout, message) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      if (await condition()) return;
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    if (await condition()) return;
+    throw new Error(message || `Condition not met within ${timeout}ms`);
+  }
+}
+
+/**
+ * Compare a string against a step's contains / equals / matches expectation
+ */
+function assertString(actual, step, label) {
+  if (step.equals !== undefined && actual !== String(step.equals)) {
+    throw new Error(`${label} is "${actual}", expected "${step.equals}"`);
+  }
+  if (step.contains !== undefined && !actual.includes(String(step.contains))) {
+    throw new Error(`${label} "${actual}" does not contain "${step.contains}"`);
+  }
+  if (step.matches !== undefined && !new RegExp(step.matches).test(actual)) {
+    throw new Error(`${label} "${actual}" does not match /${step.matches}/`);
+  }
+}
+
+function slugify(text) {
+  return text.replace(/^https?:\/\//, '').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').substring(0, 60);
+}
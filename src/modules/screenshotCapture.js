@@ -0,0 +1,121 @@
+/**
+ * Screenshot Capture Module
+ * Captures full-page and element-level evidence when a check fails
+ */
+
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Maps product page error elements to their key in productPage.elements
+const ELEMENT_KEYS = {
+  product_title: 'title',
+  product_price: 'price',
+  add_to_cart_button: 'addToCart',
+  product_images: 'images',
+  expected_title: 'title',
+  expected_price: 'price',
+  expected_currency: 'price',
+  expected_availability: 'addToCart',
+  expected_imageCount: 'images'
+};
+
+export class ScreenshotCapture {
+  constructor(page, config) {
+    this.page = page;
+    this.config = config;
+    this.screenshots = config.screenshots;
+  }
+
+  /**
+   * Capture screenshots for a failed result.
+   * Paths are returned relative to the report directory so HTML reports can link them.
+   */
+  async captureFailure(result) {
+    console.log(chalk.blue('\n📸 Capturing failure screenshots...'));
+
+    const captured = { fullPage: null, elements: [] };
+    const deviceSuffix = result.device ? `-${this.slugify(result.device).toLowerCase()}` : '';
+    const baseName = `${this.slugify(result.url)}${deviceSuffix}-${Date.now()}`;
+
+    try {
+      await fs.mkdir(this.screenshots.dir, { recursive: true });
+
+      const fullPagePath = path.join(this.screenshots.dir, `${baseName}-page.png`);
+      await this.page.screenshot({ path: fullPagePath, fullPage: this.screenshots.fullPage });
+      captured.fullPage = this.toReportPath(fullPagePath);
+    } catch (error) {
+      console.log(chalk.yellow(`  Warning: Could not capture page screenshot: ${error.message}`));
+    }
+
+    const productPage = result.productPage || {};
+    for (const error of productPage.errors || []) {
+      const key = ELEMENT_KEYS[error.element];
+      if (!key) continue;
+
+      const elementInfo = (productPage.elements || {})[key] || {};
+      const elementPath = path.join(this.screenshots.dir, `${baseName}-${key}.png`);
+      const shot = await this.captureElement(elementInfo.selector, elementPath);
+      if (shot) {
+        captured.elements.push({
+          element: error.element,
+          message: error.message,
+          selector: shot.selector,
+          path: this.toReportPath(elementPath)
+        });
+      }
+    }
+
+    return captured;
+  }
+
+  /**
+   * Screenshot an element; invisible elements fall back to their nearest visible
+   * ancestor, and missing ones to the product area they should appear in
+   */
+  async captureElement(selector, filePath) {
+    const candidates = [selector, ...this.screenshots.contextSelectors].filter(Boolean);
+
+    for (const candidate of candidates) {
+      try {
+        const handle = await this.page.evaluateHandle((sel) => {
+          let el = document.querySelector(sel);
+          while (el && el !== document.body) {
+            const rect = el.getBoundingClientRect();
+            if (rect.width > 0 && rect.height > 0) return el;
+            el = el.parentElement;
+          }
+          return null;
+        }, candidate);
+
+        const element = handle.asElement();
+        if (!element) {
+          await handle.dispose();
+          continue;
+        }
+
+        await element.screenshot({ path: filePath });
+        await element.dispose();
+        return { selector: candidate };
+      } catch (error) {
+        continue;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Path relative to the report output directory
+   */
+  toReportPath(filePath) {
+    return path.relative(this.screenshots.reportDir, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Turn a URL into a safe file name
+   */
+  slugify(url) {
+    return url.replace(/^https?:\/\//, '').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').substring(0, 80);
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * SEO Check Module
+ * Checks canonical, Open Graph, Twitter card, hreflang, robots, heading and length rules
+ * on the meta information collected by ProductPageTester
+ */
+
+import chalk from 'chalk';
+import { runPool } from '../workerPool.js';
+
+const CHECK_LABELS = {
+  canonical: 'Canonical URL',
+  openGraph: 'Open Graph',
+  twitterCard: 'Twitter Card',
+  hreflang: 'Hreflang Alternates',
+  robots: 'Meta Robots',
+  duplicateH1: 'H1 Headings',
+  titleLength: 'Title Length',
+  descriptionLength: 'Description Length'
+};
+
+const TWITTER_CARD_TYPES = ['summary', 'summary_large_image', 'app', 'player'];
+
+export class SeoChecker {
+  constructor(config) {
+    this.config = config;
+    this.seo = config.seo;
+    this.results = {
+      passed: true,
+      checks: [],
+      errors: [],
+      warnings: []
+    };
+  }
+
+  /**
+   * Run every enabled SEO check against the page's meta information
+   * @param {object} meta - elements.meta from ProductPageTester
+   * @param {string} pageUrl - URL the page ended up on
+   */
+  async check(meta, pageUrl) {
+    console.log(chalk.blue('\n🔎 Checking SEO and Social Meta...'));
+
+    if (!meta) {
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'seo',
+        message: 'No meta information was collected for this page'
+      });
+      return this.results;
+    }
+
+    const checks = {
+      canonical: () => this.checkCanonical(meta, pageUrl),
+      openGraph: () => this.checkOpenGraph(meta),
+      twitterCard: () => this.checkTwitterCard(meta),
+      hreflang: () => this.checkHreflang(meta),
+      robots: () => this.checkRobots(meta),
+      duplicateH1: () => this.checkH1(meta),
+      titleLength: () => this.checkLength('Title', meta.title, this.seo.titleLength),
+      descriptionLength: () => this.checkLength('Meta description', meta.description, this.seo.descriptionLength)
+    };
+
+    for (const [name, run] of Object.entries(checks)) {
+      const severity = this.seo.checks[name] || 'off';
+      if (severity === 'off') continue;
+
+      const issues = await run();
+      this.results.checks.push({ name, label: CHECK_LABELS[name], severity, passed: issues.length === 0, issues });
+
+      issues.forEach(message => {
+        (severity === 'error' ? this.results.errors : this.results.warnings).push({
+          type: severity === 'error' ? 'critical' : 'warning',
+          element: `seo_${name}`,
+          message: message
+        });
+      });
+    }
+
+    this.results.passed = this.results.errors.length === 0;
+
+    const failing = this.results.checks.filter(check => !check.passed).length;
+    console.log(chalk.gray(`  ${this.results.checks.length - failing}/${this.results.checks.length} SEO checks passed`));
+
+    return this.results;
+  }
+
+  /**
+   * One absolute, same-origin canonical that points at this page (or the product it's scoped under)
+   */
+  checkCanonical(meta, pageUrl) {
+    const canonical = meta.canonical || [];
+    if (canonical.length === 0) return ['Canonical link is missing'];
+
+    const issues = [];
+    if (canonical.length > 1) {
+      issues.push(`Page has ${canonical.length} canonical links`);
+    }
+
+    const href = canonical[0];
+    if (!/^https?:\/\//i.test(href)) {
+      issues.push(`Canonical URL "${href}" is not absolute`);
+      return issues;
+    }
+
+    const canonicalUrl = new URL(href);
+    const currentUrl = new URL(pageUrl);
+    if (canonicalUrl.origin !== currentUrl.origin) {
+      issues.push(`Canonical URL ${href} points to another origin than ${currentUrl.origin}`);
+      return issues;
+    }
+
+    // Collection-scoped product URLs (/collections/x/products/y) canonicalise to the product path
+    const canonicalPath = normalizePath(canonicalUrl.pathname);
+    const currentPath = normalizePath(currentUrl.pathname);
+    const productPath = currentPath.replace(/\/collections\/[^/]+(?=\/products\/)/, '');
+    if (canonicalPath !== currentPath && canonicalPath !== productPath) {
+      issues.push(`Canonical URL ${href} does not match the page URL ${pageUrl}`);
+    }
+
+    return issues;
+  }
+
+  /**
+   * og:title, og:image and og:price:amount are needed for rich product shares
+   */
+  checkOpenGraph(meta) {
+    const og = meta.openGraph || {};
+    const issues = [];
+
+    if (!og.title) issues.push('og:title is missing');
+    if (!og.image) {
+      issues.push('og:image is missing');
+    } else if (!/^(https?:)?\/\//i.test(og.image)) {
+      issues.push(`og:image "${og.image}" is not an absolute URL`);
+    }
+    if (!og.priceAmount) {
+      issues.push('og:price:amount is missing');
+    } else if (!(parseFloat(og.priceAmount.replace(/,/g, '')) > 0)) {
+      issues.push(`og:price:amount "${og.priceAmount}" is not a valid price`);
+    }
+
+    return issues;
+  }
+
+  /**
+   * twitter:card must be a known type; title and image may fall back to Open Graph
+   */
+  checkTwitterCard(meta) {
+    const twitter = meta.twitter || {};
+    const og = meta.openGraph || {};
+    const issues = [];
+
+    if (!twitter.card) {
+      issues.push('twitter:card is missing');
+    } else if (!TWITTER_CARD_TYPES.includes(twitter.card)) {
+      issues.push(`twitter:card "${twitter.card}" is not a valid card type`);
+    }
+    if (!twitter.title && !og.title) issues.push('twitter:title is missing (and no og:title fallback)');
+    if (!twitter.image && !og.image) issues.push('twitter:image is missing (and no og:image fallback)');
+
+    return issues;
+  }
+
+  /**
+   * Every hreflang alternate must resolve to a reachable page
+   */
+  async checkHreflang(meta) {
+    const alternates = meta.hreflang || [];
+    const issues = [];
+
+    const seen = new Set();
+    alternates.forEach(alternate => {
+      if (seen.has(alternate.lang)) issues.push(`Duplicate hreflang "${alternate.lang}"`);
+      seen.add(alternate.lang);
+      if (alternate.lang !== 'x-default' && !/^[a-z]{2,3}(-[a-z0-9]{2,4})?$/i.test(alternate.lang)) {
+        issues.push(`Invalid hreflang code "${alternate.lang}"`);
+      }
+    });
+
+    // Each distinct URL is requested once, a few at a time
+    const urls = [...new Set(alternates.map(alternate => alternate.href))];
+    const statuses = await runPool(urls, this.seo.hreflangConcurrency, url => this.fetchStatus(url));
+    const statusByUrl = new Map(urls.map((url, index) => [url, statuses[index]]));
+
+    for (const alternate of alternates) {
+      const status = statusByUrl.get(alternate.href);
+      if (status === null) {
+        issues.push(`hreflang "${alternate.lang}" alternate ${alternate.href} could not be reached`);
+      } else if (status >= 400) {
+        issues.push(`hreflang "${alternate.lang}" alternate ${alternate.href} returned HTTP ${status}`);
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * noindex on a product page is almost always a leftover from staging
+   */
+  checkRobots(meta) {
+    return (meta.robots || [])
+      .filter(content => /\b(noindex|none)\b/i.test(content))
+      .map(content => `Meta robots is set to "${content}", so the page will not be indexed`);
+  }
+
+  /**
+   * Exactly one H1
+   */
+  checkH1(meta) {
+    const h1 = meta.h1 || [];
+    if (h1.length === 0) return ['Page has no H1 heading'];
+    if (h1.length > 1) return [`Page has ${h1.length} H1 headings: ${h1.map(text => `"${text}"`).join(', ')}`];
+    return [];
+  }
+
+  /**
+   * Text length within the configured limits
+   */
+  checkLength(label, text, limits) {
+    if (!text) return [`${label} is missing`];
+
+    const length = text.trim().length;
+    if (length < limits.min) return [`${label} is ${length} characters (minimum ${limits.min})`];
+    if (length > limits.max) return [`${label} is ${length} characters (maximum ${limits.max})`];
+    return [];
+  }
+
+  /**
+   * HTTP status of a URL, following redirects. Falls back to GET for servers that reject HEAD.
+   */
+  async fetchStatus(url) {
+    for (const method of ['HEAD', 'GET']) {
+      try {
+        const response = await fetch(url, {
+          method: method,
+          redirect: 'follow',
+          signal: AbortSignal.timeout(this.seo.hreflangTimeout)
+        });
+        if (method === 'HEAD' && (response.status === 405 || response.status === 501)) continue;
+        return response.status;
+      } catch (error) {
+        if (method === 'GET') return null;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Decoded, lower-case path without a trailing slash
+ */
+function normalizePath(pathname) {
+  let decoded = pathname;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    // Keep malformed escapes as they are
+  }
+  return decoded.toLowerCase().replace(/\/+$/, '') || '/';
+}
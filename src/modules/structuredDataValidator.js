@@ -0,0 +1,297 @@
+/**
+ * Structured Data Validation Module
+ * Validates schema.org/Product markup (JSON-LD and microdata) and cross-checks it
+ * against what is visible on the product page
+ */
+
+import chalk from 'chalk';
+import { parsePrice } from '../priceParser.js';
+
+export class StructuredDataValidator {
+  constructor(page, config) {
+    this.page = page;
+    this.config = config;
+    this.structuredData = config.structuredData;
+    this.results = {
+      passed: true,
+      found: false,
+      source: null,
+      product: null,
+      checks: [],
+      errors: [],
+      warnings: []
+    };
+  }
+
+  /**
+   * Extract and validate Product structured data
+   * @param {object} productPage - results from ProductPageTester, used for cross-checks
+   */
+  async validate(productPage = {}) {
+    console.log(chalk.blue('\n🏷️  Validating Structured Data...'));
+
+    let extracted;
+    try {
+      extracted = await this.page.evaluate(extractProductData);
+    } catch (error) {
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'structured_data',
+        message: 'Error reading structured data: ' + error.message
+      });
+      return this.results;
+    }
+
+    // Broken blocks are often third-party widgets, so they don't fail the page on their own
+    extracted.parseErrors.forEach(message => {
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'structured_data_json_ld',
+        message: `Invalid JSON-LD: ${message}`
+      });
+    });
+
+    const raw = extracted.jsonLd[0] || extracted.microdata[0];
+    if (!raw) {
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'structured_data',
+        message: 'No schema.org/Product markup found (JSON-LD or microdata)'
+      });
+      this.results.passed = this.results.errors.length === 0;
+      return this.results;
+    }
+
+    this.results.found = true;
+    this.results.source = extracted.jsonLd[0] ? 'json-ld' : 'microdata';
+    this.results.product = normalizeProduct(raw, this.page.url());
+
+    console.log(chalk.gray(`  Found Product markup (${this.results.source})`));
+
+    this.checkFields();
+    this.crossCheck(productPage);
+
+    this.results.passed = this.results.errors.length === 0;
+    return this.results;
+  }
+
+  /**
+   * Check required and recommended Product fields
+   */
+  checkFields() {
+    const product = this.results.product;
+
+    const check = (field, severity) => {
+      const present = field === 'sku/gtin'
+        ? Boolean(product.sku || product.gtin)
+        : product[field] !== null && product[field] !== undefined && product[field] !== '';
+
+      this.results.checks.push({ field, passed: present, message: present ? 'present' : 'missing' });
+      if (present) return;
+
+      const list = severity === 'error' ? this.results.errors : this.results.warnings;
+      list.push({
+        type: severity === 'error' ? 'critical' : 'warning',
+        element: 'structured_data_field',
+        message: `Product structured data is missing "${field}"`
+      });
+    };
+
+    this.structuredData.requiredFields.forEach(field => check(field, 'error'));
+    this.structuredData.recommendedFields.forEach(field => check(field, 'warning'));
+
+    if (product.price !== null && !(parseFloat(product.price) >= 0)) {
+      this.results.errors.push({
+        type: 'critical',
+        element: 'structured_data_field',
+        message: `Structured data price "${product.price}" is not a valid number`
+      });
+    }
+  }
+
+  /**
+   * Compare markup against visible page content
+   */
+  crossCheck(productPage) {
+    const product = this.results.product;
+    const elements = productPage.elements || {};
+
+    const mismatch = (field, expected, actual, message) => {
+      this.results.checks.push({ field: `${field} (page)`, passed: false, expected, actual, message });
+      this.results.errors.push({
+        type: 'critical',
+        element: 'structured_data_mismatch',
+        message: message
+      });
+    };
+    const match = (field, expected, actual) => {
+      this.results.checks.push({ field: `${field} (page)`, passed: true, expected, actual, message: 'matches page' });
+    };
+
+    // Title
+    if (product.name && elements.title && elements.title.found) {
+      const markupName = normalizeText(product.name);
+      const pageTitle = normalizeText(elements.title.text);
+      if (markupName.includes(pageTitle) || pageTitle.includes(markupName)) {
+        match('name', product.name, elements.title.text);
+      } else {
+        mismatch('name', product.name, elements.title.text,
+          `Structured data name "${product.name}" does not match page title "${elements.title.text}"`);
+      }
+    }
+
+    // Price
+    const displayedPrice = elements.price && elements.price.found ? this.displayedAmount(elements.price) : null;
+    const markupPrice = product.price !== null ? parseFloat(product.price) : null;
+    if (displayedPrice !== null && markupPrice !== null && !Number.isNaN(markupPrice)) {
+      if (Math.abs(displayedPrice - markupPrice) <= this.structuredData.priceTolerance) {
+        match('price', markupPrice, displayedPrice);
+      } else {
+        mismatch('price', markupPrice, displayedPrice,
+          `Structured data price ${markupPrice} does not match displayed price ${displayedPrice}`);
+      }
+    }
+
+    // Availability vs add to cart state
+    if (product.availability && elements.addToCart && elements.addToCart.found) {
+      const inStock = isInStock(product.availability);
+      const buttonEnabled = elements.addToCart.enabled !== false;
+      if (inStock === buttonEnabled) {
+        match('availability', product.availability, buttonEnabled ? 'add to cart enabled' : 'add to cart disabled');
+      } else {
+        mismatch('availability', product.availability, buttonEnabled ? 'add to cart enabled' : 'add to cart disabled',
+          `Structured data availability "${shortAvailability(product.availability)}" but add to cart button is ${buttonEnabled ? 'enabled' : 'disabled'}`);
+      }
+    }
+  }
+
+  /**
+   * Parsed amount of the displayed price, parsing the text for older results without one
+   */
+  displayedAmount(price) {
+    if (typeof price.amount === 'number' && !Number.isNaN(price.amount)) return price.amount;
+    const parsed = parsePrice(price.text, this.config.price);
+    return parsed ? parsed.amount : null;
+  }
+}
+
+function isInStock(availability) {
+  return /InStock|LimitedAvailability|OnlineOnly|PreOrder|BackOrder/i.test(availability);
+}
+
+/**
+ * Flatten a raw JSON-LD/microdata Product into the fields we validate.
+ * Price and availability come from the offer of the variant selected in the page URL (?variant=),
+ * otherwise from the first in-stock offer, which is the variant themes preselect.
+ */
+function normalizeProduct(raw, pageUrl) {
+  const first = value => (Array.isArray(value) ? value[0] : value);
+  const offerList = [].concat(raw.offers || []).filter(offer => offer && typeof offer === 'object');
+  // Price and availability always come from the same offer, the one the page most likely displays
+  const offers = selectedOffer(offerList, pageUrl)
+    || offerList.find(offer => isInStock(first(offer.availability)))
+    || offerList[0]
+    || {};
+  const image = first(raw.image);
+
+  return {
+    name: first(raw.name) || null,
+    image: image ? (typeof image === 'object' ? image.url || image['@id'] || null : image) : null,
+    sku: first(raw.sku) || null,
+    gtin: first(raw.gtin || raw.gtin13 || raw.gtin12 || raw.gtin14 || raw.gtin8) || null,
+    price: first(offers.price ?? offers.lowPrice ?? null),
+    priceCurrency: first(offers.priceCurrency) || null,
+    availability: first(offers.availability) || null,
+    offerCount: Array.isArray(raw.offers) ? raw.offers.length : (offers.offerCount || 1)
+  };
+}
+
+/**
+ * The offer whose url points at the same ?variant= as the page, if the page has one
+ */
+function selectedOffer(offerList, pageUrl) {
+  const variantOf = url => {
+    try {
+      return new URL(url, pageUrl).searchParams.get('variant');
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const variant = pageUrl ? variantOf(pageUrl) : null;
+  if (!variant) return null;
+  return offerList.find(offer => {
+    const url = Array.isArray(offer.url) ? offer.url[0] : offer.url;
+    return url && variantOf(url) === variant;
+  }) || null;
+}
+
+function normalizeText(text) {
+  return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function shortAvailability(availability) {
+  return String(availability).replace(/^https?:\/\/schema\.org\//, '');
+}
+
+/**
+ * Runs inside the page: collects Product objects from JSON-LD and microdata. Must stay self-contained.
+ */
+function extractProductData() {
+  const isProduct = node => {
+    const type = node && node['@type'];
+    return Array.isArray(type) ? type.includes('Product') : type === 'Product' || type === 'ProductGroup';
+  };
+
+  const jsonLd = [];
+  const parseErrors = [];
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (isProduct(node)) {
+      // ProductGroup (variants) carries offers on its variants
+      if (node['@type'] === 'ProductGroup' && !node.offers && Array.isArray(node.hasVariant)) {
+        node = { ...node, offers: node.hasVariant.map(variant => variant.offers).flat().filter(Boolean) };
+      }
+      jsonLd.push(node);
+    }
+    if (node['@graph']) visit(node['@graph']);
+  };
+
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      visit(JSON.parse(script.textContent));
+    } catch (e) {
+      parseErrors.push(e.message);
+    }
+  });
+
+  const readItem = scope => {
+    const item = {};
+    scope.querySelectorAll('[itemprop]').forEach(el => {
+      // Only direct properties of this scope
+      if (el.parentElement.closest('[itemscope]') !== scope) return;
+      const prop = el.getAttribute('itemprop');
+      let value;
+      if (el.hasAttribute('itemscope')) {
+        value = readItem(el);
+      } else if (el.hasAttribute('content')) {
+        value = el.getAttribute('content');
+      } else if (el.tagName === 'LINK' || el.tagName === 'A') {
+        value = el.getAttribute('href');
+      } else if (el.tagName === 'IMG' || el.tagName === 'META') {
+        value = el.getAttribute('src') || el.getAttribute('content');
+      } else {
+        value = el.textContent.trim();
+      }
+      item[prop] = item[prop] === undefined ? value : [].concat(item[prop], value);
+    });
+    return item;
+  };
+
+  const microdata = Array.from(document.querySelectorAll('[itemscope][itemtype*="schema.org/Product"]'))
+    .filter(scope => !scope.parentElement || !scope.parentElement.closest('[itemscope][itemtype*="schema.org/Product"]'))
+    .map(readItem);
+
+  return { jsonLd, microdata, parseErrors };
+}
@@ -0,0 +1,189 @@
+/**
+ * Visual Regression Module
+ * Compares page screenshots against stored per-URL, per-viewport baselines
+ */
+
+import chalk from 'chalk';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+
+export class VisualRegressionTester {
+  constructor(page, config) {
+    this.page = page;
+    this.config = config;
+    this.visual = config.visual;
+    this.results = {
+      passed: true,
+      status: null,
+      name: null,
+      device: null,
+      viewport: null,
+      diffPixels: 0,
+      diffRatio: 0,
+      maxDiffRatio: this.visual.maxDiffRatio,
+      baseline: null,
+      current: null,
+      diff: null,
+      errors: [],
+      warnings: []
+    };
+  }
+
+  /**
+   * Screenshot the page and compare it with the stored baseline
+   */
+  async test(url, deviceName = null) {
+    console.log(chalk.blue('\n👁️  Checking Visual Regression...'));
+
+    try {
+      const viewport = this.page.viewport() || this.config.browser.defaultViewport;
+      this.results.viewport = `${viewport.width}x${viewport.height}`;
+      this.results.device = deviceName;
+      this.results.name = baselineName(url, deviceName || this.results.viewport);
+
+      const current = await this.captureStableScreenshot();
+      const baselinePath = path.join(this.visual.baselineDir, `${this.results.name}.png`);
+      const baseline = await fs.readFile(baselinePath).catch(() => null);
+
+      if (!baseline) {
+        await fs.mkdir(this.visual.baselineDir, { recursive: true });
+        await fs.writeFile(baselinePath, current);
+        this.results.status = 'baseline_created';
+        console.log(chalk.gray(`  No baseline yet, stored ${baselinePath}`));
+        return this.results;
+      }
+
+      await this.compare(PNG.sync.read(baseline), PNG.sync.read(current), baseline, current);
+    } catch (error) {
+      this.results.status = 'error';
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'visual_regression',
+        message: 'Error running visual comparison: ' + error.message
+      });
+    }
+
+    return this.results;
+  }
+
+  /**
+   * Compare two PNGs, writing current/baseline/diff images next to the report
+   */
+  async compare(baselinePng, currentPng, baselineBuffer, currentBuffer) {
+    const width = Math.max(baselinePng.width, currentPng.width);
+    const height = Math.max(baselinePng.height, currentPng.height);
+    const baselineData = padImage(baselinePng, width, height);
+    const currentData = padImage(currentPng, width, height);
+    const diffPng = new PNG({ width, height });
+
+    this.results.diffPixels = pixelmatch(baselineData, currentData, diffPng.data, width, height, {
+      threshold: this.visual.threshold
+    });
+    this.results.diffRatio = this.results.diffPixels / (width * height);
+
+    if (baselinePng.width !== currentPng.width || baselinePng.height !== currentPng.height) {
+      this.results.warnings.push({
+        type: 'warning',
+        element: 'visual_regression',
+        message: `Page size changed from ${baselinePng.width}x${baselinePng.height} to ${currentPng.width}x${currentPng.height}`
+      });
+    }
+
+    if (this.results.diffRatio <= this.visual.maxDiffRatio) {
+      this.results.status = 'match';
+      console.log(chalk.gray(`  Matches baseline (${(this.results.diffRatio * 100).toFixed(2)}% changed)`));
+      return;
+    }
+
+    this.results.status = 'regression';
+    this.results.passed = false;
+    this.results.errors.push({
+      type: 'critical',
+      element: 'visual_regression',
+      message: `${(this.results.diffRatio * 100).toFixed(2)}% of pixels differ from baseline (allowed ${(this.visual.maxDiffRatio * 100).toFixed(2)}%)`
+    });
+
+    // Keep evidence in the report directory and a pending baseline for approval
+    const name = `${this.results.name}-${Date.now()}`;
+    const outputDir = this.visual.outputDir;
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(path.join(outputDir, `${name}-baseline.png`), baselineBuffer);
+    await fs.writeFile(path.join(outputDir, `${name}-current.png`), currentBuffer);
+    await fs.writeFile(path.join(outputDir, `${name}-diff.png`), PNG.sync.write(diffPng));
+
+    this.results.baseline = this.toReportPath(path.join(outputDir, `${name}-baseline.png`));
+    this.results.current = this.toReportPath(path.join(outputDir, `${name}-current.png`));
+    this.results.diff = this.toReportPath(path.join(outputDir, `${name}-diff.png`));
+
+    const pendingDir = path.join(this.visual.baselineDir, 'pending');
+    await fs.mkdir(pendingDir, { recursive: true });
+    await fs.writeFile(path.join(pendingDir, `${this.results.name}.png`), currentBuffer);
+  }
+
+  /**
+   * Take a screenshot with animations frozen and ignore regions hidden
+   */
+  async captureStableScreenshot() {
+    const style = await this.page.addStyleTag({
+      content: [
+        '*, *::before, *::after { animation: none !important; transition: none !important; caret-color: transparent !important; }',
+        ...this.visual.ignoreSelectors.map(selector => `${selector} { visibility: hidden !important; }`)
+      ].join('\n')
+    });
+
+    try {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return await this.page.screenshot({ fullPage: this.visual.fullPage, type: 'png' });
+    } finally {
+      await this.page.evaluate(el => el.remove(), style).catch(() => null);
+    }
+  }
+
+  /**
+   * Path relative to the report output directory
+   */
+  toReportPath(filePath) {
+    return path.relative(this.visual.reportDir, filePath).split(path.sep).join('/');
+  }
+}
+
+/**
+ * Promote pending screenshots to baselines. Approves every pending baseline when no names are given.
+ */
+export async function approveBaselines(baselineDir, names = []) {
+  const pendingDir = path.join(baselineDir, 'pending');
+  const pending = (await fs.readdir(pendingDir).catch(() => [])).filter(file => file.endsWith('.png'));
+  const selected = names.length > 0
+    ? pending.filter(file => names.some(name => file === name || file === `${name}.png`))
+    : pending;
+
+  for (const file of selected) {
+    await fs.rename(path.join(pendingDir, file), path.join(baselineDir, file));
+  }
+
+  return selected.map(file => file.replace(/\.png$/, ''));
+}
+
+/**
+ * Baseline file name for a URL and device name (or viewport size).
+ * The readable slug is shortened, so a hash of the full URL keeps long URLs that share a prefix apart.
+ */
+export function baselineName(url, profile) {
+  const slug = url.replace(/^https?:\/\//, '').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').substring(0, 80);
+  const hash = crypto.createHash('sha1').update(url).digest('hex').substring(0, 8);
+  return `${slug}-${hash}-${profile.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}`;
+}
+
+/**
+ * Copy image data into a larger transparent canvas so differently sized screenshots can be compared
+ */
+function padImage(png, width, height) {
+  if (png.width === width && png.height === height) return png.data;
+
+  const padded = new PNG({ width, height });
+  PNG.bitblt(png, padded, 0, 0, png.width, png.height, 0, 0);
+  return padded.data;
+}
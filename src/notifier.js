@@ -0,0 +1,249 @@
+/**
+ * Notifications
+ * Posts a run summary to generic webhooks, Slack and Microsoft Teams once reports are written
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { runStatus } from './history.js';
+
+export const CHANNEL_TYPES = ['webhook', 'slack', 'teams'];
+export const NOTIFY_WHEN = ['always', 'failure', 'change'];
+
+/**
+ * Check channel definitions; called while loading the config so mistakes fail fast
+ * @param {Array<object>} channels - config.notifications.channels
+ */
+export function validateChannels(channels) {
+  channels.forEach((channel, index) => {
+    const source = `Notification channel ${channel && channel.name ? `"${channel.name}"` : `#${index + 1}`}`;
+    if (!channel || typeof channel !== 'object') throw new Error(`${source} must be an object`);
+    if (!CHANNEL_TYPES.includes(channel.type)) {
+      throw new Error(`${source} has unknown type "${channel.type}" (use ${CHANNEL_TYPES.join(', ')})`);
+    }
+    if (!channel.url) throw new Error(`${source} needs a url`);
+    if (channel.when && !NOTIFY_WHEN.includes(channel.when)) {
+      throw new Error(`${source} has unknown "when" value "${channel.when}" (use ${NOTIFY_WHEN.join(', ')})`);
+    }
+  });
+}
+
+/**
+ * Send the run summary to every channel whose rule applies. Delivery problems are returned, never thrown.
+ * @param {object} notifications - config.notifications
+ * @param {object} context
+ * @param {object} context.run - snapshot of this run (history.createSnapshot)
+ * @param {object|null} context.previous - snapshot of the previous run, if any
+ * @param {object|null} context.comparison - compareRuns(previous, run)
+ * @param {string} context.outputDir - report output directory
+ * @param {boolean} context.force - ignore each channel's "when" rule
+ * @returns {Promise<Array<{channel: string, sent: boolean, reason?: string, error?: string}>>}
+ */
+export async function sendNotifications(notifications, { run, previous = null, comparison = null, outputDir, force = false }) {
+  const summary = buildSummary(run, comparison, reportLink(notifications, run, outputDir), notifications.maxItems);
+  const outcomes = [];
+
+  for (const [index, channel] of notifications.channels.entries()) {
+    const name = channel.name || `${channel.type} #${index + 1}`;
+    const skipReason = force ? null : whySkipped(channel.when || 'always', run, previous, comparison);
+
+    if (skipReason) {
+      outcomes.push({ channel: name, sent: false, reason: skipReason });
+      continue;
+    }
+
+    try {
+      const response = await fetch(expandEnv(channel.url), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...expandHeaders(channel.headers) },
+        body: JSON.stringify(formatPayload(channel.type, summary)),
+        signal: AbortSignal.timeout(notifications.timeout)
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      outcomes.push({ channel: name, sent: true });
+    } catch (error) {
+      outcomes.push({ channel: name, sent: false, error: error.message });
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Why a channel's "when" rule skips this run, or null to send
+ */
+function whySkipped(when, run, previous, comparison) {
+  if (when === 'failure' && runStatus(run) !== 'failed') return 'no failure';
+  // Without a previous run (no history, or it could not be read) nothing can be said to have changed
+  if (when === 'change' && !previous) return 'no previous run to compare with';
+  if (when === 'change' && !statusChanged(run, previous, comparison)) return 'no status change';
+  return null;
+}
+
+/**
+ * A different pass/fail verdict, or any URL that started or stopped failing
+ */
+function statusChanged(run, previous, comparison) {
+  if (runStatus(previous) !== runStatus(run)) return true;
+  return Boolean(comparison && (comparison.summary.newlyFailing > 0 || comparison.summary.fixed > 0));
+}
+
+/**
+ * Format-neutral summary; also the body posted to generic webhooks
+ */
+function buildSummary(run, comparison, reportUrl, maxItems) {
+  const byStatus = status => comparison ? comparison.urls.filter(url => url.status === status).map(url => url.key) : [];
+
+  // The same issue on many pages is one line with a count
+  const counts = new Map();
+  run.results.forEach(result => {
+    result.issues.forEach(issue => counts.set(issue, (counts.get(issue) || 0) + 1));
+  });
+  const topErrors = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, maxItems)
+    .map(([issue, count]) => ({ issue, count }));
+
+  return {
+    event: 'run.completed',
+    runId: run.id,
+    timestamp: run.timestamp,
+    status: runStatus(run),
+    reasons: run.reasons || [],
+    total: run.summary.total,
+    passed: run.summary.passed,
+    failed: run.summary.failed,
+    flaky: run.summary.flaky,
+    failing: run.results.filter(result => !result.passed).map(result => result.key).slice(0, maxItems),
+    newlyFailing: byStatus('newly_failing').slice(0, maxItems),
+    fixed: byStatus('fixed').slice(0, maxItems),
+    topErrors: topErrors,
+    reportUrl: reportUrl
+  };
+}
+
+/**
+ * Link to the HTML report: under notifications.reportBaseUrl when the output directory is published, otherwise a file URL
+ */
+function reportLink(notifications, run, outputDir) {
+  const report = run.reports.html || run.reports.json;
+  if (!report) return null;
+  if (notifications.reportBaseUrl) {
+    return new URL(report, notifications.reportBaseUrl.replace(/\/?$/, '/')).href;
+  }
+  return pathToFileURL(path.resolve(outputDir, report)).href;
+}
+
+/**
+ * Request body for a channel type
+ */
+function formatPayload(type, summary) {
+  if (type === 'slack') return slackPayload(summary);
+  if (type === 'teams') return teamsPayload(summary);
+  return summary;
+}
+
+function headline(summary) {
+  const icon = summary.status === 'failed' ? '❌' : '✅';
+  return `${icon} Product tests ${summary.status.toUpperCase()}: ${summary.failed} of ${summary.total} URLs failed`;
+}
+
+/**
+ * Slack incoming webhook: Block Kit message with a plain-text fallback
+ */
+function slackPayload(summary) {
+  // Slack mrkdwn treats <, > and & as markup
+  const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const list = items => items.map(item => `• ${escape(item)}`).join('\n');
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: headline(summary), emoji: true } },
+    {
+      type: 'section',
+      fields: [
+        { type: 'mrkdwn', text: `*Passed*\n${summary.passed}` },
+        { type: 'mrkdwn', text: `*Failed*\n${summary.failed}` },
+        { type: 'mrkdwn', text: `*Flaky*\n${summary.flaky}` },
+        { type: 'mrkdwn', text: `*Newly failing*\n${summary.newlyFailing.length}` }
+      ]
+    }
+  ];
+
+  if (summary.reasons.length > 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Why it failed*\n${list(summary.reasons)}` } });
+  }
+  if (summary.newlyFailing.length > 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Newly failing*\n${list(summary.newlyFailing)}` } });
+  }
+  if (summary.fixed.length > 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Fixed*\n${list(summary.fixed)}` } });
+  }
+  if (summary.topErrors.length > 0) {
+    const errors = summary.topErrors.map(error => `${error.issue}${error.count > 1 ? ` (${error.count} pages)` : ''}`);
+    // Section text is limited to 3000 characters
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Top errors*\n${list(errors)}`.substring(0, 3000) } });
+  }
+  if (summary.reportUrl && /^https?:/.test(summary.reportUrl)) {
+    blocks.push({
+      type: 'actions',
+      elements: [{ type: 'button', text: { type: 'plain_text', text: 'Open report' }, url: summary.reportUrl }]
+    });
+  } else if (summary.reportUrl) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `Report: ${summary.reportUrl}` }] });
+  }
+
+  return { text: headline(summary), blocks: blocks };
+}
+
+/**
+ * Microsoft Teams workflow webhook: an Adaptive Card attachment
+ */
+function teamsPayload(summary) {
+  const list = (title, items) => items.length === 0 ? [] : [
+    { type: 'TextBlock', text: title, weight: 'Bolder', spacing: 'Medium' },
+    { type: 'TextBlock', text: items.map(item => `- ${item}`).join('\n'), wrap: true }
+  ];
+
+  const card = {
+    type: 'AdaptiveCard',
+    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+    version: '1.4',
+    body: [
+      { type: 'TextBlock', text: headline(summary), size: 'Large', weight: 'Bolder', wrap: true, color: summary.status === 'failed' ? 'Attention' : 'Good' },
+      {
+        type: 'FactSet',
+        facts: [
+          { title: 'Passed', value: String(summary.passed) },
+          { title: 'Failed', value: String(summary.failed) },
+          { title: 'Flaky', value: String(summary.flaky) },
+          { title: 'Newly failing', value: String(summary.newlyFailing.length) }
+        ]
+      },
+      ...list('Why it failed', summary.reasons),
+      ...list('Newly failing', summary.newlyFailing),
+      ...list('Fixed', summary.fixed),
+      ...list('Top errors', summary.topErrors.map(error => `${error.issue}${error.count > 1 ? ` (${error.count} pages)` : ''}`))
+    ],
+    actions: summary.reportUrl && /^https?:/.test(summary.reportUrl)
+      ? [{ type: 'Action.OpenUrl', title: 'Open report', url: summary.reportUrl }]
+      : []
+  };
+
+  return {
+    type: 'message',
+    attachments: [{ contentType: 'application/vnd.microsoft.card.adaptive', content: card }]
+  };
+}
+
+/**
+ * Webhook URLs and headers can reference secrets as ${ENV_VAR}
+ */
+function expandEnv(value) {
+  return String(value).replace(/\$\{(\w+)\}/g, (match, name) => {
+    if (process.env[name] === undefined) throw new Error(`Environment variable ${name} is not set`);
+    return process.env[name];
+  });
+}
+
+function expandHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, expandEnv(value)]));
+}
@@ -0,0 +1,85 @@
+/**
+ * Plugin loading
+ * Imports custom check modules listed in config.plugins and collects the checks they register
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const SEVERITIES = ['error', 'warning'];
+
+/**
+ * Import each plugin module and collect its checks.
+ *
+ * A plugin either exports a register function:
+ *   export default function register({ registerCheck }) { registerCheck({ name, run, ... }) }
+ * or a list of checks:
+ *   export const checks = [{ name, run, ... }]
+ *
+ * @param {string[]} pluginPaths - module paths, relative to baseDir
+ * @param {string} baseDir - directory relative paths are resolved from
+ * @returns {Promise<Array<object>>} check definitions
+ */
+export async function loadPlugins(pluginPaths, baseDir = process.cwd()) {
+  const checks = [];
+
+  for (const pluginPath of pluginPaths) {
+    const resolved = path.resolve(baseDir, pluginPath);
+    let plugin;
+    try {
+      plugin = await import(pathToFileURL(resolved).href);
+    } catch (error) {
+      throw new Error(`Could not load plugin ${pluginPath}: ${error.message}`);
+    }
+
+    const registerCheck = definition => {
+      checks.push(validateCheck({ ...definition, plugin: pluginPath }, checks));
+    };
+
+    const register = plugin.default || plugin.register;
+    if (typeof register === 'function') {
+      await register({ registerCheck });
+    } else if (Array.isArray(plugin.checks)) {
+      plugin.checks.forEach(registerCheck);
+    } else {
+      throw new Error(`Plugin ${pluginPath} must export a register function or a checks array`);
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Check that a definition has what the runner needs and fill in defaults
+ */
+function validateCheck(definition, existing) {
+  const source = `Plugin ${definition.plugin}`;
+
+  if (!definition.name || typeof definition.name !== 'string') {
+    throw new Error(`${source} registered a check without a name`);
+  }
+  if (typeof definition.run !== 'function') {
+    throw new Error(`${source}: check "${definition.name}" has no run function`);
+  }
+  if (definition.setup !== undefined && typeof definition.setup !== 'function') {
+    throw new Error(`${source}: check "${definition.name}" setup must be a function`);
+  }
+  if (existing.some(check => check.name === definition.name)) {
+    throw new Error(`${source}: a check named "${definition.name}" is already registered`);
+  }
+
+  const severity = definition.severity || 'error';
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`${source}: check "${definition.name}" has invalid severity "${severity}" (use ${SEVERITIES.join(' or ')})`);
+  }
+
+  return {
+    name: definition.name,
+    title: definition.title || definition.name,
+    severity: severity,
+    platforms: definition.platforms || null,
+    setup: definition.setup || null,
+    run: definition.run,
+    plugin: definition.plugin
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Price parsing
+ * Turns displayed price text into amounts and ISO currency codes, handling the common
+ * separator conventions (1,234.56 / 1.234,56 / 1 234,56 / 1'234.56) and price ranges
+ */
+
+// Checked longest first so "CA$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['A$', 'AUD'], ['AU$', 'AUD'], ['NZ$', 'NZD'],
+  ['HK$', 'HKD'], ['S$', 'SGD'], ['R$', 'BRL'], ['MX$', 'MXN'],
+  ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'], ['₩', 'KRW'], ['₽', 'RUB'], ['₺', 'TRY'],
+  ['₪', 'ILS'], ['₱', 'PHP'], ['฿', 'THB'], ['zł', 'PLN'], ['Kč', 'CZK'], ['CHF', 'CHF'], ['Rs.', 'INR'], ['kr', 'SEK']
+];
+
+const ISO_CODES = new Set(typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('currency') : []);
+
+const NUMBER_PATTERN = /-?\d(?:[\d.,'’\s  ]*\d)?/g;
+const RANGE_SEPARATOR = /^\s*(?:-|–|—|to|bis|à)\s*$/i;
+
+// A currency symbol or three-letter code directly before or after a number
+const SYMBOL_PATTERN = [...CURRENCY_SYMBOLS.map(([symbol]) => symbol.replace(/[.$]/g, '\\$&')), '\\$'].join('|');
+const MARKER_BEFORE = new RegExp(`(${SYMBOL_PATTERN}|\\b[A-Z]{3})\\s?$`);
+const MARKER_AFTER = new RegExp(`^\\s?(${SYMBOL_PATTERN}|[A-Z]{3}\\b)`);
+
+// Labels allowed next to a price without a currency ("Price: 49", "From 10 - 20")
+const PRICE_LABELS = /\b(?:(?:sale|regular|unit)\s+)?price\b|\bfrom\b|\bnow\b|\bto\b|[:\s\-–—]/gi;
+
+/**
+ * Parse a displayed price.
+ * With a currency marker, the price is the first number next to it ("Only 3 left $20" is 20).
+ * Without one, only a number with at most a label such as "Price:" counts; other text
+ * ("Sold out 0 items") returns null.
+ *
+ * @param {string} text - displayed price text
+ * @param {object} options - { defaultCurrency } used for "$" and bare numbers
+ * @returns {{amount: number, currency: string|null, min: number, max: number, isRange: boolean, amounts: number[]}|null}
+ */
+export function parsePrice(text, options = {}) {
+  if (!text) return null;
+  const source = String(text).replace(/\s+/g, ' ').trim();
+
+  const currency = detectCurrency(source, options.defaultCurrency);
+  let matches = Array.from(source.matchAll(NUMBER_PATTERN));
+  if (matches.length === 0) return null;
+
+  if (currency) {
+    // Stray numbers before the price ("Only 3 left", "Save 20%") are skipped
+    const anchor = matches.findIndex(match => nextToCurrency(source, match));
+    if (anchor > 0) matches = matches.slice(anchor);
+  } else if (source.replace(NUMBER_PATTERN, '').replace(PRICE_LABELS, '') !== '') {
+    return null;
+  }
+
+  const amounts = matches.map(match => parseAmount(match[0]));
+
+  // A minus right before the currency symbol ("-$5.00") applies to the first amount; a spaced dash ("2 - $5") does not
+  if (amounts[0] > 0 && /(?:^|\s)-[^\d\s-]{1,4}\s?$/.test(source.slice(0, matches[0].index))) {
+    amounts[0] = -amounts[0];
+  }
+
+  // Two amounts joined by a dash or "to" form a range ("$10 – $20")
+  let isRange = false;
+  if (matches.length >= 2) {
+    const between = source.slice(matches[0].index + matches[0][0].length, matches[1].index)
+      .replace(/[A-Z]{0,3}\$|\b[A-Z]{3}\b/g, '')
+      .replace(/[^\s\-–—a-zà]/gi, '');
+    isRange = RANGE_SEPARATOR.test(between);
+  }
+
+  const amount = amounts[0];
+  return {
+    amount: amount,
+    currency: currency || options.defaultCurrency || null,
+    min: isRange ? Math.min(amounts[0], amounts[1]) : amount,
+    max: isRange ? Math.max(amounts[0], amounts[1]) : amount,
+    isRange: isRange,
+    amounts: amounts
+  };
+}
+
+/**
+ * Whether a currency symbol or ISO code sits directly before or after a number
+ */
+function nextToCurrency(source, match) {
+  const isMarker = marker => !/^[A-Z]{3}$/.test(marker) || ISO_CODES.has(marker);
+  const before = source.slice(0, match.index).match(MARKER_BEFORE);
+  const after = source.slice(match.index + match[0].length).match(MARKER_AFTER);
+  return Boolean((before && isMarker(before[1])) || (after && isMarker(after[1])));
+}
+
+/**
+ * Parse one number token, working out which separator is the decimal point
+ */
+export function parseAmount(token) {
+  const negative = token.trim().startsWith('-');
+  let number = token.replace(/[-\s  '’]/g, '');
+
+  const lastDot = number.lastIndexOf('.');
+  const lastComma = number.lastIndexOf(',');
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both present: whichever comes last is the decimal separator
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const grouping = decimal === '.' ? ',' : '.';
+    number = number.split(grouping).join('').replace(decimal, '.');
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const parts = number.split(separator);
+    // A single separator followed by exactly three digits is grouping ("1,000" / "1.000")
+    const isGrouping = parts.length > 2 || parts[parts.length - 1].length === 3;
+    number = isGrouping ? parts.join('') : parts.join('.');
+  }
+
+  const amount = parseFloat(number);
+  if (Number.isNaN(amount)) return NaN;
+  return negative ? -amount : amount;
+}
+
+/**
+ * ISO currency code for the symbol or code found in the text
+ */
+export function detectCurrency(text, defaultCurrency = null) {
+  // Only codes written next to a number, so words like "ALL" or "TOP" are not mistaken for currencies
+  const code = Array.from(text.matchAll(/\b([A-Z]{3})\s?(?=[\d-])|\d\s?([A-Z]{3})\b/g))
+    .map(match => match[1] || match[2])
+    .find(candidate => ISO_CODES.has(candidate));
+  if (code) return code;
+
+  for (const [symbol, iso] of CURRENCY_SYMBOLS) {
+    if (text.includes(symbol)) return iso;
+  }
+
+  if (text.includes('$')) {
+    return defaultCurrency && /D$/.test(defaultCurrency) ? defaultCurrency : 'USD';
+  }
+
+  return null;
+}
@@ -1,18 +1,33 @@
 /**
  * Test Report Generator
- * Generates comprehensive test reports in JSON and HTML formats
+ * Generates comprehensive test reports in JSON, HTML, JUnit XML and TAP formats
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { formatValue } from './modules/performanceMonitor.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+export const REPORT_FORMATS = ['json', 'html', 'junit', 'tap'];
+
+// Product page error elements grouped into one test case per check
+const PRODUCT_PAGE_CHECKS = [
+  { name: 'Title', elements: ['product_title'] },
+  { name: 'Price', elements: ['product_price'] },
+  { name: 'Add to cart', elements: ['add_to_cart_button'] },
+  { name: 'Description', elements: ['product_description'] },
+  { name: 'Product images', elements: ['product_images'] },
+  { name: 'Variants', elements: ['product_variants', 'product_variant_combination'] },
+  { name: 'Meta information', elements: ['meta_title', 'meta_description', 'meta_information'] }
+];
+
 export class Reporter {
-  constructor(outputDir = './reports') {
+  constructor(outputDir = './reports', formats = ['json', 'html']) {
     this.outputDir = outputDir;
+    this.formats = formats;
   }
 
   /**
@@ -25,15 +40,29 @@ export class Reporter {
     // Ensure output directory exists
     await fs.mkdir(this.outputDir, { recursive: true });
 
-    // Generate JSON report
+    // The JSON report is also the data embedded in the HTML report
     const jsonReport = this.generateJSONReport(testResults, timestamp);
-    const jsonPath = path.join(this.outputDir, `${reportId}.json`);
-    await fs.writeFile(jsonPath, JSON.stringify(jsonReport, null, 2));
+    const paths = { json: null, html: null, junit: null, tap: null };
+
+    if (this.formats.includes('json')) {
+      paths.json = path.join(this.outputDir, `${reportId}.json`);
+      await fs.writeFile(paths.json, JSON.stringify(jsonReport, null, 2));
+    }
+
+    if (this.formats.includes('html')) {
+      paths.html = path.join(this.outputDir, `${reportId}.html`);
+      await fs.writeFile(paths.html, this.generateHTMLReport(testResults, timestamp, jsonReport));
+    }
+
+    if (this.formats.includes('junit')) {
+      paths.junit = path.join(this.outputDir, `${reportId}.xml`);
+      await fs.writeFile(paths.junit, this.generateJUnitReport(testResults, timestamp));
+    }
 
-    // Generate HTML report
-    const htmlReport = this.generateHTMLReport(testResults, timestamp, jsonReport);
-    const htmlPath = path.join(this.outputDir, `${reportId}.html`);
-    await fs.writeFile(htmlPath, htmlReport);
+    if (this.formats.includes('tap')) {
+      paths.tap = path.join(this.outputDir, `${reportId}.tap`);
+      await fs.writeFile(paths.tap, this.generateTAPReport(testResults));
+    }
 
     // Generate summary
     const summary = this.generateSummary(testResults, timestamp);
@@ -43,8 +72,7 @@ export class Reporter {
     this.printCLISummary(testResults);
     
     return {
-      json: jsonPath,
-      html: htmlPath,
+      ...paths,
       summary: summaryPath,
       reportId: reportId
     };
@@ -64,11 +92,64 @@ printCLISummary(testResults) {
   
       console.log(`Test ${index + 1}: ${result.url}`);
       console.log(`Platform: ${result.platform}`);
-      console.log(`Overall Status: ${overall}`);
+      if (result.device) {
+        console.log(`Device: ${result.device}`);
+      }
+      console.log(`Overall Status: ${overall}${result.overall.flaky ? ' (FLAKY)' : ''}`);
+      if (result.attempts && result.attempts.length > 1) {
+        console.log(`Attempts: ${result.attempts.length}`);
+      }
       console.log('--------------------------------------------------');
       console.log(`📦 Product Page Elements : ${productPageStatus}`);
       console.log(`🖼 Images Check          : ${imagesStatus}`);
       console.log(`🚨 Error Detection      : ${errorStatus}`);
+      const suppressedCount = (result.errors.suppressed || []).length + ((result.images && result.images.suppressed) || []).length;
+      if (suppressedCount > 0) {
+        console.log(`🔕 Known Issues         : ${suppressedCount} suppressed`);
+      }
+      if (result.structuredData) {
+        const structuredDataStatus = result.structuredData.passed ? '✅ PASSED' : '❌ FAILED';
+        console.log(`🏷 Structured Data      : ${structuredDataStatus}`);
+      }
+      if (result.seo) {
+        const seoStatus = result.seo.passed ? '✅ PASSED' : '❌ FAILED';
+        console.log(`🔎 SEO                  : ${seoStatus}`);
+      }
+      if (result.platformApi) {
+        const platformApiStatus = result.platformApi.skipped ? '⏭ SKIPPED' : (result.platformApi.passed ? '✅ PASSED' : '❌ FAILED');
+        console.log(`🔗 Platform API         : ${platformApiStatus}`);
+      }
+      if (result.accessibility) {
+        const accessibilityStatus = result.accessibility.passed ? '✅ PASSED' : '❌ FAILED';
+        console.log(`♿ Accessibility        : ${accessibilityStatus}`);
+      }
+      if (result.performance) {
+        const performanceStatus = result.performance.passed ? '✅ PASSED' : '❌ FAILED';
+        console.log(`⏱ Performance          : ${performanceStatus}`);
+      }
+      if (result.visual) {
+        const visualStatus = result.visual.passed ? `✅ ${result.visual.status.toUpperCase()}` : '❌ REGRESSION';
+        console.log(`👁 Visual Regression    : ${visualStatus}`);
+      }
+      if (result.custom) {
+        result.custom.checks.forEach(check => {
+          const checkStatus = check.passed ? '✅ PASSED' : (check.severity === 'error' ? '❌ FAILED' : '⚠️ WARNING');
+          console.log(`🧩 ${check.title.padEnd(20).substring(0, 20)} : ${checkStatus}`);
+        });
+      }
+      if (result.cartFlow) {
+        const cartFlowStatus = result.cartFlow.skipped ? '⏭ SKIPPED' : (result.cartFlow.passed ? '✅ PASSED' : '❌ FAILED');
+        console.log(`🛒 Cart Flow            : ${cartFlowStatus}`);
+      }
+      if (result.checkout) {
+        const checkoutStatus = result.checkout.skipped ? '⏭ SKIPPED' : (result.checkout.passed ? '✅ PASSED' : '❌ FAILED');
+        console.log(`💳 Checkout             : ${checkoutStatus}`);
+      }
+      if (result.scenarios) {
+        result.scenarios.scenarios.forEach(scenario => {
+          console.log(`🎬 ${scenario.name.padEnd(20).substring(0, 20)} : ${scenario.passed ? '✅ PASSED' : '❌ FAILED'}`);
+        });
+      }
   
       if (!result.productPage.passed) {
         console.log('\n❗ Product Page Errors:');
@@ -81,6 +162,26 @@ printCLISummary(testResults) {
     });
   }
   
+  /**
+   * Print a run comparison to the terminal
+   */
+  printComparison(comparison) {
+    const { summary } = comparison;
+    console.log(`\n📈 ${comparison.base.id} → ${comparison.head.id}`);
+    console.log(`   Newly failing: ${summary.newlyFailing}, fixed: ${summary.fixed}, still failing: ${summary.stillFailing}, new URLs: ${summary.added}, not tested: ${summary.removed}`);
+
+    comparison.urls.filter(url => url.status !== 'passing' || url.newIssues.length > 0).forEach(url => {
+      const label = { newly_failing: '❌ NEWLY FAILING', still_failing: '❌ still failing', fixed: '✅ fixed', passing: '✅ passing', added: '➕ new', removed: '➖ not tested' }[url.status];
+      console.log(`\n   ${label}: ${url.key}`);
+      url.newIssues.forEach(issue => console.log(`     + ${issue}`));
+      url.resolvedIssues.forEach(issue => console.log(`     - ${issue}`));
+      if (url.imageFailures.base !== url.imageFailures.head && url.imageFailures.base !== null && url.imageFailures.head !== null) {
+        console.log(`     Image failures: ${url.imageFailures.base} → ${url.imageFailures.head}`);
+      }
+    });
+    console.log('');
+  }
+
   /**
    * Generate JSON report
    */
@@ -95,16 +196,31 @@ printCLISummary(testResults) {
         overallStatus: this.getOverallStatus(testResults),
         totalTests: testResults.length,
         passed: testResults.filter(r => r.overall.passed).length,
-        failed: testResults.filter(r => !r.overall.passed).length
+        failed: testResults.filter(r => !r.overall.passed).length,
+        flaky: testResults.filter(r => r.overall.flaky).length,
+        devices: this.getDeviceSummary(testResults)
       },
       results: testResults.map(result => ({
         url: result.url,
         platform: result.platform,
+        device: result.device || null,
         timestamp: result.timestamp,
         overall: result.overall,
+        attempts: result.attempts || [],
         productPage: result.productPage,
         images: result.images,
-        errors: result.errors
+        errors: result.errors,
+        performance: result.performance,
+        structuredData: result.structuredData,
+        seo: result.seo,
+        platformApi: result.platformApi,
+        accessibility: result.accessibility,
+        screenshots: result.screenshots,
+        visual: result.visual,
+        custom: result.custom,
+        cartFlow: result.cartFlow,
+        checkout: result.checkout,
+        scenarios: result.scenarios
       }))
     };
   }
@@ -144,6 +260,8 @@ printCLISummary(testResults) {
         .summary-card.failed { border-left-color: #ef4444; }
         .summary-card h3 { color: #374151; font-size: 14px; text-transform: uppercase; margin-bottom: 10px; }
         .summary-card .value { font-size: 32px; font-weight: bold; color: #1f2937; }
+        .device-heading { color: #1f2937; font-size: 20px; margin: 10px 0 20px; padding-bottom: 8px; border-bottom: 2px solid #3b82f6; }
+        .device-heading span { color: #6b7280; font-size: 14px; font-weight: normal; }
         .test-result {
             margin-bottom: 40px;
             padding: 20px;
@@ -168,6 +286,8 @@ printCLISummary(testResults) {
         }
         .status-passed { background: #d1fae5; color: #065f46; }
         .status-failed { background: #fee2e2; color: #991b1b; }
+        .status-flaky { background: #fef3c7; color: #92400e; margin-right: 8px; }
+        .summary-card.flaky { border-left-color: #f59e0b; }
         .section {
             margin-bottom: 25px;
         }
@@ -204,6 +324,29 @@ printCLISummary(testResults) {
             border-left: 4px solid #f59e0b;
             color: #92400e;
         }
+        .variant-table { width: 100%; border-collapse: collapse; background: white; font-size: 14px; }
+        .variant-table th, .variant-table td { padding: 8px 10px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+        .variant-table th { color: #6b7280; font-size: 12px; text-transform: uppercase; }
+        .variant-table tr.broken td { background: #fee2e2; }
+        .severity { padding: 2px 8px; border-radius: 4px; font-size: 12px; font-weight: 600; }
+        .severity-critical { background: #fee2e2; color: #991b1b; }
+        .severity-serious { background: #ffedd5; color: #9a3412; }
+        .severity-moderate { background: #fef3c7; color: #92400e; }
+        .severity-minor { background: #e5e7eb; color: #374151; }
+        .variant-table tr.over-budget td { background: #fee2e2; color: #991b1b; }
+        .variant-table tr.out-of-stock td { color: #6b7280; }
+        .suppressed-item { background: #f3f4f6; color: #4b5563; padding: 8px 12px; border-radius: 4px; margin-bottom: 6px; font-size: 13px; }
+        .suppressed-url { word-break: break-all; }
+        .suppressed-rule { color: #6b7280; font-size: 12px; }
+        .screenshots { display: flex; flex-wrap: wrap; gap: 12px; }
+        .screenshot { background: white; padding: 8px; border-radius: 4px; border: 1px solid #e5e7eb; font-size: 12px; color: #6b7280; max-width: 260px; }
+        .screenshot img { display: block; max-width: 240px; max-height: 180px; object-fit: cover; object-position: top; cursor: zoom-in; margin-bottom: 6px; }
+        .visual-compare { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+        .visual-compare .screenshot { max-width: none; }
+        .visual-compare .screenshot img { max-width: 100%; max-height: 300px; }
+        .lightbox { display: none; position: fixed; inset: 0; background: rgba(0,0,0,0.85); z-index: 1000; cursor: zoom-out; overflow: auto; padding: 30px; }
+        .lightbox.open { display: block; }
+        .lightbox img { display: block; max-width: 100%; margin: 0 auto; }
         .metric {
             display: inline-block;
             padding: 6px 12px;
@@ -239,10 +382,27 @@ printCLISummary(testResults) {
                 <h3>Failed</h3>
                 <div class="value">${jsonReport.summary.failed}</div>
             </div>
+            <div class="summary-card flaky">
+                <h3>Flaky</h3>
+                <div class="value">${jsonReport.summary.flaky}</div>
+            </div>
         </div>
 
-        ${testResults.map(result => this.generateTestResultHTML(result)).join('')}
+        ${this.groupByDevice(testResults).map(group => `
+            ${group.device ? `<h2 class="device-heading">📱 ${this.escapeHtml(group.device)} <span>(${group.results.filter(r => r.overall.passed).length}/${group.results.length} passed)</span></h2>` : ''}
+            ${group.results.map(result => this.generateTestResultHTML(result)).join('')}
+        `).join('')}
     </div>
+    <div class="lightbox" id="lightbox" onclick="this.classList.remove('open')"><img alt="Screenshot"></div>
+    <script>
+        document.querySelectorAll('.screenshot img').forEach(function (img) {
+            img.addEventListener('click', function () {
+                var lightbox = document.getElementById('lightbox');
+                lightbox.querySelector('img').src = img.src;
+                lightbox.classList.add('open');
+            });
+        });
+    </script>
 </body>
 </html>`;
   }
@@ -257,9 +417,14 @@ printCLISummary(testResults) {
     return `
         <div class="test-result">
             <div class="test-header">
-                <div class="test-url">${this.escapeHtml(result.url)}</div>
-                <div class="test-status ${statusClass}">${status}</div>
+                <div class="test-url">${this.escapeHtml(result.url)}${result.device ? ` <span style="color:#6b7280; font-weight:normal;">[${this.escapeHtml(result.device)}]</span>` : ''}</div>
+                <div>
+                    ${result.overall.flaky ? '<span class="test-status status-flaky">FLAKY</span>' : ''}
+                    <span class="test-status ${statusClass}">${status}</span>
+                </div>
             </div>
+            ${this.generateAttemptsHTML(result.attempts)}
+            ${this.generateScreenshotsHTML(result.screenshots)}
             
             <div class="section">
                 <div class="section-title">📦 Product Page Elements</div>
@@ -275,20 +440,19 @@ printCLISummary(testResults) {
                 ` : ''}
             </div>
 
-            ${result.productPage.variants && result.productPage.variants.length > 0 ? `
-<div class="section">
-    <div class="section-title">🧩 Product Variants</div>
-    ${result.productPage.variants.map(variant => `
-        <div class="element-item found">
-            <strong>${this.escapeHtml(variant.name || 'Variant')}:</strong>
-            ${variant.options ? this.escapeHtml(variant.options.join(', ')) : 'Options not available'}
-            ${variant.available === false 
-              ? '<span style="color:#ef4444;"> (Out of Stock)</span>' 
-              : '<span style="color:#10b981;"> (Available)</span>'}
-        </div>
-    `).join('')}
-</div>
-` : ''}
+            ${this.generateVariantsHTML(result.productPage.variants)}
+            ${this.generateExpectationsHTML(result.productPage.expectations)}
+
+            ${this.generateStructuredDataHTML(result.structuredData)}
+            ${this.generateSeoHTML(result.seo)}
+            ${this.generatePlatformApiHTML(result.platformApi)}
+            ${this.generateAccessibilityHTML(result.accessibility)}
+            ${this.generatePerformanceHTML(result.performance)}
+            ${this.generateVisualHTML(result.visual)}
+            ${this.generateCustomChecksHTML(result.custom)}
+            ${result.cartFlow ? this.generateStepsHTML('🛒 Cart Flow', result.cartFlow) : ''}
+            ${result.checkout ? this.generateStepsHTML('💳 Checkout', result.checkout) : ''}
+            ${result.scenarios ? result.scenarios.scenarios.map(scenario => this.generateStepsHTML(`🎬 Scenario: ${this.escapeHtml(scenario.name)}`, scenario)).join('') : ''}
 
             <div class="section">
                 <div class="section-title">🖼️ Image Validation</div>
@@ -347,10 +511,444 @@ printCLISummary(testResults) {
                     </div>
                 ` : ''}
             </div>
+            ${this.generateSuppressedHTML(result)}
         </div>
     `;
   }
 
+  /**
+   * Generate HTML for failures suppressed by known-issue rules, with the rule that matched
+   */
+  generateSuppressedHTML(result) {
+    const suppressed = [...((result.errors && result.errors.suppressed) || []), ...((result.images && result.images.suppressed) || [])];
+    if (suppressed.length === 0) return '';
+
+    return `
+            <div class="section">
+                <div class="section-title">🔕 Suppressed Known Issues (${suppressed.length})</div>
+                ${suppressed.map(item => `
+                    <div class="suppressed-item">
+                        <strong>${item.type}:</strong> ${this.escapeHtml(item.message)}
+                        ${item.url ? `<div class="suppressed-url">${this.escapeHtml(item.url)}</div>` : ''}
+                        <div class="suppressed-rule">
+                            Rule <code>${this.escapeHtml(item.rule.id)}</code>${item.rule.description ? ` - ${this.escapeHtml(item.rule.description)}` : ''}
+                            ${item.rule.ticket ? ` · ${/^https?:\/\//.test(item.rule.ticket) ? `<a href="${this.escapeHtml(item.rule.ticket)}">${this.escapeHtml(item.rule.ticket)}</a>` : this.escapeHtml(item.rule.ticket)}` : ''}
+                            ${item.rule.expires ? ` · expires ${this.escapeHtml(item.rule.expires)}` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+    `;
+  }
+
+  /**
+   * Generate HTML for retry attempts (only shown when a URL was retried)
+   */
+  generateAttemptsHTML(attempts) {
+    if (!attempts || attempts.length <= 1) return '';
+
+    return `
+            <div class="section">
+                <div class="section-title">🔁 Attempts</div>
+                ${attempts.map(attempt => `
+                    <div class="element-item ${attempt.passed ? 'found' : 'missing'}">
+                        <strong>Attempt ${attempt.attempt}:</strong>
+                        ${attempt.passed ? '✓ Passed' : '✗ Failed'} in ${attempt.duration}ms
+                        ${attempt.failedChecks.length > 0 ? ` - failed: ${this.escapeHtml(attempt.failedChecks.join(', '))}` : ''}
+                        ${attempt.error ? ` (${this.escapeHtml(attempt.error)})` : ''}
+                    </div>
+                `).join('')}
+            </div>
+    `;
+  }
+
+  /**
+   * Generate HTML for a step-based flow (cart flow, checkout, scenarios)
+   */
+  generateStepsHTML(title, flow) {
+    return `
+            <div class="section">
+                <div class="section-title">${title}${flow.skipped ? ' (skipped)' : ''}</div>
+                ${flow.steps.map(step => `
+                    <div class="element-item ${step.passed || step.skipped ? 'found' : 'missing'}">
+                        <strong>${this.escapeHtml(step.name.replace(/_/g, ' '))}:</strong>
+                        ${step.skipped ? '⏭ Skipped' : `${step.passed ? '✓ Passed' : '✗ Failed'} in ${step.duration}ms`}
+                        ${step.result && step.result.signal ? ` - detected via ${this.escapeHtml(step.result.signal)}` : ''}
+                        ${step.error ? ` (${this.escapeHtml(step.error)})` : ''}
+                        ${step.screenshot ? `
+                        <div class="screenshot"><img src="${this.escapeHtml(step.screenshot)}" alt="${this.escapeHtml(step.name)}" loading="lazy"></div>
+                        ` : ''}
+                    </div>
+                `).join('')}
+                ${flow.elements && flow.elements.shippingRates ? `
+                    <div class="element-item found"><strong>Shipping Rates:</strong> ${this.escapeHtml(flow.elements.shippingRates.join(' | '))}</div>
+                ` : ''}
+                ${flow.elements && flow.elements.total ? `
+                    <div class="element-item found"><strong>Total:</strong> ${this.escapeHtml(flow.elements.total)}</div>
+                ` : ''}
+                ${flow.warnings.map(w => `
+                    <div class="warning-item">${this.escapeHtml(w.message)}</div>
+                `).join('')}
+            </div>
+    `;
+  }
+
+  /**
+   * Generate HTML for failure screenshots
+   */
+  generateScreenshotsHTML(screenshots) {
+    if (!screenshots || (!screenshots.fullPage && screenshots.elements.length === 0)) return '';
+
+    const shots = [
+      ...(screenshots.fullPage ? [{ path: screenshots.fullPage, caption: 'Full page' }] : []),
+      ...screenshots.elements.map(shot => ({ path: shot.path, caption: `${shot.element}: ${shot.message}` }))
+    ];
+
+    return `
+            <div class="section">
+                <div class="section-title">📸 Failure Screenshots</div>
+                <div class="screenshots">
+                    ${shots.map(shot => `
+                    <div class="screenshot">
+                        <img src="${this.escapeHtml(shot.path)}" alt="${this.escapeHtml(shot.caption)}" loading="lazy">
+                        ${this.escapeHtml(shot.caption)}
+                    </div>
+                    `).join('')}
+                </div>
+            </div>
+    `;
+  }
+
+  /**
+   * Generate the expected-vs-actual field diff table (--expect)
+   */
+  generateExpectationsHTML(expectations) {
+    if (!expectations) return '';
+
+    const format = value => (value === null || value === undefined ? '-' : this.escapeHtml(String(value)));
+
+    return `
+            <div class="section">
+                <div class="section-title">🎯 Expected Data (matched by ${this.escapeHtml(expectations.matchedBy)}: ${this.escapeHtml(expectations.key)})</div>
+                <table class="variant-table">
+                    <thead>
+                        <tr><th>Field</th><th>Expected</th><th>Actual</th><th>Status</th></tr>
+                    </thead>
+                    <tbody>
+                        ${expectations.diffs.map(diff => `
+                        <tr class="${diff.passed ? '' : 'broken'}">
+                            <td>${this.escapeHtml(diff.field)}</td>
+                            <td>${format(diff.expected)}</td>
+                            <td>${format(diff.actual)}</td>
+                            <td>${diff.passed ? '✓' : '✗'}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+    `;
+  }
+
+  /**
+   * Generate the structured data field and cross-check table
+   */
+  generateStructuredDataHTML(structuredData) {
+    if (!structuredData) return '';
+
+    return `
+            <div class="section">
+                <div class="section-title">🏷️ Structured Data${structuredData.source ? ` (${structuredData.source})` : ''}</div>
+                ${structuredData.checks.length > 0 ? `
+                <table class="variant-table">
+                    <thead>
+                        <tr><th>Check</th><th>Status</th><th>Markup</th><th>Page</th><th>Details</th></tr>
+                    </thead>
+                    <tbody>
+                        ${structuredData.checks.map(check => `
+                        <tr>
+                            <td>${this.escapeHtml(check.field)}</td>
+                            <td>${check.passed ? '✓' : '✗'}</td>
+                            <td>${check.expected !== undefined ? this.escapeHtml(String(check.expected)) : ''}</td>
+                            <td>${check.actual !== undefined ? this.escapeHtml(String(check.actual)) : ''}</td>
+                            <td>${this.escapeHtml(check.message)}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ` : ''}
+                ${structuredData.errors.map(e => `
+                    <div class="error-item">${this.escapeHtml(e.message)}</div>
+                `).join('')}
+                ${structuredData.warnings.map(w => `
+                    <div class="warning-item">${this.escapeHtml(w.message)}</div>
+                `).join('')}
+            </div>
+    `;
+  }
+
+  /**
+   * Generate the SEO checks table
+   */
+  generateSeoHTML(seo) {
+    if (!seo) return '';
+
+    return `
+            <div class="section">
+                <div class="section-title">🔎 SEO &amp; Social Meta</div>
+                ${seo.checks.length > 0 ? `
+                <table class="variant-table">
+                    <thead>
+                        <tr><th>Check</th><th>Severity</th><th>Status</th><th>Issues</th></tr>
+                    </thead>
+                    <tbody>
+                        ${seo.checks.map(check => `
+                        <tr>
+                            <td>${this.escapeHtml(check.label)}</td>
+                            <td><span class="severity severity-${check.severity === 'error' ? 'critical' : 'moderate'}">${check.severity}</span></td>
+                            <td>${check.passed ? '✓' : '✗'}</td>
+                            <td>${check.issues.map(issue => this.escapeHtml(issue)).join('<br>')}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ` : ''}
+                ${seo.warnings.filter(w => w.element === 'seo').map(w => `
+                    <div class="warning-item">${this.escapeHtml(w.message)}</div>
+                `).join('')}
+            </div>
+    `;
+  }
+
+  /**
+   * Generate the platform API vs page comparison table
+   */
+  generatePlatformApiHTML(platformApi) {
+    if (!platformApi) return '';
+
+    const format = value => (value === null || value === undefined ? '-' : this.escapeHtml(String(value)));
+
+    return `
+            <div class="section">
+                <div class="section-title">🔗 Platform API${platformApi.skipped ? ' (skipped)' : ''}</div>
+                ${platformApi.source ? `<div class="metric"><span class="metric-label">Source:</span> <code>${this.escapeHtml(platformApi.source)}</code></div>` : ''}
+                ${platformApi.checks.length > 0 ? `
+                <table class="variant-table">
+                    <thead>
+                        <tr><th>Field</th><th>API</th><th>Page</th><th>Status</th><th>Details</th></tr>
+                    </thead>
+                    <tbody>
+                        ${platformApi.checks.map(check => `
+                        <tr class="${check.passed ? '' : 'broken'}">
+                            <td>${this.escapeHtml(check.field)}</td>
+                            <td>${format(check.api)}</td>
+                            <td>${format(check.page)}</td>
+                            <td>${check.passed ? '✓' : '✗'}</td>
+                            <td>${this.escapeHtml(check.message)}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ` : ''}
+                ${platformApi.warnings.filter(w => w.element === 'platform_api').map(w => `
+                    <div class="warning-item">${this.escapeHtml(w.message)}</div>
+                `).join('')}
+            </div>
+    `;
+  }
+
+  /**
+   * Generate one section per plugin check
+   */
+  generateCustomChecksHTML(custom) {
+    if (!custom) return '';
+
+    const formatDetails = details => {
+      if (!details) return '';
+      if (typeof details !== 'object') return `<div>${this.escapeHtml(String(details))}</div>`;
+      const rows = Array.isArray(details) ? details.map((value, i) => [i + 1, value]) : Object.entries(details);
+      return `
+                <table class="variant-table">
+                    <tbody>
+                        ${rows.map(([key, value]) => `
+                        <tr>
+                            <td>${this.escapeHtml(String(key))}</td>
+                            <td>${this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value))}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>`;
+    };
+
+    return custom.checks.map(check => `
+            <div class="section">
+                <div class="section-title">🧩 ${this.escapeHtml(check.title)}</div>
+                <div class="element-item ${check.passed ? 'found' : 'missing'}">
+                    <strong>${check.passed ? '✓ Passed' : (check.severity === 'error' ? '✗ Failed' : '⚠ Warning')}</strong>
+                    in ${check.duration}ms${check.message ? ` - ${this.escapeHtml(check.message)}` : ''}
+                </div>
+                ${check.issues.filter(issue => issue !== check.message).map(issue => `
+                    <div class="${check.severity === 'error' ? 'error-item' : 'warning-item'}">${this.escapeHtml(issue)}</div>
+                `).join('')}
+                ${formatDetails(check.details)}
+            </div>
+    `).join('');
+  }
+
+  /**
+   * Generate the accessibility findings table
+   */
+  generateAccessibilityHTML(accessibility) {
+    if (!accessibility) return '';
+
+    const summary = accessibility.summary;
+
+    return `
+            <div class="section">
+                <div class="section-title">♿ Accessibility</div>
+                <div>
+                    ${['critical', 'serious', 'moderate', 'minor'].map(severity => `
+                    <span class="metric">
+                        <span class="metric-label">${severity[0].toUpperCase() + severity.slice(1)}:</span>
+                        <span class="metric-value">${summary[severity]}</span>
+                    </span>
+                    `).join('')}
+                </div>
+                ${accessibility.findings.length > 0 ? `
+                <table class="variant-table">
+                    <thead>
+                        <tr><th>Severity</th><th>WCAG</th><th>Rule</th><th>Element</th><th>Issue</th></tr>
+                    </thead>
+                    <tbody>
+                        ${accessibility.findings.map(finding => `
+                        <tr>
+                            <td><span class="severity severity-${finding.severity}">${finding.severity}</span></td>
+                            <td>${this.escapeHtml(finding.wcag)}</td>
+                            <td>${this.escapeHtml(finding.id)}</td>
+                            <td><code>${this.escapeHtml(finding.target)}</code></td>
+                            <td>${this.escapeHtml(finding.message)}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ` : ''}
+                ${accessibility.warnings.filter(w => w.element === 'accessibility').map(w => `
+                    <div class="warning-item">${this.escapeHtml(w.message)}</div>
+                `).join('')}
+            </div>
+    `;
+  }
+
+  /**
+   * Generate the performance metrics and budget table
+   */
+  generatePerformanceHTML(performance) {
+    if (!performance || !performance.metrics) return '';
+
+    const labels = {
+      lcp: 'LCP', cls: 'CLS', inp: 'INP', tbt: 'TBT', fcp: 'FCP', ttfb: 'TTFB',
+      domContentLoaded: 'DOM Content Loaded', load: 'Load', transferSize: 'Transfer Size', requestCount: 'Requests'
+    };
+    const overBudget = new Set(performance.violations.map(v => v.metric));
+
+    return `
+            <div class="section">
+                <div class="section-title">⏱️ Performance</div>
+                <table class="variant-table">
+                    <thead>
+                        <tr><th>Metric</th><th>Value</th><th>Budget</th><th>Status</th></tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(labels).filter(([metric]) => metric in performance.metrics).map(([metric, label]) => {
+                          const budget = performance.budgets[metric];
+                          const hasBudget = budget !== null && budget !== undefined;
+                          return `
+                        <tr class="${overBudget.has(metric) ? 'over-budget' : ''}">
+                            <td>${label}</td>
+                            <td>${this.escapeHtml(formatValue(metric, performance.metrics[metric]))}</td>
+                            <td>${hasBudget ? this.escapeHtml(formatValue(metric, budget)) : '-'}</td>
+                            <td>${overBudget.has(metric) ? '✗ Over budget' : (hasBudget && performance.metrics[metric] !== null ? '✓' : '')}</td>
+                        </tr>`;
+                        }).join('')}
+                    </tbody>
+                </table>
+                ${performance.warnings.map(w => `
+                    <div class="warning-item">${this.escapeHtml(w.message)}</div>
+                `).join('')}
+            </div>
+    `;
+  }
+
+  /**
+   * Generate HTML for the visual regression comparison
+   */
+  generateVisualHTML(visual) {
+    if (!visual) return '';
+
+    const statusText = {
+      match: `✓ Matches baseline (${(visual.diffRatio * 100).toFixed(2)}% changed)`,
+      baseline_created: 'Baseline created on this run',
+      regression: `✗ ${(visual.diffRatio * 100).toFixed(2)}% of pixels changed (allowed ${(visual.maxDiffRatio * 100).toFixed(2)}%)`,
+      error: 'Comparison could not run'
+    };
+
+    return `
+            <div class="section">
+                <div class="section-title">👁️ Visual Regression (${this.escapeHtml(visual.viewport || 'unknown viewport')})</div>
+                <div class="element-item ${visual.passed ? 'found' : 'missing'}">
+                    ${statusText[visual.status] || this.escapeHtml(visual.status)}
+                </div>
+                ${visual.diff ? `
+                <div class="visual-compare">
+                    ${[['Baseline', visual.baseline], ['Current', visual.current], ['Diff', visual.diff]].map(([label, src]) => `
+                    <div class="screenshot">
+                        <img src="${this.escapeHtml(src)}" alt="${label}" loading="lazy">
+                        ${label}
+                    </div>
+                    `).join('')}
+                </div>
+                <div class="warning-item" style="margin-top: 10px;">
+                    If this change is expected, run <code>node src/runner.js approve-baselines ${this.escapeHtml(visual.name)}</code>
+                </div>
+                ` : ''}
+                ${visual.warnings.map(w => `
+                    <div class="warning-item">${this.escapeHtml(w.message)}</div>
+                `).join('')}
+            </div>
+    `;
+  }
+
+  /**
+   * Generate the variant matrix table
+   */
+  generateVariantsHTML(variants) {
+    if (!variants || variants.length === 0) return '';
+
+    return `
+            <div class="section">
+                <div class="section-title">🧩 Product Variants</div>
+                <table class="variant-table">
+                    <thead>
+                        <tr><th>Variant</th><th>Price</th><th>Stock</th><th>Variant ID</th><th>Image</th><th>Issues</th></tr>
+                    </thead>
+                    <tbody>
+                        ${variants.map(variant => `
+                        <tr class="${variant.broken ? 'broken' : (variant.available ? '' : 'out-of-stock')}">
+                            <td>${this.escapeHtml(variant.name || 'Variant')}</td>
+                            <td>${this.escapeHtml(variant.price || '-')}</td>
+                            <td>${variant.available === false
+                              ? '<span style="color:#ef4444;">Out of Stock</span>'
+                              : '<span style="color:#10b981;">Available</span>'}</td>
+                            <td>${this.escapeHtml(variant.variantId || '-')}</td>
+                            <td>${variant.image ? `<a href="${this.escapeHtml(variant.image)}" target="_blank">view</a>` : '-'}</td>
+                            <td>${variant.broken ? `⚠️ ${this.escapeHtml(variant.issues.join(', '))}` : ''}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+    `;
+  }
+
   /**
    * Generate HTML for elements
    */
@@ -372,11 +970,350 @@ printCLISummary(testResults) {
             <strong>${elementNames[key] || key}:</strong> 
             ${found ? '✓ Found' : '✗ Missing'}
             ${value.text ? ` - "${this.escapeHtml(String(value.text).substring(0, 50))}"` : ''}
+            ${key === 'price' && typeof value.amount === 'number' ? ` → ${this.escapeHtml(this.formatPrice(value))}` : ''}
         </div>
       `;
     }).join('');
   }
 
+  /**
+   * Parsed price as "19.99 USD", with range and compare-at when present
+   */
+  formatPrice(price) {
+    const currency = price.currency ? ` ${price.currency}` : '';
+    let text = price.range ? `${price.range.min}–${price.range.max}${currency}` : `${price.amount}${currency}`;
+    if (price.compareAt !== null && price.compareAt !== undefined) text += ` (was ${price.compareAt}${currency})`;
+    return text;
+  }
+
+  /**
+   * Break a result into CI test cases: one per check, with failure messages and warnings
+   */
+  getTestCases(result) {
+    const cases = [];
+    const messages = items => (items || []).map(item => item.element ? `${item.element}: ${item.message}` : item.message);
+    const addCase = (classname, name, section, options = {}) => {
+      const failures = options.failures || messages(section.errors);
+      cases.push({
+        classname: classname,
+        name: name,
+        time: options.time || 0,
+        skipped: Boolean(section.skipped),
+        failures: failures.length === 0 && section.passed === false && !options.failures ? ['Check failed'] : failures,
+        output: options.output || messages(section.warnings)
+      });
+    };
+
+    // A run that crashed has no check results to report
+    if (result.overall.error) {
+      cases.push({ classname: 'page', name: 'Page load', time: 0, skipped: false, failures: [], error: result.overall.error, output: [] });
+    }
+
+    const productPage = result.productPage || {};
+    if (productPage.errors) {
+      PRODUCT_PAGE_CHECKS.forEach(check => {
+        const failures = productPage.errors.filter(error => check.elements.includes(error.element));
+        addCase('productPage', check.name, {}, { failures: messages(failures), output: [] });
+      });
+      if (productPage.expectations) {
+        const failures = productPage.errors.filter(error => error.element.startsWith('expected_'));
+        addCase('productPage', 'Expected data', {}, { failures: messages(failures), output: [] });
+      }
+    }
+
+    const images = result.images || {};
+    if (images.failedImages) {
+      addCase('images', 'Images load', images, {
+        failures: images.failedImages.map(image => `${image.src}: ${image.error || 'failed to load'}`),
+        output: []
+      });
+    }
+
+    // Error detection passes or fails on tolerance, so failures are only listed when it failed
+    const errors = result.errors || {};
+    if (errors.consoleErrors) {
+      const failed = errors.passed === false;
+      const consoleFailures = failed ? errors.consoleErrors.filter(error => error.severity === 'critical').map(error => error.message) : [];
+      const networkFailures = failed ? [...errors.networkFailures, ...errors.resourceFailures]
+        .filter(failure => failure.severity === 'critical')
+        .map(failure => `HTTP ${failure.status} ${failure.url}`) : [];
+      if (failed && consoleFailures.length === 0 && networkFailures.length === 0) {
+        consoleFailures.push(`${errors.totalWarnings} warnings exceed the warning tolerance`);
+      }
+      addCase('errors', 'Console errors', errors, {
+        failures: consoleFailures,
+        output: errors.consoleErrors.filter(error => error.severity !== 'critical').map(error => error.message)
+      });
+      addCase('errors', 'Network failures', errors, {
+        failures: networkFailures,
+        output: errors.networkFailures.filter(failure => failure.severity !== 'critical').map(failure => `HTTP ${failure.status} ${failure.url}`)
+      });
+    }
+
+    if (result.performance) addCase('performance', 'Performance budgets', result.performance);
+    if (result.structuredData) addCase('structuredData', 'Structured data', result.structuredData);
+    if (result.seo) {
+      result.seo.checks.forEach(check => {
+        const isError = check.severity === 'error';
+        addCase('seo', check.label, {}, {
+          failures: !check.passed && isError ? check.issues : [],
+          output: !check.passed && !isError ? check.issues : []
+        });
+      });
+    }
+    if (result.platformApi) addCase('platformApi', 'Platform API', result.platformApi);
+    if (result.accessibility) addCase('accessibility', 'Accessibility', result.accessibility);
+    if (result.visual) addCase('visual', 'Visual regression', result.visual);
+    if (result.custom) {
+      result.custom.checks.forEach(check => {
+        const isError = check.severity === 'error';
+        const issues = check.issues.length > 0 ? check.issues : [check.message || 'Check failed'];
+        addCase('custom', check.title, {}, {
+          time: check.duration,
+          failures: !check.passed && isError ? issues : [],
+          output: !check.passed && !isError ? issues : []
+        });
+      });
+    }
+    if (result.cartFlow) addCase('cartFlow', 'Cart flow', result.cartFlow);
+    if (result.checkout) addCase('checkout', 'Checkout', result.checkout);
+    if (result.scenarios) {
+      result.scenarios.scenarios.forEach(scenario => {
+        addCase('scenarios', scenario.name, {}, {
+          time: scenario.duration,
+          failures: scenario.steps.filter(step => step.error).map(step => `${step.name}: ${step.error}`),
+          output: scenario.steps.map(step => `${step.skipped ? 'skipped' : (step.passed ? 'passed' : 'failed')} ${step.name}${step.skipped ? '' : ` (${step.duration}ms)`}`)
+        });
+      });
+    }
+
+    return cases;
+  }
+
+  /**
+   * Generate JUnit XML: one testsuite per URL (and device), one testcase per check
+   */
+  generateJUnitReport(testResults, timestamp) {
+    const suites = testResults.map(result => {
+      const cases = this.getTestCases(result);
+      const name = `${result.url}${result.device ? ` [${result.device}]` : ''}`;
+      const lastAttempt = result.attempts && result.attempts.length > 0 ? result.attempts[result.attempts.length - 1] : null;
+      const properties = [
+        ['platform', result.platform],
+        ['device', result.device],
+        ['attempts', result.attempts ? result.attempts.length : 1],
+        ['flaky', Boolean(result.overall.flaky)]
+      ].filter(([, value]) => value !== null && value !== undefined);
+
+      return `  <testsuite name="${this.escapeXml(name)}" tests="${cases.length}" failures="${cases.filter(c => c.failures.length > 0).length}" errors="${cases.filter(c => c.error).length}" skipped="${cases.filter(c => c.skipped).length}" time="${seconds(lastAttempt ? lastAttempt.duration : 0)}" timestamp="${this.escapeXml(result.timestamp)}">
+    <properties>
+${properties.map(([key, value]) => `      <property name="${key}" value="${this.escapeXml(String(value))}"/>`).join('\n')}
+    </properties>
+${cases.map(testCase => this.generateJUnitTestCase(testCase, name)).join('\n')}
+  </testsuite>`;
+    });
+
+    const all = testResults.flatMap(result => this.getTestCases(result));
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Ecommerce Test Automation" tests="${all.length}" failures="${all.filter(c => c.failures.length > 0).length}" errors="${all.filter(c => c.error).length}" time="${seconds(testResults.reduce((sum, result) => sum + (result.attempts || []).reduce((total, attempt) => total + attempt.duration, 0), 0))}" timestamp="${this.escapeXml(timestamp)}">
+${suites.join('\n')}
+</testsuites>
+`;
+  }
+
+  generateJUnitTestCase(testCase, suiteName) {
+    const body = [];
+    if (testCase.skipped) body.push('      <skipped/>');
+    if (testCase.error) {
+      body.push(`      <error message="${this.escapeXml(testCase.error)}" type="error"/>`);
+    }
+    if (testCase.failures.length > 0) {
+      body.push(`      <failure message="${this.escapeXml(testCase.failures[0])}" type="${this.escapeXml(testCase.classname)}">${this.escapeXml(testCase.failures.join('\n'))}</failure>`);
+    }
+    if (testCase.output.length > 0) {
+      body.push(`      <system-out>${this.escapeXml(testCase.output.join('\n'))}</system-out>`);
+    }
+
+    const attributes = `name="${this.escapeXml(testCase.name)}" classname="${this.escapeXml(`${suiteName}.${testCase.classname}`)}" time="${seconds(testCase.time)}"`;
+    return body.length === 0
+      ? `    <testcase ${attributes}/>`
+      : `    <testcase ${attributes}>\n${body.join('\n')}\n    </testcase>`;
+  }
+
+  /**
+   * Generate TAP version 13: one test point per check, failures as YAML diagnostics
+   */
+  generateTAPReport(testResults) {
+    const lines = ['TAP version 13'];
+    let count = 0;
+
+    testResults.forEach(result => {
+      lines.push(`# ${result.url}${result.device ? ` [${result.device}]` : ''}`);
+      this.getTestCases(result).forEach(testCase => {
+        count++;
+        const description = `${testCase.classname} - ${testCase.name}`.replace(/#/g, '\\#');
+        const failed = testCase.failures.length > 0 || Boolean(testCase.error);
+        lines.push(`${failed ? 'not ok' : 'ok'} ${count} ${description}${testCase.skipped ? ' # SKIP' : ''}`);
+        if (failed) {
+          lines.push('  ---');
+          lines.push(`  url: ${JSON.stringify(result.url)}`);
+          lines.push('  messages:');
+          [testCase.error, ...testCase.failures].filter(Boolean).forEach(message => {
+            lines.push(`    - ${JSON.stringify(message)}`);
+          });
+          lines.push('  ...');
+        }
+      });
+    });
+
+    lines.push(`1..${count}`);
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Write the trend view (trend.html) for the stored runs and a comparison of two of them
+   * @param {Array<object>} runs - history snapshots, oldest first
+   * @param {object|null} comparison - result of compareRuns, or null with fewer than two runs
+   * @param {number} trendRuns - most recent runs to show in the trend table
+   */
+  async generateTrendReport(runs, comparison, trendRuns = 20) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+    const trendPath = path.join(this.outputDir, 'trend.html');
+    await fs.writeFile(trendPath, this.generateTrendHTML(runs.slice(-trendRuns), comparison));
+    return trendPath;
+  }
+
+  generateTrendHTML(runs, comparison) {
+    const keys = [...new Set(runs.flatMap(run => run.results.map(result => result.key)))];
+    const latest = runs[runs.length - 1];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Ecommerce Test Trends</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; background: #f5f5f5; padding: 20px; line-height: 1.6; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        h1 { color: #1f2937; margin-bottom: 10px; }
+        h2 { color: #1f2937; font-size: 20px; margin: 30px 0 15px; padding-bottom: 8px; border-bottom: 2px solid #3b82f6; }
+        .timestamp { color: #6b7280; margin-bottom: 20px; }
+        .summary { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 15px; margin-bottom: 20px; }
+        .summary-card { background: #f9fafb; padding: 15px; border-radius: 6px; border-left: 4px solid #3b82f6; }
+        .summary-card.passed { border-left-color: #10b981; }
+        .summary-card.failed { border-left-color: #ef4444; }
+        .summary-card h3 { color: #374151; font-size: 13px; text-transform: uppercase; margin-bottom: 6px; }
+        .summary-card .value { font-size: 28px; font-weight: bold; color: #1f2937; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid #e5e7eb; text-align: left; vertical-align: top; }
+        th { background: #f9fafb; color: #374151; white-space: nowrap; }
+        th a { color: #3b82f6; text-decoration: none; }
+        .url { max-width: 360px; word-break: break-all; }
+        .cell { text-align: center; white-space: nowrap; font-size: 12px; color: #6b7280; }
+        .cell .mark { font-size: 15px; font-weight: bold; }
+        .cell.pass .mark { color: #10b981; }
+        .cell.fail { background: #fef2f2; }
+        .cell.fail .mark { color: #ef4444; }
+        .cell.flaky .mark { color: #f59e0b; }
+        .status { padding: 2px 8px; border-radius: 4px; font-weight: 600; font-size: 12px; white-space: nowrap; }
+        .status.newly_failing, .status.still_failing { background: #fee2e2; color: #991b1b; }
+        .status.fixed, .status.passing { background: #d1fae5; color: #065f46; }
+        .status.added, .status.removed { background: #e5e7eb; color: #374151; }
+        .issue-new { color: #991b1b; }
+        .issue-resolved { color: #065f46; text-decoration: line-through; }
+        .worse { color: #ef4444; }
+        .better { color: #10b981; }
+        .empty { color: #6b7280; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>📈 Test Trends</h1>
+        <div class="timestamp">${runs.length} runs${latest ? `, latest ${new Date(latest.timestamp).toLocaleString()}` : ''}</div>
+        ${comparison ? this.generateComparisonHTML(comparison) : '<p class="empty">At least two runs are needed for a comparison.</p>'}
+        <h2>Status over time</h2>
+        <table>
+            <thead>
+                <tr>
+                    <th>URL</th>
+                    ${runs.map(run => `<th>${run.reports && run.reports.html ? `<a href="${this.escapeHtml(run.reports.html)}">${this.escapeHtml(formatRunTime(run.timestamp))}</a>` : this.escapeHtml(formatRunTime(run.timestamp))}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${keys.map(key => `
+                <tr>
+                    <td class="url">${this.escapeHtml(key)}</td>
+                    ${runs.map(run => this.generateTrendCellHTML(run.results.find(result => result.key === key))).join('')}
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * One run of one URL: status, LCP and image failures, with the issues as a tooltip
+   */
+  generateTrendCellHTML(result) {
+    if (!result) return '<td class="cell">–</td>';
+
+    const state = result.passed ? (result.flaky ? 'flaky' : 'pass') : 'fail';
+    const mark = { pass: '✓', flaky: '~', fail: '✗' }[state];
+    const lcp = result.performance && typeof result.performance.lcp === 'number' ? formatValue('lcp', result.performance.lcp) : null;
+    const title = result.issues.length > 0 ? result.issues.join('\n') : 'No issues';
+
+    return `<td class="cell ${state}" title="${this.escapeHtml(title)}">
+                        <div class="mark">${mark}</div>
+                        ${lcp ? `<div>LCP ${this.escapeHtml(lcp)}</div>` : ''}
+                        ${result.imageFailures > 0 ? `<div>🖼 ${result.imageFailures} failed</div>` : ''}
+                    </td>`;
+  }
+
+  /**
+   * Base vs head: status changes, new and resolved issues, image failures and metric deltas
+   */
+  generateComparisonHTML(comparison) {
+    const { summary } = comparison;
+    const changed = comparison.urls.filter(url => url.status !== 'passing' || url.newIssues.length > 0 || url.resolvedIssues.length > 0);
+    const statusLabels = {
+      newly_failing: 'Newly failing', still_failing: 'Still failing', fixed: 'Fixed',
+      passing: 'Passing', added: 'New URL', removed: 'Not tested'
+    };
+
+    const metricCells = url => Object.entries(url.performance)
+      .filter(([, values]) => values.delta !== null && values.delta !== 0)
+      .map(([metric, values]) => `<div class="${values.delta > 0 ? 'worse' : 'better'}">${metric}: ${this.escapeHtml(formatValue(metric, values.base))} → ${this.escapeHtml(formatValue(metric, values.head))}</div>`)
+      .join('');
+
+    return `
+        <h2>Changes since ${this.escapeHtml(formatRunTime(comparison.base.timestamp))}</h2>
+        <div class="timestamp">${this.escapeHtml(comparison.base.id)} → ${this.escapeHtml(comparison.head.id)}</div>
+        <div class="summary">
+            <div class="summary-card failed"><h3>Newly failing</h3><div class="value">${summary.newlyFailing}</div></div>
+            <div class="summary-card passed"><h3>Fixed</h3><div class="value">${summary.fixed}</div></div>
+            <div class="summary-card failed"><h3>Still failing</h3><div class="value">${summary.stillFailing}</div></div>
+            <div class="summary-card"><h3>New / not tested</h3><div class="value">${summary.added} / ${summary.removed}</div></div>
+        </div>
+        ${changed.length === 0 ? '<p class="empty">No changes.</p>' : `
+        <table>
+            <thead><tr><th>URL</th><th>Status</th><th>New issues</th><th>Resolved issues</th><th>Image failures</th><th>Performance</th></tr></thead>
+            <tbody>
+                ${changed.map(url => `
+                <tr>
+                    <td class="url">${this.escapeHtml(url.key)}</td>
+                    <td><span class="status ${url.status}">${statusLabels[url.status]}</span></td>
+                    <td>${url.newIssues.map(issue => `<div class="issue-new">${this.escapeHtml(issue)}</div>`).join('')}</td>
+                    <td>${url.resolvedIssues.map(issue => `<div class="issue-resolved">${this.escapeHtml(issue)}</div>`).join('')}</td>
+                    <td>${url.imageFailures.base ?? '–'} → ${url.imageFailures.head ?? '–'}</td>
+                    <td>${metricCells(url)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`}`;
+  }
+
   /**
    * Generate text summary
    */
@@ -384,6 +1321,7 @@ printCLISummary(testResults) {
     const overallStatus = this.getOverallStatus(testResults);
     const passed = testResults.filter(r => r.overall.passed).length;
     const failed = testResults.filter(r => !r.overall.passed).length;
+    const flaky = testResults.filter(r => r.overall.flaky).length;
 
     let summary = `Ecommerce Test Automation Report\n`;
     summary += `Generated: ${new Date(timestamp).toLocaleString()}\n`;
@@ -392,15 +1330,37 @@ printCLISummary(testResults) {
     summary += `Total Tests: ${testResults.length}\n`;
     summary += `Passed: ${passed}\n`;
     summary += `Failed: ${failed}\n`;
+    summary += `Flaky: ${flaky}\n`;
     summary += `\n${'='.repeat(60)}\n\n`;
 
     testResults.forEach((result, index) => {
       summary += `Test ${index + 1}: ${result.url}\n`;
-      summary += `Status: ${result.overall.passed ? 'PASSED' : 'FAILED'}\n`;
+      summary += `Status: ${result.overall.passed ? 'PASSED' : 'FAILED'}${result.overall.flaky ? ' (FLAKY)' : ''}\n`;
+      if (result.attempts && result.attempts.length > 1) {
+        summary += `Attempts: ${result.attempts.length}\n`;
+      }
       summary += `Platform: ${result.platform}\n`;
+      if (result.device) {
+        summary += `Device: ${result.device}\n`;
+      }
       summary += `\nProduct Page: ${result.productPage.passed ? 'PASSED' : 'FAILED'}\n`;
       summary += `  Errors: ${result.productPage.errors.length}\n`;
       summary += `  Warnings: ${result.productPage.warnings.length}\n`;
+      const price = result.productPage.elements && result.productPage.elements.price;
+      if (price && typeof price.amount === 'number') {
+        summary += `  Price: ${this.formatPrice(price)}\n`;
+      }
+      if (result.productPage.expectations) {
+        const diffs = result.productPage.expectations.diffs;
+        summary += `  Expected Data: ${diffs.filter(d => d.passed).length}/${diffs.length} fields match (by ${result.productPage.expectations.matchedBy})\n`;
+        diffs.filter(d => !d.passed).forEach(d => {
+          summary += `  - ${d.field}: expected ${JSON.stringify(d.expected)}, got ${JSON.stringify(d.actual)}\n`;
+        });
+      }
+      if (result.productPage.variants && result.productPage.variants.length > 0) {
+        const variants = result.productPage.variants;
+        summary += `  Variants: ${variants.length} tested, ${variants.filter(v => !v.available).length} out of stock, ${variants.filter(v => v.broken).length} broken\n`;
+      }
       summary += `\nImages: ${result.images.passed ? 'PASSED' : 'FAILED'}\n`;
       summary += `  Total: ${result.images.totalImages}\n`;
       summary += `  Loaded: ${result.images.loadedImages}\n`;
@@ -408,13 +1368,115 @@ printCLISummary(testResults) {
       summary += `\nErrors: ${result.errors.passed ? 'PASSED' : 'FAILED'}\n`;
       summary += `  Console Errors: ${result.errors.consoleErrors.length}\n`;
       summary += `  Network Failures: ${result.errors.networkFailures.length}\n`;
+      const suppressed = [...(result.errors.suppressed || []), ...((result.images && result.images.suppressed) || [])];
+      if (suppressed.length > 0) {
+        summary += `  Suppressed Known Issues: ${suppressed.length}\n`;
+        suppressed.forEach(item => {
+          summary += `    - [${item.rule.id}] ${item.type}: ${item.message}${item.url ? ` (${item.url})` : ''}\n`;
+        });
+      }
       summary += `  CORS Errors: ${result.errors.corsErrors.length}\n`;
+      if (result.structuredData) {
+        summary += `\nStructured Data: ${result.structuredData.passed ? 'PASSED' : 'FAILED'}\n`;
+        summary += `  Source: ${result.structuredData.source || 'none found'}\n`;
+        result.structuredData.errors.forEach(e => {
+          summary += `  - ${e.message}\n`;
+        });
+      }
+      if (result.seo) {
+        summary += `\nSEO: ${result.seo.passed ? 'PASSED' : 'FAILED'}\n`;
+        result.seo.checks.filter(check => !check.passed).forEach(check => {
+          summary += `  - ${check.label} (${check.severity}): ${check.issues.join('; ')}\n`;
+        });
+      }
+      if (result.platformApi) {
+        summary += `\nPlatform API: ${result.platformApi.skipped ? 'SKIPPED' : (result.platformApi.passed ? 'PASSED' : 'FAILED')}\n`;
+        result.platformApi.checks.filter(check => !check.passed).forEach(check => {
+          summary += `  - ${check.message}\n`;
+        });
+      }
+      if (result.accessibility) {
+        const a11y = result.accessibility.summary;
+        summary += `\nAccessibility: ${result.accessibility.passed ? 'PASSED' : 'FAILED'}\n`;
+        summary += `  Critical: ${a11y.critical}, Serious: ${a11y.serious}, Moderate: ${a11y.moderate}, Minor: ${a11y.minor}\n`;
+      }
+      if (result.performance && result.performance.metrics) {
+        const metrics = result.performance.metrics;
+        summary += `\nPerformance: ${result.performance.passed ? 'PASSED' : 'FAILED'}\n`;
+        summary += `  LCP: ${formatValue('lcp', metrics.lcp)}, CLS: ${formatValue('cls', metrics.cls)}, TBT: ${formatValue('tbt', metrics.tbt)}\n`;
+        summary += `  FCP: ${formatValue('fcp', metrics.fcp)}, TTFB: ${formatValue('ttfb', metrics.ttfb)}, INP: ${formatValue('inp', metrics.inp)}\n`;
+        summary += `  Requests: ${metrics.requestCount}, Transferred: ${formatValue('transferSize', metrics.transferSize)}\n`;
+        result.performance.violations.forEach(v => {
+          summary += `  - ${v.metric} ${formatValue(v.metric, v.value)} over budget ${formatValue(v.metric, v.budget)}\n`;
+        });
+      }
+      if (result.visual) {
+        summary += `\nVisual: ${result.visual.passed ? 'PASSED' : 'FAILED'} (${result.visual.status})\n`;
+        summary += `  Changed Pixels: ${(result.visual.diffRatio * 100).toFixed(2)}%\n`;
+      }
+      if (result.custom) {
+        summary += `\nCustom Checks: ${result.custom.passed ? 'PASSED' : 'FAILED'}\n`;
+        result.custom.checks.forEach(check => {
+          summary += `  ${check.passed ? '✓' : '✗'} ${check.title} (${check.severity})${check.message ? `: ${check.message}` : ''}\n`;
+        });
+      }
+      if (result.cartFlow) {
+        summary += `\nCart Flow: ${result.cartFlow.skipped ? 'SKIPPED' : (result.cartFlow.passed ? 'PASSED' : 'FAILED')}\n`;
+        result.cartFlow.errors.forEach(e => {
+          summary += `  - ${e.message}\n`;
+        });
+      }
+      if (result.checkout) {
+        summary += `\nCheckout: ${result.checkout.skipped ? 'SKIPPED' : (result.checkout.passed ? 'PASSED' : 'FAILED')}\n`;
+        result.checkout.steps.forEach(step => {
+          summary += `  ${step.passed ? '✓' : '✗'} ${step.name} (${step.duration}ms)${step.error ? ` - ${step.error}` : ''}\n`;
+        });
+      }
+      if (result.scenarios) {
+        result.scenarios.scenarios.forEach(scenario => {
+          summary += `\nScenario "${scenario.name}": ${scenario.passed ? 'PASSED' : 'FAILED'} (${scenario.duration}ms)\n`;
+          scenario.steps.forEach(step => {
+            const mark = step.skipped ? '-' : (step.passed ? '✓' : '✗');
+            summary += `  ${mark} ${step.name}${step.skipped ? ' (skipped)' : ` (${step.duration}ms)`}${step.error ? ` - ${step.error}` : ''}\n`;
+          });
+        });
+      }
       summary += `\n${'-'.repeat(60)}\n\n`;
     });
 
     return summary;
   }
 
+  /**
+   * Group results by device, keeping first-seen device order
+   */
+  groupByDevice(testResults) {
+    const groups = new Map();
+    testResults.forEach(result => {
+      const device = result.device || null;
+      if (!groups.has(device)) groups.set(device, []);
+      groups.get(device).push(result);
+    });
+    return Array.from(groups, ([device, results]) => ({ device, results }));
+  }
+
+  /**
+   * Pass/fail counts per device (empty when no device profiles were used)
+   */
+  getDeviceSummary(testResults) {
+    const summary = {};
+    this.groupByDevice(testResults)
+      .filter(group => group.device)
+      .forEach(group => {
+        summary[group.device] = {
+          total: group.results.length,
+          passed: group.results.filter(r => r.overall.passed).length,
+          failed: group.results.filter(r => !r.overall.passed).length
+        };
+      });
+    return summary;
+  }
+
   /**
    * Get overall status
    */
@@ -436,5 +1498,25 @@ printCLISummary(testResults) {
     };
     return String(text).replace(/[&<>"']/g, m => map[m]);
   }
+
+  /**
+   * Escape text for XML attributes and content, dropping characters XML cannot hold
+   */
+  escapeXml(text) {
+    return String(text ?? '')
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
 }
 
+function formatRunTime(timestamp) {
+  return new Date(timestamp).toISOString().replace('T', ' ').substring(0, 16);
+}
@@ -3,15 +3,38 @@
  * Orchestrates the execution of all test modules
  */
 
-import puppeteer from 'puppeteer';
+import puppeteer, { KnownDevices } from 'puppeteer';
 import { ProductPageTester } from './modules/productPageTester.js';
 import { ImageValidator } from './modules/imageValidator.js';
 import { ErrorDetector } from './modules/errorDetector.js';
-import { Reporter } from './reporter.js';
+import { CartFlowTester } from './modules/cartFlowTester.js';
+import { CheckoutTester } from './modules/checkoutTester.js';
+import { AccessibilityAuditor } from './modules/accessibilityAuditor.js';
+import { StructuredDataValidator } from './modules/structuredDataValidator.js';
+import { SeoChecker } from './modules/seoChecker.js';
+import { PlatformApiValidator } from './modules/platformApiValidator.js';
+import { CustomCheckRunner } from './modules/customCheckRunner.js';
+import { ScenarioRunner } from './modules/scenarioRunner.js';
+import { PerformanceMonitor } from './modules/performanceMonitor.js';
+import { ScreenshotCapture } from './modules/screenshotCapture.js';
+import { VisualRegressionTester, approveBaselines } from './modules/visualRegression.js';
+import { Reporter, REPORT_FORMATS } from './reporter.js';
+import { SiteCrawler } from './crawler.js';
+import { runPool } from './workerPool.js';
+import { loadExpectations } from './expectations.js';
+import { loadPlugins } from './plugins.js';
+import { loadScenarios } from './scenarios.js';
+import { loadKnownIssues, compileRules } from './knownIssues.js';
+import { EXIT_CODES, RESULT_SECTIONS, evaluateFailPolicy, parseFailOn, validateCriticalChecks } from './failPolicy.js';
+import { loadHistory, createSnapshot, recordRun, findRun, compareRuns } from './history.js';
+import { sendNotifications, validateChannels } from './notifier.js';
+import { parseCron, nextRun } from './scheduler.js';
+import { startDashboard } from './dashboard.js';
 import { defaultConfig, mergeConfig } from './config.js';
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import fs from 'fs/promises';
+import path from 'path';
 
 const program = new Command();
 
@@ -23,12 +46,130 @@ program
   .option('-p, --products <urls...>', 'Product page URLs to test (space-separated)')
   .option('-c, --config <path>', 'Path to custom configuration file (JSON)')
   .option('-o, --output <dir>', 'Output directory for reports', './reports')
+  .option('--reporter <formats>', 'Comma-separated report formats: json, html, junit, tap (default: json,html)')
+  .option('--fail-on <conditions>', 'When the run fails: any, critical, warnings:<n>, percent:<p> (comma-separated, default: any)')
   .option('--platform <platform>', 'Platform type: shopify or bigcommerce', 'shopify')
   .option('--headless', 'Run in headless mode', true)
   .option('--no-headless', 'Run with browser visible')
-  .parse(process.argv);
+  .option('--cart-flow', 'Click add-to-cart and verify the cart changes (cart is emptied afterwards)')
+  .option('--checkout', 'Run the checkout smoke test up to (not including) payment')
+  .option('--variant-matrix', 'Select every variant option combination and check price, stock and image for each')
+  .option('--no-accessibility', 'Skip the accessibility audit')
+  .option('--no-structured-data', 'Skip Product structured data validation')
+  .option('--no-seo', 'Skip SEO and social meta checks')
+  .option('--platform-api', 'Cross-check the page against the platform product API (extra storefront API requests)')
+  .option('--no-platform-api', 'Skip the platform API cross-check even when the config enables it')
+  .option('--no-screenshots', 'Do not capture screenshots when checks fail')
+  .option('--no-history', 'Do not record this run in the output directory history')
+  .option('--no-notify', 'Do not send notifications for this run')
+  .option('--concurrency <n>', 'Number of product pages to test in parallel', parsePositiveInteger('Concurrency'))
+  .option('--max-depth <n>', 'Collection page depth to crawl when only --url is given', parsePositiveInteger('Max depth'))
+  .option('--max-products <n>', 'Maximum number of product URLs to discover', parsePositiveInteger('Max products'))
+  .option('--include <patterns...>', 'Only test discovered URLs matching these regex patterns')
+  .option('--exclude <patterns...>', 'Skip discovered URLs matching these regex patterns')
+  .option('--devices <names...>', 'Device profiles to test each URL on, e.g. "iPhone 13" "Pixel 5" desktop')
+  .option('--visual', 'Compare page screenshots against stored baselines')
+  .option('--expect <file>', 'JSON or CSV file of expected product data, keyed by URL or SKU')
+  .option('--scenarios <files...>', 'YAML/JSON scenario files to run on each product URL')
+  .option('--known-issues <file>', 'JSON/YAML allowlist of known console, network and image failures to suppress')
+  .action(() => {
+    command = { name: 'test' };
+  });
+
+program
+  .command('approve-baselines')
+  .description('Promote pending visual regression screenshots to baselines')
+  .argument('[names...]', 'Baseline names to approve (default: all pending)')
+  .action((names) => {
+    command = { name: 'approve-baselines', args: names };
+  });
+
+program
+  .command('compare')
+  .description('Compare two stored runs: status changes, new and resolved issues, image failures and performance')
+  .argument('[base]', 'Earlier run: a run id, ~N runs back, an age such as 24h or 7d, or a date (default: the run before head)')
+  .argument('[head]', 'Later run, in the same forms (default: the latest run)')
+  .action((base, head) => {
+    command = { name: 'compare', args: { base, head } };
+  });
+
+program
+  .command('notify')
+  .description('Send notifications for a stored run to every configured channel, e.g. to test webhooks')
+  .argument('[run]', 'Run to send: a run id, ~N runs back, an age such as 24h or 7d, or a date (default: the latest run)')
+  .action((run) => {
+    command = { name: 'notify', args: { run } };
+  });
+
+program
+  .command('monitor')
+  .description('Keep running and test the URL set on a cron schedule, reusing the browser between runs')
+  .option('--cron <expression>', 'Five-field cron schedule (default: monitor.cron in the config, then schedule.cron in bolt.config.json)')
+  .option('--run-now', 'Run once at startup instead of waiting for the first scheduled time')
+  .action((monitorOptions) => {
+    command = { name: 'monitor', args: monitorOptions };
+  });
+
+program
+  .command('serve')
+  .description('Local web dashboard: browse stored runs and reports, and start runs over a REST API')
+  .option('--port <n>', 'Port to listen on (0 picks a free port)', parsePort, 4173)
+  .option('--host <host>', 'Interface to listen on (use 0.0.0.0 to share it on the network)', '127.0.0.1')
+  .action((serveOptions) => {
+    command = { name: 'serve', args: serveOptions };
+  });
+
+/**
+ * --port value: a whole number from 0 to 65535
+ */
+function parsePort(value) {
+  const port = Number(value);
+  if (!/^\d+$/.test(value.trim()) || port > 65535) {
+    throw new InvalidArgumentError('Port must be a number from 0 to 65535.');
+  }
+  return port;
+}
+
+/**
+ * Parser for options that take a whole number of at least 1
+ */
+function parsePositiveInteger(label) {
+  return value => {
+    if (!/^\d+$/.test(value.trim()) || Number(value) < 1) {
+      throw new InvalidArgumentError(`${label} must be a whole number of at least 1.`);
+    }
+    return Number(value);
+  };
+}
+
+// Unknown options, missing arguments and invalid values are usage errors; --help and --version still exit 0.
+// Subcommands only inherit settings made before they were added, so each one gets the handler too.
+const exitOnUsageError = error => {
+  process.exit(error.exitCode === 0 ? EXIT_CODES.PASSED : EXIT_CODES.USAGE_ERROR);
+};
+[program, ...program.commands].forEach(cmd => cmd.exitOverride(exitOnUsageError));
+
+let command = { name: 'test' };
+let warnedChangeWithoutHistory = false;
+program.parse(process.argv);
 
 const options = program.opts();
+applyEnvironment();
+
+/**
+ * Deployments such as Bolt configure the tool through environment variables; command line options win
+ */
+function applyEnvironment() {
+  const fromDefault = name => program.getOptionValueSource(name) === 'default';
+  const env = process.env;
+
+  if (!options.url && !options.products && env.TEST_URLS && env.TEST_URLS.trim()) {
+    options.products = env.TEST_URLS.trim().split(/\s+/);
+  }
+  if (env.PLATFORM && fromDefault('platform')) options.platform = env.PLATFORM;
+  if (env.OUTPUT_DIR && fromDefault('output')) options.output = env.OUTPUT_DIR;
+  if (env.HEADLESS && fromDefault('headless')) options.headless = !/^(false|0|no|off)$/i.test(env.HEADLESS.trim());
+}
 
 /**
  * Detect platform from URL or page content
@@ -76,17 +217,113 @@ async function detectPlatform(page) {
 }
 
 /**
- * Run tests on a single product page
+ * Resolve config.devices entries into emulation profiles.
+ * Strings are Puppeteer device names (or "desktop"); objects are custom profiles.
+ * Returns [null] when no devices are configured, meaning a single run with the default viewport.
+ */
+function resolveDevices(config) {
+  if (!config.devices || config.devices.length === 0) return [null];
+
+  return config.devices.map(entry => {
+    if (entry && typeof entry === 'object') {
+      const { viewport } = entry;
+      if (typeof entry.name !== 'string' || !entry.name.trim()) {
+        throw new Error(`Custom device ${JSON.stringify(entry)} needs a "name"`);
+      }
+      if (!viewport || !(viewport.width > 0) || !(viewport.height > 0)) {
+        throw new Error(`Custom device "${entry.name}" needs a "viewport" with a positive width and height`);
+      }
+      return { userAgent: null, ...entry };
+    }
+    if (typeof entry !== 'string') {
+      throw new Error(`Invalid device ${JSON.stringify(entry)}. Use a Puppeteer device name, "desktop" or a { name, viewport } object`);
+    }
+    if (entry.toLowerCase() === 'desktop') {
+      return { name: 'Desktop', viewport: config.browser.defaultViewport, userAgent: null };
+    }
+    if (!KnownDevices[entry]) {
+      throw new Error(`Unknown device "${entry}". Use a Puppeteer device name (e.g. "iPhone 13", "Pixel 5") or "desktop"`);
+    }
+    return KnownDevices[entry];
+  });
+}
+
+/**
+ * Apply a device profile (viewport, touch, user agent) to a page
+ */
+async function emulateDevice(page, device) {
+  if (device.userAgent) {
+    await page.emulate({ viewport: device.viewport, userAgent: device.userAgent });
+  } else {
+    await page.setViewport(device.viewport);
+  }
+}
+
+/**
+ * Run tests on a single product page, retrying failed runs per config.retry
  */
-async function testProductPage(browser, url, config, platform) {
+async function testProductPage(browser, url, config, platform, device = null) {
   console.log(chalk.cyan(`\n${'='.repeat(60)}`));
-  console.log(chalk.cyan(`Testing: ${url}`));
+  console.log(chalk.cyan(`Testing: ${url}${device ? ` [${device.name}]` : ''}`));
   console.log(chalk.cyan(`${'='.repeat(60)}`));
 
-  const page = await browser.newPage();
+  const maxAttempts = Math.max(1, config.retry.attempts || 1);
+  const attempts = [];
+  let result;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (attempt > 1) {
+      console.log(chalk.yellow(`\n🔁 Retrying (attempt ${attempt}/${maxAttempts}) in ${config.retry.delay}ms...`));
+      await new Promise(resolve => setTimeout(resolve, config.retry.delay));
+    }
+
+    const startTime = Date.now();
+    result = await runTestAttempt(browser, url, config, platform, device);
+    platform = result.platform;
+
+    attempts.push({
+      attempt: attempt,
+      passed: result.overall.passed,
+      duration: Date.now() - startTime,
+      timestamp: result.timestamp,
+      failedChecks: getFailedChecks(result),
+      error: result.overall.error || null,
+      screenshot: result.screenshots ? result.screenshots.fullPage : null
+    });
+
+    if (result.overall.passed) break;
+  }
+
+  // A URL that failed at least once before passing is flaky, not broken
+  result.attempts = attempts;
+  result.overall.attemptCount = attempts.length;
+  result.overall.flaky = result.overall.passed && attempts.length > 1;
+
+  if (result.overall.flaky) {
+    console.log(chalk.yellow(`⚠️  Flaky: passed on attempt ${attempts.length}/${maxAttempts}`));
+  }
+
+  return result;
+}
+
+/**
+ * Get the names of the result sections that failed
+ */
+function getFailedChecks(result) {
+  return RESULT_SECTIONS.filter(section => result[section] && result[section].passed === false);
+}
+
+/**
+ * Run a single test attempt against a product page
+ */
+async function runTestAttempt(browser, url, config, platform, device) {
+  // Isolated context per attempt so cookies and carts are not shared between parallel tests
+  const context = await browser.createBrowserContext();
+  const page = await context.newPage();
   const result = {
     url: url,
     platform: platform,
+    device: device ? device.name : null,
     timestamp: new Date().toISOString(),
     overall: { passed: true },
     productPage: {},
@@ -94,7 +331,25 @@ async function testProductPage(browser, url, config, platform) {
     errors: {}
   };
 
+  // Taken where a failure shows up, before later steps change the page
+  const captureFailure = async () => {
+    if (result.screenshots || !config.screenshots.onFailure) return;
+    result.screenshots = await new ScreenshotCapture(page, config).captureFailure(result);
+  };
+
   try {
+    if (device) {
+      await emulateDevice(page, device);
+    }
+
+    // Performance observers must be installed before navigation
+    const performanceMonitor = new PerformanceMonitor(page, config, result.device);
+    await performanceMonitor.setup();
+
+    // Plugin setup hooks run before navigation so they can watch requests
+    const customChecks = new CustomCheckRunner(page, config, platform, config.customChecks);
+    await customChecks.setup(url);
+
     // Navigate to page
     console.log(chalk.blue('🌐 Navigating to page...'));
     await page.goto(url, {
@@ -120,6 +375,9 @@ async function testProductPage(browser, url, config, platform) {
       console.log(chalk.gray(`  Detected platform: ${platform}`));
     }
 
+    // Collect load metrics before other tests start interacting with the page
+    result.performance = await performanceMonitor.collect();
+
     // Set up error detection first (before other tests)
     const errorDetector = new ErrorDetector(page, config);
     await errorDetector.setup();
@@ -128,18 +386,87 @@ async function testProductPage(browser, url, config, platform) {
     const productTester = new ProductPageTester(page, config, platform);
     result.productPage = await productTester.test();
 
+    // Validate Product structured data against what the page shows
+    if (config.structuredData.enabled) {
+      const structuredDataValidator = new StructuredDataValidator(page, config);
+      result.structuredData = await structuredDataValidator.validate(result.productPage);
+    }
+
+    // Check SEO and social meta tags collected by the product page tester
+    if (config.seo.enabled) {
+      const seoChecker = new SeoChecker(config);
+      result.seo = await seoChecker.check(result.productPage.elements.meta, page.url());
+    }
+
+    // Run accessibility audit
+    if (config.accessibility.enabled) {
+      const accessibilityAuditor = new AccessibilityAuditor(page, config, platform);
+      result.accessibility = await accessibilityAuditor.audit();
+    }
+
     // Run image validation
     const imageValidator = new ImageValidator(page, config);
     result.images = await imageValidator.validate();
 
+    // Cross-check the page against the platform's own product record
+    if (config.platformApi.enabled) {
+      const platformApiValidator = new PlatformApiValidator(page, config, platform);
+      result.platformApi = await platformApiValidator.validate(result.productPage, result.images);
+    }
+
+    // Compare against the visual baseline once lazy-loaded images are in
+    if (config.visual.enabled) {
+      const visualTester = new VisualRegressionTester(page, config);
+      result.visual = await visualTester.test(url, result.device);
+    }
+
     // Run error detection
     result.errors = await errorDetector.detect();
 
-    // Determine overall result
-    result.overall.passed = 
+    // Run plugin checks on the page as built-in checks left it
+    if (config.customChecks.length > 0) {
+      result.custom = await customChecks.run(url, result, platform);
+    }
+
+    const pageChecksPassed =
       result.productPage.passed &&
       result.images.passed &&
-      result.errors.passed;
+      result.errors.passed &&
+      result.performance.passed &&
+      (!result.structuredData || result.structuredData.passed) &&
+      (!result.seo || result.seo.passed) &&
+      (!result.platformApi || result.platformApi.passed) &&
+      (!result.accessibility || result.accessibility.passed) &&
+      (!result.visual || result.visual.passed) &&
+      (!result.custom || result.custom.passed);
+    if (!pageChecksPassed) await captureFailure();
+
+    // Run the add-to-cart flow last, since it changes page state
+    if (config.cartFlow.enabled) {
+      const cartFlowTester = new CartFlowTester(page, config, platform);
+      result.cartFlow = await cartFlowTester.test();
+      if (!result.cartFlow.passed) await captureFailure();
+    }
+
+    if (config.checkout.enabled) {
+      const checkoutTester = new CheckoutTester(page, config, platform);
+      result.checkout = await checkoutTester.test(url);
+      if (!result.checkout.passed) await captureFailure();
+    }
+
+    // Scenarios reload the page themselves, so they run after everything else
+    if (config.scenarios.definitions.length > 0) {
+      const scenarioRunner = new ScenarioRunner(page, config, platform, config.scenarios.definitions);
+      result.scenarios = await scenarioRunner.run(url);
+      if (!result.scenarios.passed) await captureFailure();
+    }
+
+    // Determine overall result
+    result.overall.passed = 
+      pageChecksPassed &&
+      (!result.cartFlow || result.cartFlow.passed) &&
+      (!result.checkout || result.checkout.passed) &&
+      (!result.scenarios || result.scenarios.passed);
 
     if (result.overall.passed) {
       console.log(chalk.green('\n✅ Test PASSED'));
@@ -153,27 +480,18 @@ async function testProductPage(browser, url, config, platform) {
     result.overall.error = error.message;
     result.overall.stack = error.stack;
   } finally {
-    await page.close();
+    // A crash leaves the page where it happened
+    if (!result.overall.passed) await captureFailure();
+    await context.close();
   }
 
   return result;
 }
 
 /**
- * Main execution function
+ * Load the configuration file and apply command line overrides
  */
-async function main() {
-  console.log(chalk.bold.blue('\n🛒 Ecommerce Test Automation Tool\n'));
-
-  // Validate inputs
-  if (!options.url && !options.products) {
-    console.error(chalk.red('Error: Either --url or --products must be provided'));
-    console.log('\nUsage:');
-    console.log('  node src/runner.js --url <base-url> --products <product-url-1> <product-url-2>');
-    console.log('  node src/runner.js --products <product-url-1> <product-url-2>');
-    process.exit(1);
-  }
-
+async function loadConfig() {
   // Load configuration
   let config = defaultConfig;
   if (options.config) {
@@ -183,78 +501,631 @@ async function main() {
       config = mergeConfig(userConfig);
     } catch (error) {
       console.error(chalk.red(`Error loading config file: ${error.message}`));
-      process.exit(1);
+      process.exit(EXIT_CODES.USAGE_ERROR);
     }
   }
 
+  // Plugins and scenario files in the config are relative to the config file
+  const configDir = options.config ? path.dirname(path.resolve(options.config)) : process.cwd();
+
+  // Custom check plugins
+  try {
+    config.customChecks = await loadPlugins(config.plugins, configDir);
+  } catch (error) {
+    console.error(chalk.red(`Error loading plugins: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  // Scenario files from the command line are relative to the working directory
+  try {
+    const fromConfig = await loadScenarios(config.scenarios.files, configDir);
+    const fromCli = options.scenarios ? await loadScenarios(options.scenarios) : [];
+    config.scenarios.definitions = [...fromConfig, ...fromCli];
+  } catch (error) {
+    console.error(chalk.red(`Error loading scenarios: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  // Known-issue allowlist: rules from the config, then rules from the file
+  try {
+    const knownIssuesFile = options.knownIssues
+      ? path.resolve(options.knownIssues)
+      : config.knownIssues.file && path.resolve(configDir, config.knownIssues.file);
+    const fileRules = knownIssuesFile ? await loadKnownIssues(knownIssuesFile) : [];
+    const { active, expired } = compileRules([...config.knownIssues.rules, ...fileRules]);
+    config.knownIssues.active = active;
+    expired.forEach(rule => {
+      console.log(chalk.yellow(`Warning: Known issue "${rule.id}" expired on ${rule.expires}${rule.ticket ? ` (${rule.ticket})` : ''} and no longer suppresses anything`));
+    });
+  } catch (error) {
+    console.error(chalk.red(`Error loading known issues: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  // Expected product data fixture: --expect is relative to the working directory, expect.file to the config file
+  if (options.expect) config.expect.file = path.resolve(options.expect);
+  else if (config.expect.file) config.expect.file = path.resolve(configDir, config.expect.file);
+  if (config.expect.file) {
+    try {
+      config.expect.entries = await loadExpectations(config.expect.file);
+    } catch (error) {
+      console.error(chalk.red(`Error loading expectations file: ${error.message}`));
+      process.exit(EXIT_CODES.USAGE_ERROR);
+    }
+  }
+
+  // Report formats
+  if (options.reporter) config.reporters = options.reporter.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+  const unknownFormats = config.reporters.filter(format => !REPORT_FORMATS.includes(format));
+  if (unknownFormats.length > 0) {
+    console.error(chalk.red(`Error: Unknown report format ${unknownFormats.join(', ')} (use ${REPORT_FORMATS.join(', ')})`));
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  // CI gating policy
+  if (options.failOn) config.failPolicy.failOn = options.failOn.split(',').map(condition => condition.trim()).filter(Boolean);
+  try {
+    parseFailOn(config.failPolicy.failOn);
+    validateCriticalChecks(config.failPolicy.criticalChecks);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  // Run history
+  if (options.history === false) config.history.enabled = false;
+
+  // Notifications
+  if (options.notify === false) config.notifications.enabled = false;
+  try {
+    validateChannels(config.notifications.channels);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
   // Override headless mode
   config.browser.headless = options.headless !== false;
 
-  // Determine product URLs
-  let productUrls = [];
-  if (options.products && options.products.length > 0) {
-    productUrls = options.products;
-  } else if (options.url) {
-    // If only base URL provided, try to find product pages
-    // For now, just use the base URL as a single test
-    productUrls = [options.url];
+  // Screenshots are stored alongside the reports
+  if (options.screenshots === false) config.screenshots.onFailure = false;
+  config.screenshots.reportDir = options.output;
+  config.screenshots.dir = config.screenshots.dir || path.join(options.output, 'screenshots');
+
+  // Structured data validation runs unless disabled
+  if (options.structuredData === false) config.structuredData.enabled = false;
+
+  // SEO checks run unless disabled
+  if (options.seo === false) config.seo.enabled = false;
+
+  // Platform API cross-check is opt-in: it makes extra requests to the store's API
+  if (options.platformApi === true) config.platformApi.enabled = true;
+  if (options.platformApi === false) config.platformApi.enabled = false;
+
+  // Accessibility audit runs unless disabled
+  if (options.accessibility === false) config.accessibility.enabled = false;
+
+  // Enable the variant matrix
+  if (options.variantMatrix) config.variants.matrix = true;
+
+  // Enable cart flow / checkout
+  if (options.cartFlow) config.cartFlow.enabled = true;
+  if (options.checkout) config.checkout.enabled = true;
+
+  // Enable visual regression; diff images are stored alongside the reports
+  if (options.visual) config.visual.enabled = true;
+  config.visual.reportDir = options.output;
+  config.visual.outputDir = path.join(options.output, 'visual');
+
+  // Override device profiles
+  if (options.devices) config.devices = options.devices;
+
+  // Override concurrency
+  if (options.concurrency !== undefined) config.concurrency = options.concurrency;
+
+  // Override crawler settings
+  if (options.maxDepth !== undefined) config.crawler.maxDepth = options.maxDepth;
+  if (options.maxProducts !== undefined) config.crawler.maxProducts = options.maxProducts;
+  if (options.include) config.crawler.include = options.include;
+  if (options.exclude) config.crawler.exclude = options.exclude;
+
+  // A bad crawler pattern is a usage error, not a crash in the middle of discovery
+  for (const name of ['include', 'exclude', 'productUrlPatterns']) {
+    for (const pattern of config.crawler[name] || []) {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        console.error(chalk.red(`Error: Invalid ${name} pattern: ${error.message}`));
+        process.exit(EXIT_CODES.USAGE_ERROR);
+      }
+    }
   }
 
-  if (productUrls.length === 0) {
-    console.error(chalk.red('Error: No product URLs to test'));
-    process.exit(1);
+  return config;
+}
+
+/**
+ * Compare two runs from the history in the output directory; exits 1 when URLs newly fail
+ */
+async function compareStoredRuns(config, baseRef, headRef) {
+  let runs, head, base;
+  try {
+    runs = await loadHistory(options.output);
+    head = findRun(runs, headRef);
+    if (!head) throw new Error(headRef ? `No run matches "${headRef}"` : `No runs recorded in ${options.output}`);
+    base = baseRef ? findRun(runs, baseRef) : runs[runs.indexOf(head) - 1];
+    if (!base) throw new Error(baseRef ? `No run matches "${baseRef}"` : `No run before ${head.id} to compare with`);
+    if (runs.indexOf(base) >= runs.indexOf(head)) throw new Error(`${base.id} is not earlier than ${head.id}`);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  const comparison = compareRuns(base, head);
+  const reporter = new Reporter(options.output, config.reporters);
+  reporter.printComparison(comparison);
+
+  const trendPath = await reporter.generateTrendReport(runs.slice(0, runs.indexOf(head) + 1), comparison, config.history.trendRuns);
+  console.log(chalk.gray(`Trend report: ${trendPath}\n`));
+
+  if (comparison.summary.newlyFailing > 0) process.exitCode = EXIT_CODES.TEST_FAILURES;
+}
+
+/**
+ * Send a stored run to every notification channel, regardless of their "when" rules
+ */
+async function notifyStoredRun(config, runRef) {
+  let runs, run;
+  try {
+    runs = await loadHistory(options.output);
+    run = findRun(runs, runRef);
+    if (!run) throw new Error(runRef ? `No run matches "${runRef}"` : `No runs recorded in ${options.output}`);
+    if (config.notifications.channels.length === 0) throw new Error('No notification channels configured (notifications.channels)');
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  const previous = runs[runs.indexOf(run) - 1] || null;
+  const outcomes = await sendNotifications(config.notifications, {
+    run,
+    previous,
+    comparison: previous ? compareRuns(previous, run) : null,
+    outputDir: options.output,
+    force: true
+  });
+  printNotificationOutcomes(outcomes);
+
+  if (outcomes.some(outcome => outcome.error)) process.exitCode = EXIT_CODES.INFRASTRUCTURE_ERROR;
+}
+
+/**
+ * "change" channels compare with the previous run; say once, not on every monitor run, that they are skipped without history
+ */
+function warnChangeWithoutHistory(config) {
+  if (warnedChangeWithoutHistory || !config.notifications.channels.some(channel => channel.when === 'change')) return;
+  warnedChangeWithoutHistory = true;
+  const cause = config.history.enabled ? 'could not be updated' : 'is off (--no-history or history.enabled: false)';
+  console.log(chalk.yellow(`  Warning: Channels with when: "change" need run history and are skipped while it ${cause}`));
+}
+
+function printNotificationOutcomes(outcomes) {
+  outcomes.forEach(outcome => {
+    if (outcome.sent) {
+      console.log(chalk.green(`  ✓ Notified ${outcome.channel}`));
+    } else if (outcome.error) {
+      console.log(chalk.yellow(`  Warning: Could not notify ${outcome.channel}: ${outcome.error}`));
+    } else {
+      console.log(chalk.gray(`  Skipped ${outcome.channel} (${outcome.reason})`));
+    }
+  });
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  console.log(chalk.bold.blue('\n🛒 Ecommerce Test Automation Tool\n'));
+
+  if (command.name === 'approve-baselines') {
+    const config = await loadConfig();
+    const approved = await approveBaselines(config.visual.baselineDir, command.args);
+    if (approved.length === 0) {
+      console.log(chalk.yellow('No pending baselines to approve'));
+    } else {
+      approved.forEach(name => console.log(chalk.green(`  ✓ Approved ${name}`)));
+    }
+    return;
+  }
+
+  if (command.name === 'notify') {
+    const config = await loadConfig();
+    await notifyStoredRun(config, command.args.run);
+    return;
+  }
+
+  if (command.name === 'compare') {
+    const config = await loadConfig();
+    await compareStoredRuns(config, command.args.base, command.args.head);
+    return;
+  }
+
+  if (command.name === 'serve') {
+    const config = await loadConfig();
+    await serveDashboard(config, command.args);
+    return;
+  }
+
+  // Validate inputs
+  if (!options.url && !options.products) {
+    console.error(chalk.red('Error: Either --url or --products (or the TEST_URLS environment variable) must be provided'));
+    console.log('\nUsage:');
+    console.log('  node src/runner.js --url <base-url> --products <product-url-1> <product-url-2>');
+    console.log('  node src/runner.js --products <product-url-1> <product-url-2>');
+    console.log('  node src/runner.js monitor --products <product-url-1> --cron "0 */6 * * *"');
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  const config = await loadConfig();
+
+  let devices;
+  try {
+    devices = resolveDevices(config);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE_ERROR);
   }
 
   console.log(chalk.gray(`Configuration:`));
   console.log(chalk.gray(`  Platform: ${options.platform || 'auto-detect'}`));
   console.log(chalk.gray(`  Headless: ${config.browser.headless}`));
-  console.log(chalk.gray(`  Product URLs: ${productUrls.length}`));
+  console.log(chalk.gray(`  Concurrency: ${config.concurrency}`));
   console.log(chalk.gray(`  Output Directory: ${options.output}\n`));
 
+  if (command.name === 'monitor') {
+    await monitor(config, devices, command.args);
+    return;
+  }
+
   // Launch browser
+  const browser = await launchBrowser(config);
+  if (!browser) process.exit(EXIT_CODES.INFRASTRUCTURE_ERROR);
+
+  try {
+    process.exitCode = await executeRun(browser, config, devices);
+  } catch (error) {
+    console.error(chalk.red('\n❌ Fatal error:'), error);
+    process.exitCode = EXIT_CODES.INFRASTRUCTURE_ERROR;
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Launch the browser; returns null when it cannot start
+ */
+async function launchBrowser(config) {
   console.log(chalk.blue('🚀 Launching browser...'));
-  const browser = await puppeteer.launch(config.browser);
-  console.log(chalk.green('  Browser launched successfully\n'));
+  try {
+    const browser = await puppeteer.launch(config.browser);
+    console.log(chalk.green('  Browser launched successfully\n'));
+    return browser;
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Could not launch browser: ${error.message}`));
+    return null;
+  }
+}
+
+/**
+ * Test the URL set once with a running browser: reports, history, notifications and the fail-policy verdict
+ * @param {object} targets - { products, url, platform }; the command line options by default
+ * @param {object} hooks - optional progress callbacks: onStart(runs), onResult(result), onSnapshot(run)
+ * @returns {Promise<number>} exit code for the run
+ */
+async function executeRun(browser, config, devices, targets = options, hooks = {}) {
+  // Determine product URLs
+  let productUrls = [];
+  if (targets.products && targets.products.length > 0) {
+    productUrls = targets.products;
+  } else if (targets.url) {
+    // If only base URL provided, discover product pages from the storefront
+    const crawler = new SiteCrawler(browser, config, targets.platform);
+    const discovery = await crawler.discover(targets.url);
+    productUrls = discovery.urls;
 
-  const testResults = [];
+    if (productUrls.length === 0) {
+      console.log(chalk.yellow('  Warning: No product pages discovered, testing base URL only'));
+      productUrls = [targets.url];
+    }
+  }
 
+  if (productUrls.length === 0) {
+    console.error(chalk.red('Error: No product URLs to test'));
+    return EXIT_CODES.USAGE_ERROR;
+  }
+
+  console.log(chalk.gray(`\n  Product URLs: ${productUrls.length}`));
+  if (devices[0]) {
+    console.log(chalk.gray(`  Devices: ${devices.map(device => device.name).join(', ')}`));
+  }
+
+  // Run tests on each product URL per device, grouped by device (results keep the input order)
+  const runs = devices.flatMap(device => productUrls.map(url => ({ url, device })));
+  if (hooks.onStart) hooks.onStart(runs);
+  const results = await runPool(runs, config.concurrency, async run => {
+    const result = await testProductPage(
+      browser,
+      run.url,
+      config,
+      targets.platform || 'auto',
+      run.device
+    );
+    if (hooks.onResult) hooks.onResult(result);
+    return result;
+  });
+
+  // Generate reports
+  console.log(chalk.blue('\n📊 Generating reports...'));
+  const reporter = new Reporter(options.output, config.reporters);
+  const reportPaths = await reporter.generateReport(results);
+
+  // A browser that died mid-run makes every later result meaningless
+  if (!browser.connected) {
+    console.error(chalk.red('❌ Browser disconnected during the run'));
+    return EXIT_CODES.INFRASTRUCTURE_ERROR;
+  }
+
+  const verdict = evaluateFailPolicy(results, config.failPolicy);
+  const run = createSnapshot(options.output, results, reportPaths, verdict);
+  if (hooks.onSnapshot) hooks.onSnapshot(run);
+
+  // Record the run and compare it with the previous one
+  let previous = null;
+  let comparison = null;
+  let recorded = false;
+  if (config.history.enabled) {
+    try {
+      const runs = await recordRun(options.output, run, config.history.maxRuns);
+      recorded = true;
+      previous = runs.length > 1 ? runs[runs.length - 2] : null;
+      comparison = previous ? compareRuns(previous, run) : null;
+      if (comparison) reporter.printComparison(comparison);
+      reportPaths.trend = await reporter.generateTrendReport(runs, comparison, config.history.trendRuns);
+    } catch (error) {
+      console.log(chalk.yellow(`  Warning: Could not update run history: ${error.message}`));
+    }
+  }
+
+  console.log(chalk.green('\n✅ Test execution completed!'));
+  console.log(chalk.gray(`\nReports generated:`));
+  if (reportPaths.json) console.log(chalk.gray(`  JSON: ${reportPaths.json}`));
+  if (reportPaths.html) console.log(chalk.gray(`  HTML: ${reportPaths.html}`));
+  if (reportPaths.junit) console.log(chalk.gray(`  JUnit: ${reportPaths.junit}`));
+  if (reportPaths.tap) console.log(chalk.gray(`  TAP: ${reportPaths.tap}`));
+  if (reportPaths.trend) console.log(chalk.gray(`  Trend: ${reportPaths.trend}`));
+  console.log(chalk.gray(`  Summary: ${reportPaths.summary}\n`));
+
+  // Notification failures are reported but do not change the exit code
+  if (config.notifications.enabled && config.notifications.channels.length > 0) {
+    console.log(chalk.blue('📣 Sending notifications...'));
+    printNotificationOutcomes(await sendNotifications(config.notifications, { run, previous, comparison, outputDir: options.output }));
+    if (!recorded) warnChangeWithoutHistory(config);
+    console.log('');
+  }
+
+  if (verdict.failed) {
+    console.log(chalk.red(`❌ Run failed (--fail-on ${config.failPolicy.failOn.join(',')}):`));
+    verdict.reasons.forEach(reason => console.log(chalk.red(`  - ${reason}`)));
+    return EXIT_CODES.TEST_FAILURES;
+  }
+  console.log(chalk.green(`✅ Run passed (--fail-on ${config.failPolicy.failOn.join(',')})`));
+  return EXIT_CODES.PASSED;
+}
+
+/**
+ * Monitor mode: run the URL set on a cron schedule until SIGINT/SIGTERM.
+ * One browser is shared by all runs; it is health-checked before each run and relaunched when it crashed or hangs.
+ */
+async function monitor(config, devices, monitorOptions) {
+  const cron = monitorOptions.cron || config.monitor.cron || await boltSchedule();
+  if (!cron) {
+    console.error(chalk.red('Error: monitor needs a schedule: --cron, monitor.cron in the config or schedule.cron in bolt.config.json'));
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  let schedule;
   try {
-    // Run tests on each product URL
-    for (const url of productUrls) {
-      const result = await testProductPage(
-        browser,
-        url,
-        config,
-        options.platform || 'auto'
-      );
-      testResults.push(result);
+    schedule = parseCron(cron);
+    nextRun(schedule);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  // A browser that cannot start at all is a setup problem, not something to retry
+  let browser = await launchBrowser(config);
+  if (!browser) process.exit(EXIT_CODES.INFRASTRUCTURE_ERROR);
+
+  let stopping = false;
+  let running = false;
+  let wake = null;
+  const stop = signal => {
+    if (stopping) {
+      console.log(chalk.yellow(`\n${signal} received again, exiting now`));
+      process.exit(EXIT_CODES.INFRASTRUCTURE_ERROR);
+    }
+    stopping = true;
+    console.log(chalk.yellow(`\n${signal} received, ${running ? 'stopping after the current run' : 'stopping'}...`));
+    if (wake) wake();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  // Sleep in short steps so clock changes and suspended hosts do not throw the schedule off
+  const sleepUntil = async time => {
+    while (!stopping && Date.now() < time.getTime()) {
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, Math.min(time.getTime() - Date.now(), 60000));
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wake = null;
     }
+  };
 
-    // Generate reports
-    console.log(chalk.blue('\n📊 Generating reports...'));
-    const reporter = new Reporter(options.output);
-    const reportPaths = await reporter.generateReport(testResults);
+  console.log(chalk.blue(`⏱  Monitoring on schedule "${schedule.expression}" (Ctrl+C to stop)`));
 
-    console.log(chalk.green('\n✅ Test execution completed!'));
-    console.log(chalk.gray(`\nReports generated:`));
-    console.log(chalk.gray(`  JSON: ${reportPaths.json}`));
-    console.log(chalk.gray(`  HTML: ${reportPaths.html}`));
-    console.log(chalk.gray(`  Summary: ${reportPaths.summary}\n`));
+  let runNow = Boolean(monitorOptions.runNow || config.monitor.runOnStart);
+  let runCount = 0;
+  while (!stopping) {
+    if (!runNow) {
+      const next = nextRun(schedule);
+      console.log(chalk.gray(`\n  Next run: ${next.toLocaleString()}`));
+      await sleepUntil(next);
+      if (stopping) break;
+    }
+    runNow = false;
+
+    if (!(await browserHealthy(browser, config.monitor.healthCheckTimeout))) {
+      console.log(chalk.yellow('  Browser is not responding, restarting it'));
+      await closeBrowser(browser);
+      browser = await launchBrowser(config);
+      if (!browser) {
+        console.log(chalk.yellow('  Skipping this run; the browser is retried at the next scheduled time'));
+        continue;
+      }
+    }
 
+    runCount++;
+    const startedAt = Date.now();
+    console.log(chalk.bold.blue(`\n▶ Monitor run ${runCount} started at ${new Date(startedAt).toLocaleString()}`));
+    running = true;
+    let exitCode;
+    try {
+      exitCode = await executeRun(browser, config, devices);
+    } catch (error) {
+      console.error(chalk.red('\n❌ Run failed with an error:'), error);
+      exitCode = EXIT_CODES.INFRASTRUCTURE_ERROR;
+    } finally {
+      running = false;
+    }
+    const outcome = Object.keys(EXIT_CODES).find(name => EXIT_CODES[name] === exitCode);
+    console.log(chalk.gray(`  Monitor run ${runCount} finished in ${((Date.now() - startedAt) / 1000).toFixed(1)}s: ${outcome} (exit code ${exitCode})`));
+  }
 
+  process.removeListener('SIGINT', stop);
+  process.removeListener('SIGTERM', stop);
+  await closeBrowser(browser);
+  console.log(chalk.gray('Monitor stopped'));
+}
+
+/**
+ * schedule.cron from bolt.config.json in the working directory, unless the schedule is disabled there
+ */
+async function boltSchedule() {
+  let boltConfig;
+  try {
+    boltConfig = JSON.parse(await fs.readFile('bolt.config.json', 'utf-8'));
   } catch (error) {
-    console.error(chalk.red('\n❌ Fatal error:'), error);
-    process.exit(1);
+    if (error.code === 'ENOENT') return null;
+    console.log(chalk.yellow(`  Warning: Could not read bolt.config.json: ${error.message}`));
+    return null;
+  }
+  const schedule = boltConfig.schedule || {};
+  return schedule.enabled !== false && schedule.cron ? schedule.cron : null;
+}
+
+/**
+ * A connected browser that can still open a page within the timeout
+ */
+async function browserHealthy(browser, timeout) {
+  if (!browser || !browser.connected) return false;
+  let timer;
+  try {
+    const page = await Promise.race([
+      browser.newPage(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Health check timed out')), timeout);
+      })
+    ]);
+    await page.close();
+    return true;
+  } catch (error) {
+    return false;
   } finally {
-    await browser.close();
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Close the browser, killing its process when it does not close in time
+ */
+async function closeBrowser(browser) {
+  if (!browser) return;
+  let timer;
+  try {
+    await Promise.race([
+      browser.close(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Browser did not close')), 10000);
+      })
+    ]);
+  } catch (error) {
+    const browserProcess = browser.process();
+    if (browserProcess && browserProcess.exitCode === null) browserProcess.kill('SIGKILL');
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Dashboard: serve the output directory and run tests on request, one run at a time with a fresh browser
+ */
+async function serveDashboard(config, serveOptions) {
+  let devices;
+  try {
+    devices = resolveDevices(config);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE_ERROR);
   }
+
+  const startRun = async (request, hooks) => {
+    const browser = await launchBrowser(config);
+    if (!browser) throw new Error('Could not launch browser');
+    try {
+      return await executeRun(browser, config, devices, { ...request, platform: request.platform || options.platform }, hooks);
+    } catch (error) {
+      console.error(chalk.red('\n❌ Run failed with an error:'), error);
+      throw error;
+    } finally {
+      await closeBrowser(browser);
+    }
+  };
+
+  let server;
+  try {
+    server = await startDashboard({ outputDir: options.output, host: serveOptions.host, port: serveOptions.port, startRun });
+  } catch (error) {
+    console.error(chalk.red(`Error: Could not start the dashboard: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE_ERROR);
+  }
+
+  // The bound port, which differs from --port 0
+  const { port } = server.address();
+  const host = ['0.0.0.0', '::'].includes(serveOptions.host) ? 'localhost' : serveOptions.host;
+  console.log(chalk.green(`📋 Dashboard running at http://${host.includes(':') ? `[${host}]` : host}:${port}/`));
+  console.log(chalk.gray(`  Reports: ${options.output}`));
+  console.log(chalk.gray('  Press Ctrl+C to stop\n'));
 }
 
 // Run if executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch(error => {
     console.error(chalk.red('Unhandled error:'), error);
-    process.exit(1);
+    process.exit(EXIT_CODES.INFRASTRUCTURE_ERROR);
   });
 }
 
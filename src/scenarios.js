@@ -0,0 +1,147 @@
+/**
+ * Scenario loading
+ * Reads declarative YAML/JSON user journeys and normalises their steps
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+
+export const STEP_ACTIONS = ['goto', 'click', 'select', 'type', 'waitFor', 'assertText', 'assertVisible', 'assertUrl', 'screenshot'];
+
+// Keys allowed next to the action key on every step
+const STEP_OPTIONS = ['name', 'timeout'];
+
+/**
+ * Load scenario files. A file holds one scenario, a list of them, or { scenarios: [...] }.
+ * @param {string[]} files - paths, relative to baseDir
+ * @param {string} baseDir - directory relative paths are resolved from
+ * @returns {Promise<Array<object>>} normalised scenarios
+ */
+export async function loadScenarios(files, baseDir = process.cwd()) {
+  const scenarios = [];
+
+  for (const file of files) {
+    const resolved = path.resolve(baseDir, file);
+    const content = await fs.readFile(resolved, 'utf-8');
+
+    let data;
+    try {
+      data = /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Could not parse scenario file ${file}: ${error.message}`);
+    }
+
+    const list = Array.isArray(data) ? data : (data && data.scenarios) || [data];
+    list.forEach((scenario, index) => {
+      scenarios.push(normalizeScenario(scenario, `${file}#${index + 1}`, file));
+    });
+  }
+
+  return scenarios;
+}
+
+/**
+ * Validate a scenario and turn each step into { action, target, ...options }
+ */
+function normalizeScenario(scenario, source, file) {
+  if (!scenario || typeof scenario !== 'object') {
+    throw new Error(`${source}: scenario must be an object`);
+  }
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+    throw new Error(`${source}: scenario has no steps`);
+  }
+
+  return {
+    name: scenario.name || source,
+    file: file,
+    // Compiled regex patterns; the scenario only runs on matching product URLs
+    urls: scenario.urls ? [].concat(scenario.urls).map(pattern => compilePattern(pattern, `${source} urls`)) : null,
+    platforms: scenario.platforms ? [].concat(scenario.platforms) : null,
+    steps: scenario.steps.map((step, index) => normalizeStep(step, `${source} step ${index + 1}`))
+  };
+}
+
+function normalizeStep(step, source) {
+  if (!step || typeof step !== 'object') {
+    throw new Error(`${source}: step must be an object such as { click: addToCart }`);
+  }
+
+  const actions = Object.keys(step).filter(key => !STEP_OPTIONS.includes(key));
+  if (actions.length !== 1) {
+    throw new Error(`${source}: step must have exactly one action (found ${actions.join(', ') || 'none'})`);
+  }
+
+  const action = actions[0];
+  if (!STEP_ACTIONS.includes(action)) {
+    throw new Error(`${source}: unknown action "${action}" (use ${STEP_ACTIONS.join(', ')})`);
+  }
+
+  // Shorthand: { click: addToCart } is { click: { target: addToCart } }
+  const value = step[action];
+  const args = value !== null && typeof value === 'object' && !Array.isArray(value) ? { ...value } : { target: value };
+
+  const normalized = {
+    action: action,
+    name: step.name || describeStep(action, args),
+    timeout: step.timeout || args.timeout || null,
+    ...args
+  };
+
+  const requireArgs = (...keys) => keys.forEach(key => {
+    if (normalized[key] === undefined || normalized[key] === null || normalized[key] === '') {
+      throw new Error(`${source}: ${action} needs "${key}"`);
+    }
+  });
+
+  if (normalized.matches !== undefined) compilePattern(normalized.matches, `${source}: ${action} "matches"`);
+
+  switch (action) {
+    case 'goto':
+      normalized.url = normalized.url || normalized.target;
+      requireArgs('url');
+      break;
+    case 'select':
+      requireArgs('target', 'value');
+      break;
+    case 'type':
+      requireArgs('target', 'text');
+      break;
+    case 'assertText':
+      requireArgs('target');
+      if (normalized.contains === undefined && normalized.equals === undefined && normalized.matches === undefined) {
+        throw new Error(`${source}: assertText needs one of "contains", "equals" or "matches"`);
+      }
+      break;
+    case 'assertUrl':
+      if (typeof value === 'string') normalized.contains = value;
+      if (normalized.contains === undefined && normalized.equals === undefined && normalized.matches === undefined) {
+        throw new Error(`${source}: assertUrl needs a string or one of "contains", "equals" or "matches"`);
+      }
+      break;
+    case 'screenshot':
+      normalized.label = normalized.label || args.name || normalized.target || 'screenshot';
+      break;
+    case 'waitFor':
+      // A bare number waits that many milliseconds
+      if (typeof normalized.target !== 'number') requireArgs('target');
+      break;
+    default:
+      requireArgs('target');
+  }
+
+  return normalized;
+}
+
+function compilePattern(pattern, source) {
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`${source}: invalid pattern "${pattern}": ${error.message}`);
+  }
+}
+
+function describeStep(action, args) {
+  const subject = args.target !== undefined ? args.target : args.url;
+  return subject !== undefined && subject !== null ? `${action} ${subject}` : action;
+}
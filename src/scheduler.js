@@ -0,0 +1,135 @@
+/**
+ * Cron schedule
+ * Parses five-field cron expressions (minute hour day-of-month month day-of-week) and finds the next run time
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+/**
+ * Parse a cron expression. Fields accept *, numbers, names (jan, mon), ranges (1-5), lists (1,15) and steps (*\/6, 8-18/2).
+ * @param {string} expression - e.g. "0 *\/6 * * *" or @hourly
+ * @returns {{expression: string, minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean}}
+ */
+export function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const fields = (ALIASES[source.toLowerCase()] || source).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression "${source}" needs five fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, index) => {
+    try {
+      return parseField(field, FIELDS[index]);
+    } catch (error) {
+      throw new Error(`Cron expression "${source}": ${error.message}`);
+    }
+  });
+
+  // Sunday is 0 or 7
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.delete(7);
+    dayOfWeek.add(0);
+  }
+
+  return {
+    expression: source,
+    minute, hour, dayOfMonth, month, dayOfWeek,
+    // Like cron, a field starting with * (including */2) counts as unrestricted for the day matching rule
+    anyDayOfMonth: fields[2].startsWith('*'),
+    anyDayOfWeek: fields[4].startsWith('*')
+  };
+}
+
+/**
+ * The first matching minute after a point in time, in the process time zone (set TZ to change it)
+ * @param {object} schedule - result of parseCron
+ * @param {Date} after - reference time
+ * @returns {Date}
+ */
+export function nextRun(schedule, after = new Date()) {
+  const time = new Date(after.getTime());
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+
+  // Skip whole months, days and hours that cannot match; five years covers every valid day/month combination
+  const limit = after.getTime() + 5 * 366 * 86400000;
+  while (time.getTime() <= limit) {
+    if (!schedule.month.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0);
+    } else if (!matchesDay(schedule, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0);
+    } else if (!schedule.hour.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0);
+    } else if (!schedule.minute.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" never matches`);
+}
+
+/**
+ * Like cron: when both day fields are restricted, either one matching is enough
+ */
+function matchesDay(schedule, time) {
+  const dayOfMonth = schedule.dayOfMonth.has(time.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(time.getDay());
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+}
+
+function parseField(field, spec) {
+  const values = new Set();
+
+  field.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step "${part}" in ${spec.name}`);
+
+    let start, end;
+    if (range === '*') {
+      start = spec.min;
+      end = spec.max;
+    } else {
+      const [from, to] = range.split('-');
+      start = parseValue(from, spec);
+      // "5/15" means from 5 to the end of the range
+      end = to !== undefined ? parseValue(to, spec) : (stepText !== undefined ? spec.max : start);
+    }
+    if (start > end) throw new Error(`invalid range "${part}" in ${spec.name}`);
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+
+  return values;
+}
+
+function parseValue(text, spec) {
+  const named = spec.names ? spec.names.indexOf(String(text).toLowerCase()) : -1;
+  // Month names start at 1, weekday names at 0
+  const value = named !== -1 ? named + (spec.min === 1 ? 1 : 0) : Number(text);
+  if (text === '' || !Number.isInteger(value) || value < spec.min || value > spec.max) {
+    throw new Error(`"${text}" is not a valid ${spec.name} (${spec.min}-${spec.max})`);
+  }
+  return value;
+}
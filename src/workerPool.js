@@ -0,0 +1,70 @@
+/**
+ * Worker Pool
+ * Runs product page tests concurrently while keeping console output grouped per task
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const outputBuffer = new AsyncLocalStorage();
+let consolePatched = false;
+
+/**
+ * Route console.log/warn/error into the active task's buffer (if any)
+ */
+function patchConsole() {
+  if (consolePatched) return;
+  consolePatched = true;
+
+  for (const method of ['log', 'warn', 'error']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const buffer = outputBuffer.getStore();
+      if (buffer) {
+        buffer.push({ method, args });
+      } else {
+        original(...args);
+      }
+    };
+  }
+}
+
+/**
+ * Run a task with its console output buffered, then print it in one block
+ */
+export async function runWithBufferedOutput(task) {
+  patchConsole();
+
+  const buffer = [];
+  try {
+    return await outputBuffer.run(buffer, task);
+  } finally {
+    buffer.forEach(({ method, args }) => console[method](...args));
+  }
+}
+
+/**
+ * Run worker over items with at most `concurrency` in flight.
+ * Results are returned in the same order as items.
+ */
+export async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(concurrency || 1, items.length));
+
+  if (limit === 1) {
+    for (let index = 0; index < items.length; index++) {
+      results[index] = await worker(items[index], index);
+    }
+    return results;
+  }
+
+  let nextIndex = 0;
+  const runners = Array.from({ length: limit }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await runWithBufferedOutput(() => worker(items[index], index));
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
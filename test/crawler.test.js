@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { SiteCrawler } from '../src/crawler.js';
+import { mergeConfig } from '../src/config.js';
+
+// Local store serving sitemaps by path and query
+let server;
+let origin;
+const sitemaps = {};
+
+const urlset = paths => `<?xml version="1.0"?><urlset>${paths.map(path => `<url><loc>${origin}${path}</loc></url>`).join('')}</urlset>`;
+const index = paths => `<?xml version="1.0"?><sitemapindex>${paths.map(path => `<sitemap><loc>${origin}${path.replace(/&/g, '&amp;')}</loc></sitemap>`).join('')}</sitemapindex>`;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const body = sitemaps[req.url];
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/xml' });
+    res.end(body ? body() : '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function discover(platform, sitemapPaths) {
+  const config = mergeConfig({ crawler: { sources: ['sitemap'], sitemaps: sitemapPaths } });
+  const { urls } = await new SiteCrawler(null, config, platform).discover(origin);
+  return urls.map(url => url.replace(origin, ''));
+}
+
+test('Shopify: the store root listed in the product sitemap is not a product', async () => {
+  sitemaps['/sitemap.xml'] = () => index(['/sitemap_products_1.xml?from=1&to=99', '/sitemap_pages_1.xml']);
+  sitemaps['/sitemap_products_1.xml?from=1&to=99'] = () => urlset(['/', '/products/red-shirt', '/collections/sale/products/blue-shirt']);
+  sitemaps['/sitemap_pages_1.xml'] = () => urlset(['/pages/about', '/products/gift-card']);
+
+  assert.deepEqual(await discover('shopify', ['/sitemap.xml', '/sitemap_pages_1.xml']), ['/products/gift-card', '/products/red-shirt', '/products/blue-shirt']);
+});
+
+test('BigCommerce: slug URLs from the product sitemap are kept, other sections are not', async () => {
+  sitemaps['/xmlsitemap.php'] = () => index(['/xmlsitemap.php?type=products&page=1', '/xmlsitemap.php?type=pages&page=1']);
+  sitemaps['/xmlsitemap.php?type=products&page=1'] = () => urlset(['/', '/blue-shirt/', '/cartier-style-watch/', '/categories/shirts/', '/cart.php']);
+  sitemaps['/xmlsitemap.php?type=pages&page=1'] = () => urlset(['/shipping-returns/', '/contact-us/']);
+
+  assert.deepEqual(await discover('bigcommerce', ['/xmlsitemap.php']), ['/blue-shirt/', '/cartier-style-watch/']);
+});
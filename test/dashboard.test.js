@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startDashboard } from '../src/dashboard.js';
+import { recordRun } from '../src/history.js';
+
+let dir;
+let server;
+let port;
+let finishRun = null;
+
+const result = (url, passed) => ({ key: url, url, device: null, passed, flaky: false, failedChecks: [], issues: passed ? [] : ['productPage: Price not found'], imageFailures: 0, totalImages: 1, performance: null });
+
+// Each run waits for the test to finish it, so the test can look at the job while it is running
+async function startRun(request, hooks) {
+  const urls = request.products;
+  hooks.onStart(urls.map(url => ({ url })));
+  await new Promise(resolve => { finishRun = resolve; });
+  urls.forEach(url => hooks.onResult({ url, overall: { passed: true } }));
+  hooks.onSnapshot({ id: 'report-3' });
+  return 0;
+}
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dashboard-'));
+  await recordRun(dir, { id: 'report-1', timestamp: '2026-10-18T10:00:00.000Z', status: 'passed', reports: {}, summary: { total: 1, passed: 1, failed: 0, flaky: 0 }, results: [result('https://shop.example/products/a', true)] });
+  await recordRun(dir, { id: 'report-2', timestamp: '2026-10-19T10:00:00.000Z', status: 'failed', reports: {}, summary: { total: 2, passed: 1, failed: 1, flaky: 0 }, results: [result('https://shop.example/products/a', false), result('javascript:alert(1)', true)] });
+
+  server = await startDashboard({ outputDir: dir, host: '127.0.0.1', port: 0, startRun });
+  port = server.address().port;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// Resolves with the response as soon as its headers arrive; body() reads the rest
+function open(method, pathname, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers }, res => {
+      res.setEncoding('utf-8');
+      res.body = () => new Promise(done => {
+        let text = '';
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => done(text));
+      });
+      resolve(res);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function request(method, pathname, options) {
+  const res = await open(method, pathname, options);
+  const text = await res.body();
+  return { status: res.statusCode, type: res.headers['content-type'], text, json: () => JSON.parse(text) };
+}
+
+const postRun = body => request('POST', '/api/runs', { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+test('routes pages and the API', async () => {
+  const home = await request('GET', '/');
+  assert.equal(home.status, 200);
+  assert.match(home.type, /text\/html/);
+  assert.match(home.text, /report-2/);
+
+  const runs = (await request('GET', '/api/runs?status=failed')).json().runs;
+  assert.deepEqual(runs.map(run => run.id), ['report-2']);
+
+  assert.equal((await request('GET', '/api/runs/~1')).json().id, 'report-1');
+  assert.equal((await request('GET', '/runs/latest')).status, 200);
+
+  const unknown = await request('GET', '/api/runs/report-9');
+  assert.equal(unknown.status, 404);
+  assert.match(unknown.json().error, /report-9/);
+
+  assert.equal((await request('GET', '/nowhere')).status, 404);
+  assert.equal((await request('DELETE', '/api/runs')).status, 405);
+  assert.equal((await request('GET', '/api/runs?status=maybe')).status, 400);
+  assert.equal((await request('GET', '/reports/..%2Fhistory.json')).status, 404);
+});
+
+test('requests for another host or from another origin are refused', async () => {
+  const rebound = await request('GET', '/api/runs', { headers: { Host: `attacker.example:${port}` } });
+  assert.equal(rebound.status, 403);
+  assert.match(rebound.json().error, /Host "attacker\.example:\d+" is not allowed/);
+
+  assert.equal((await request('GET', '/', { headers: { Host: `localhost:${port}` } })).status, 200);
+  assert.equal((await request('GET', '/', { headers: { Host: `[::1]:${port}` } })).status, 200);
+
+  const crossOrigin = await request('POST', '/api/runs', {
+    headers: { 'Content-Type': 'application/json', Origin: 'https://attacker.example' },
+    body: JSON.stringify({ products: ['https://shop.example/products/a'] })
+  });
+  assert.equal(crossOrigin.status, 403);
+});
+
+test('only http(s) page URLs become links', async () => {
+  const page = await request('GET', `/urls/${encodeURIComponent('https://shop.example/products/a')}`);
+  assert.match(page.text, /<a href="https:\/\/shop\.example\/products\/a">Open page<\/a>/);
+
+  const script = await request('GET', `/urls/${encodeURIComponent('javascript:alert(1)')}`);
+  assert.equal(script.status, 200);
+  assert.doesNotMatch(script.text, /href="javascript:/);
+  assert.doesNotMatch(script.text, /Open page/);
+});
+
+test('a run streams its progress and holds the lock until it finishes', async () => {
+  assert.equal((await request('POST', '/api/runs', { body: '{}' })).status, 415);
+  assert.equal((await postRun({ products: ['ftp://shop.example/a'] })).status, 400);
+
+  const started = await postRun({ products: ['https://shop.example/products/a', 'https://shop.example/products/b'] });
+  assert.equal(started.status, 202);
+  const { job, links } = started.json();
+  assert.equal(job.status, 'running');
+
+  const busy = await postRun({ products: ['https://shop.example/products/c'] });
+  assert.equal(busy.status, 409);
+  assert.deepEqual(busy.json().job, links);
+
+  const stream = await open('GET', links.events);
+  assert.match(stream.headers['content-type'], /text\/event-stream/);
+  finishRun();
+  const events = (await stream.body()).trim().split('\n\n').map(block => {
+    const [, type] = block.match(/^event: (\w+)/);
+    return { type, data: JSON.parse(block.match(/\ndata: (.*)$/)[1]) };
+  });
+
+  assert.deepEqual(events.map(event => event.type), ['started', 'planned', 'progress', 'progress', 'completed']);
+  assert.equal(events[1].data.total, 2);
+  assert.equal(events[3].data.completed, 2);
+  assert.equal(events[4].data.runId, 'report-3');
+
+  const finished = (await request('GET', links.self)).json();
+  assert.equal(finished.status, 'completed');
+  assert.deepEqual(finished.progress, { completed: 2, total: 2 });
+
+  // The lock is released once the job is done
+  const next = await postRun({ products: ['https://shop.example/products/c'] });
+  assert.equal(next.status, 202);
+  finishRun();
+});
@@ -0,0 +1,42 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { loadExpectations } from '../src/expectations.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'expectations-'));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+async function write(name, content) {
+  const file = path.join(dir, name);
+  await fs.writeFile(file, content);
+  return file;
+}
+
+test('CSV columns are normalised and coerced', async () => {
+  const file = await write('ok.csv', 'sku,price,variant_count,image_count,availability\nSHIRT-BLUE,"$1,049.00",6,4,InStock\n');
+
+  assert.deepEqual(await loadExpectations(file), [
+    { sku: 'SHIRT-BLUE', price: 1049, variantCount: 6, imageCount: 4, availability: 'in_stock' }
+  ]);
+});
+
+test('a price that is not a number is rejected at load', async () => {
+  const file = await write('price.json', JSON.stringify([{ sku: 'A', price: 'TBD' }]));
+
+  await assert.rejects(loadExpectations(file), /Expectation 1 in .*price\.json: price "TBD" is not a number/);
+});
+
+test('counts must be whole numbers', async () => {
+  const variants = await write('variants.csv', 'sku,variants\nA,6\nB,six\n');
+  const images = await write('images.json', JSON.stringify({ A: { imageCount: 2.5 } }));
+
+  await assert.rejects(loadExpectations(variants), /Expectation 2 in .*: variantCount "six" is not a whole number/);
+  await assert.rejects(loadExpectations(images), /imageCount 2\.5 is not a whole number/);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateFailPolicy, validateCriticalChecks } from '../src/failPolicy.js';
+import { defaultConfig } from '../src/config.js';
+
+test('the default critical checks are known result sections', () => {
+  assert.doesNotThrow(() => validateCriticalChecks(defaultConfig.failPolicy.criticalChecks));
+});
+
+test('unknown critical checks are rejected with the valid names', () => {
+  assert.throws(() => validateCriticalChecks(['productPage', 'cart', 'Checkout']),
+    /Unknown critical check "cart", "Checkout" in failPolicy\.criticalChecks \(use productPage, images, .*scenarios\)/);
+  assert.throws(() => validateCriticalChecks('productPage'), /must be a list/);
+});
+
+test('critical: only failures in the listed sections fail the run', () => {
+  const results = [
+    { overall: { passed: false }, productPage: { passed: true }, seo: { passed: false } },
+    { overall: { passed: true }, productPage: { passed: true } }
+  ];
+
+  assert.deepEqual(evaluateFailPolicy(results, { failOn: ['critical'], criticalChecks: ['productPage'] }), { failed: false, reasons: [] });
+  assert.equal(evaluateFailPolicy(results, { failOn: ['critical'], criticalChecks: ['productPage', 'seo'] }).failed, true);
+});
@@ -0,0 +1,110 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { loadHistory, recordRun, findRun, compareRuns } from '../src/history.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+});
+
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+const run = id => ({ id, timestamp: '2026-10-19T10:00:00.000Z', status: 'passed', summary: { total: 0, passed: 0, failed: 0, flaky: 0 }, results: [] });
+
+test('recordRun appends runs, keeps maxRuns and leaves no temporary files', async () => {
+  await recordRun(dir, run('report-1'), 2);
+  await recordRun(dir, run('report-2'), 2);
+  const kept = await recordRun(dir, run('report-3'), 2);
+
+  assert.deepEqual(kept.map(entry => entry.id), ['report-2', 'report-3']);
+  assert.deepEqual((await loadHistory(dir)).map(entry => entry.id), ['report-2', 'report-3']);
+  assert.deepEqual(await fs.readdir(dir), ['history.json']);
+});
+
+test('loadHistory reports a corrupt file; recordRun moves it aside and starts again', async () => {
+  await fs.writeFile(path.join(dir, 'history.json'), '{"version":1,"runs":[{"id":');
+
+  await assert.rejects(loadHistory(dir), { code: 'EHISTORYCORRUPT' });
+
+  const kept = await recordRun(dir, run('report-4'));
+  assert.deepEqual(kept.map(entry => entry.id), ['report-4']);
+
+  const files = (await fs.readdir(dir)).sort();
+  assert.equal(files.length, 2);
+  assert.match(files[0], /^history\.corrupt-\d+\.json$/);
+  assert.equal(files[1], 'history.json');
+  assert.equal(await fs.readFile(path.join(dir, files[0]), 'utf-8'), '{"version":1,"runs":[{"id":');
+});
+
+const at = (id, timestamp) => ({ ...run(id), timestamp: timestamp.toISOString() });
+const page = (url, passed, issues = [], performance = null) =>
+  ({ key: url, url, device: null, passed, flaky: false, failedChecks: [], issues, imageFailures: issues.length, totalImages: 3, performance });
+
+test('findRun by id, ~N, age and date', () => {
+  const runs = [
+    at('report-1', new Date(2024, 3, 30, 9, 0)),
+    at('report-2', new Date(2024, 4, 1, 0, 30)),
+    at('report-3', new Date(2024, 4, 1, 18, 45)),
+    at('report-4', new Date(Date.now() - 3600000))
+  ];
+
+  assert.equal(findRun(runs).id, 'report-4');
+  assert.equal(findRun(runs, 'latest').id, 'report-4');
+  assert.equal(findRun(runs, 'report-2').id, 'report-2');
+  assert.equal(findRun(runs, '3').id, 'report-3');
+  assert.equal(findRun(runs, '~0').id, 'report-4');
+  assert.equal(findRun(runs, '~3').id, 'report-1');
+  assert.equal(findRun(runs, '~4'), null);
+  assert.equal(findRun(runs, '2h').id, 'report-3');
+  // A bare date includes runs made later that day
+  assert.equal(findRun(runs, '2024-05-01').id, 'report-3');
+  assert.equal(findRun(runs, '2024-04-30').id, 'report-1');
+  assert.equal(findRun(runs, '2024-04-29'), null);
+  assert.equal(findRun([], 'latest'), null);
+  assert.throws(() => findRun(runs, 'yesterday'), /Unknown run "yesterday"/);
+});
+
+test('compareRuns reports status changes, issues and metric deltas, regressions first', () => {
+  const base = {
+    ...run('report-1'),
+    results: [
+      page('https://shop.example/a', true, [], { lcp: 2000 }),
+      page('https://shop.example/b', false, ['productPage: Price not found', 'console: took 120ms']),
+      page('https://shop.example/c', false, ['images: /x.jpg failed to load', 'console: took 120ms']),
+      page('https://shop.example/gone', true)
+    ]
+  };
+  const head = {
+    ...run('report-2'),
+    results: [
+      page('https://shop.example/a', false, ['network: HTTP 500 https://shop.example/cart.js'], { lcp: 2600 }),
+      page('https://shop.example/b', true),
+      page('https://shop.example/c', false, ['images: /x.jpg failed to load', 'console: took 340ms', 'seo: Missing canonical']),
+      page('https://shop.example/new', true)
+    ]
+  };
+
+  const comparison = compareRuns(base, head);
+
+  assert.deepEqual(comparison.summary, { newlyFailing: 1, fixed: 1, stillFailing: 1, passing: 0, added: 1, removed: 1 });
+  assert.deepEqual(comparison.urls.map(url => [url.url, url.status]), [
+    ['https://shop.example/a', 'newly_failing'],
+    ['https://shop.example/c', 'still_failing'],
+    ['https://shop.example/new', 'added'],
+    ['https://shop.example/b', 'fixed'],
+    ['https://shop.example/gone', 'removed']
+  ]);
+
+  const [a, c, , b] = comparison.urls;
+  assert.deepEqual(a.newIssues, ['network: HTTP 500 https://shop.example/cart.js']);
+  assert.deepEqual(a.performance, { lcp: { base: 2000, head: 2600, delta: 600 } });
+  assert.deepEqual(b.resolvedIssues, ['productPage: Price not found', 'console: took 120ms']);
+  // Only the timing differs from the base run, so it is the same issue
+  assert.deepEqual(c.newIssues, ['seo: Missing canonical']);
+  assert.deepEqual(c.resolvedIssues, []);
+  assert.deepEqual(c.imageFailures, { base: 2, head: 3 });
+});
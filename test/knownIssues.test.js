@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { loadKnownIssues, compileRules, matchKnownIssue } from '../src/knownIssues.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'known-issues-'));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const ids = rules => rules.map(rule => rule.id);
+
+test('rules load from YAML lists and JSON { rules }', async () => {
+  await fs.writeFile(path.join(dir, 'issues.yaml'), '- id: chat\n  message: chat widget\n  expires: 2025-03-31\n');
+  await fs.writeFile(path.join(dir, 'issues.json'), JSON.stringify({ rules: [{ id: 'pixel', url: '*/pixel.gif' }] }));
+  await fs.writeFile(path.join(dir, 'bad.json'), '{"rules": {}}');
+
+  const [yamlRule] = await loadKnownIssues(path.join(dir, 'issues.yaml'));
+  assert.equal(compileRules([yamlRule], new Date(2025, 0, 1)).active[0].expires, '2025-03-31');
+  assert.deepEqual(await loadKnownIssues(path.join(dir, 'issues.json')), [{ id: 'pixel', url: '*/pixel.gif' }]);
+  await assert.rejects(loadKnownIssues(path.join(dir, 'bad.json')), /must contain a list of rules/);
+});
+
+test('rules past their expiry date are split off; the expiry day itself is still active', () => {
+  const rules = [
+    { id: 'open', message: 'a' },
+    { id: 'today', message: 'b', expires: '2026-10-19' },
+    { id: 'yesterday', message: 'c', expires: '2026-10-18' },
+    { id: 'timestamp', message: 'd', expires: '2026-10-19T08:00:00Z' }
+  ];
+
+  const { active, expired } = compileRules(rules, new Date(2026, 9, 19, 23, 30));
+
+  assert.deepEqual(ids(active), ['open', 'today']);
+  assert.deepEqual(ids(expired), ['yesterday', 'timestamp']);
+  assert.deepEqual(ids(compileRules(rules, new Date(2026, 9, 20, 0, 0)).expired), ['today', 'yesterday', 'timestamp']);
+  assert.deepEqual(active[0], { id: 'open', description: null, ticket: null, expires: null, types: ['console', 'network', 'image'], message: /a/i, url: null });
+});
+
+test('malformed rules are rejected with the rule they came from', () => {
+  assert.throws(() => compileRules(['chat']), /Known issue #1 must be an object/);
+  assert.throws(() => compileRules([{ id: 'empty' }]), /Known issue "empty" needs a "message" or "url" pattern/);
+  assert.throws(() => compileRules([{ message: 'a', types: ['console', 'css'] }]), /Known issue #1 has unknown type css \(use console, network, image\)/);
+  assert.throws(() => compileRules([{ message: 'a', expires: 'soon' }]), /invalid expiry date "soon"/);
+  assert.throws(() => compileRules([{ message: 'a' }, { id: 'bad', message: '(' }]), /Known issue "bad": Invalid regular expression/);
+  assert.throws(() => compileRules([{ url: '/[/' }]), /Known issue #1: Invalid regular expression/);
+});
+
+test('url patterns: * wildcards match the whole URL, /regex/ matches anywhere', () => {
+  const { active } = compileRules([
+    { id: 'wildcard', url: 'https://cdn.example.com/*.js' },
+    { id: 'regex', url: '/pixel\\.gif\\?id=\\d+/' }
+  ]);
+  const match = url => (matchKnownIssue(active, 'network', { message: 'HTTP 404', url }) || {}).id || null;
+
+  assert.equal(match('https://cdn.example.com/widgets/chat.js'), 'wildcard');
+  assert.equal(match('HTTPS://CDN.EXAMPLE.COM/a.js'), 'wildcard');
+  assert.equal(match('https://cdn.example.com/a.js?v=2'), null);
+  assert.equal(match('https://cdn.example.com.evil.test/a.js'), null);
+  assert.equal(match('https://shop.example/pixel.gif?id=42'), 'regex');
+  assert.equal(match(null), null);
+});
+
+test('message patterns, types and rules with both patterns', () => {
+  const { active } = compileRules([
+    { id: 'chat', message: 'chat widget failed', types: 'console', ticket: 'SHOP-12', description: 'Vendor outage' },
+    { id: 'both', message: '^HTTP 5\\d\\d', url: '*/reviews/*' }
+  ]);
+
+  assert.deepEqual(matchKnownIssue(active, 'console', { message: 'Uncaught: Chat Widget failed to load' }),
+    { id: 'chat', description: 'Vendor outage', ticket: 'SHOP-12', expires: null });
+  assert.equal(matchKnownIssue(active, 'network', { message: 'chat widget failed', url: null }), null);
+  assert.equal(matchKnownIssue(active, 'network', { message: 'HTTP 503', url: 'https://shop.example/reviews/1' }).id, 'both');
+  assert.equal(matchKnownIssue(active, 'network', { message: 'HTTP 404', url: 'https://shop.example/reviews/1' }), null);
+  assert.equal(matchKnownIssue(active, 'network', { message: 'HTTP 503', url: 'https://shop.example/cart' }), null);
+  assert.equal(matchKnownIssue(undefined, 'console', { message: 'anything' }), null);
+});
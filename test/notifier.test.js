@@ -0,0 +1,163 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { sendNotifications } from '../src/notifier.js';
+import { compareRuns } from '../src/history.js';
+import { mergeConfig } from '../src/config.js';
+
+// Local webhook receiver; records every request, answers with `status`
+let server;
+let origin;
+let received = [];
+let status = 200;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+  status = 200;
+});
+
+function notifications(channels, extra = {}) {
+  return mergeConfig({ notifications: { channels, reportBaseUrl: 'https://reports.example/qa/', timeout: 2000, ...extra } }).notifications;
+}
+
+function result(url, issues = []) {
+  return { key: url, url, device: null, passed: issues.length === 0, flaky: false, failedChecks: [], issues, imageFailures: 0, totalImages: 0, performance: null };
+}
+
+function snapshot(id, results) {
+  const failed = results.filter(entry => !entry.passed).length;
+  return {
+    id,
+    timestamp: '2026-10-19T10:00:00.000Z',
+    status: failed > 0 ? 'failed' : 'passed',
+    reasons: failed > 0 ? [`${failed} URL(s) failed critical checks`] : [],
+    reports: { json: `${id}.json`, html: `${id}.html` },
+    summary: { total: results.length, passed: results.length - failed, failed, flaky: 0 },
+    results
+  };
+}
+
+const passingRun = snapshot('report-1', [result('https://shop.example/products/a'), result('https://shop.example/products/b')]);
+const failingRun = snapshot('report-2', [
+  result('https://shop.example/products/a', ['productPage: Add to cart button not found on page']),
+  result('https://shop.example/products/b', ['productPage: Add to cart button not found on page', 'errors: <script> failed'])
+]);
+
+test('webhook: posts the summary as JSON with expanded headers', async () => {
+  process.env.NOTIFY_TEST_TOKEN = 'secret';
+  const outcomes = await sendNotifications(
+    notifications([{ type: 'webhook', url: `${origin}/hook`, headers: { Authorization: 'Bearer ${NOTIFY_TEST_TOKEN}' } }]),
+    { run: failingRun, previous: passingRun, comparison: compareRuns(passingRun, failingRun), outputDir: '/tmp/reports' }
+  );
+
+  assert.deepEqual(outcomes, [{ channel: 'webhook #1', sent: true }]);
+  const [request] = received;
+  assert.equal(request.path, '/hook');
+  assert.equal(request.headers['content-type'], 'application/json');
+  assert.equal(request.headers.authorization, 'Bearer secret');
+  assert.equal(request.body.event, 'run.completed');
+  assert.equal(request.body.status, 'failed');
+  assert.equal(request.body.failed, 2);
+  assert.deepEqual(request.body.newlyFailing, ['https://shop.example/products/a', 'https://shop.example/products/b']);
+  assert.deepEqual(request.body.topErrors[0], { issue: 'productPage: Add to cart button not found on page', count: 2 });
+  assert.equal(request.body.reportUrl, 'https://reports.example/qa/report-2.html');
+});
+
+test('slack: Block Kit message with escaped lists and a report button', async () => {
+  await sendNotifications(notifications([{ type: 'slack', url: `${origin}/slack` }]), {
+    run: failingRun, previous: passingRun, comparison: compareRuns(passingRun, failingRun), outputDir: '/tmp/reports'
+  });
+
+  const { body } = received[0];
+  assert.match(body.text, /FAILED: 2 of 2 URLs failed/);
+  assert.equal(body.blocks[0].type, 'header');
+  const texts = body.blocks.filter(block => block.type === 'section' && block.text).map(block => block.text.text);
+  assert.ok(texts.some(text => text.startsWith('*Newly failing*')));
+  assert.ok(texts.some(text => text.includes('errors: &lt;script&gt; failed')));
+  assert.ok(texts.some(text => text.includes('(2 pages)')));
+  const actions = body.blocks.find(block => block.type === 'actions');
+  assert.equal(actions.elements[0].url, 'https://reports.example/qa/report-2.html');
+});
+
+test('teams: Adaptive Card attachment with facts and an open report action', async () => {
+  await sendNotifications(notifications([{ type: 'teams', url: `${origin}/teams` }]), {
+    run: failingRun, previous: passingRun, comparison: compareRuns(passingRun, failingRun), outputDir: '/tmp/reports'
+  });
+
+  const { body } = received[0];
+  assert.equal(body.type, 'message');
+  assert.equal(body.attachments[0].contentType, 'application/vnd.microsoft.card.adaptive');
+  const card = body.attachments[0].content;
+  assert.equal(card.type, 'AdaptiveCard');
+  assert.equal(card.body[0].color, 'Attention');
+  assert.deepEqual(card.body[1].facts.find(fact => fact.title === 'Failed'), { title: 'Failed', value: '2' });
+  assert.deepEqual(card.actions, [{ type: 'Action.OpenUrl', title: 'Open report', url: 'https://reports.example/qa/report-2.html' }]);
+});
+
+test('when: failure only notifies failed runs', async () => {
+  const config = notifications([{ type: 'webhook', name: 'oncall', url: `${origin}/hook`, when: 'failure' }]);
+
+  const skipped = await sendNotifications(config, { run: passingRun, outputDir: '/tmp/reports' });
+  assert.deepEqual(skipped, [{ channel: 'oncall', sent: false, reason: 'no failure' }]);
+  assert.equal(received.length, 0);
+
+  const sent = await sendNotifications(config, { run: failingRun, outputDir: '/tmp/reports' });
+  assert.deepEqual(sent, [{ channel: 'oncall', sent: true }]);
+  assert.equal(received.length, 1);
+});
+
+test('when: change notifies status changes, not repeats or runs without a previous run', async () => {
+  const config = notifications([{ type: 'webhook', url: `${origin}/hook`, when: 'change' }]);
+  const secondFailure = snapshot('report-3', failingRun.results);
+
+  const first = await sendNotifications(config, { run: passingRun, outputDir: '/tmp/reports' });
+  const changed = await sendNotifications(config, {
+    run: failingRun, previous: passingRun, comparison: compareRuns(passingRun, failingRun), outputDir: '/tmp/reports'
+  });
+  const repeated = await sendNotifications(config, {
+    run: secondFailure, previous: failingRun, comparison: compareRuns(failingRun, secondFailure), outputDir: '/tmp/reports'
+  });
+
+  assert.deepEqual(first, [{ channel: 'webhook #1', sent: false, reason: 'no previous run to compare with' }]);
+  assert.equal(changed[0].sent, true);
+  assert.deepEqual(repeated, [{ channel: 'webhook #1', sent: false, reason: 'no status change' }]);
+  assert.equal(received.length, 1);
+});
+
+test('when: change notifies a URL that starts failing while the run verdict stays failed', async () => {
+  const config = notifications([{ type: 'webhook', url: `${origin}/hook`, when: 'change' }]);
+  const oneFailing = snapshot('report-4', [result('https://shop.example/products/a', ['productPage: Price not found']), result('https://shop.example/products/b')]);
+
+  const outcomes = await sendNotifications(config, {
+    run: failingRun, previous: oneFailing, comparison: compareRuns(oneFailing, failingRun), outputDir: '/tmp/reports'
+  });
+
+  assert.equal(outcomes[0].sent, true);
+  assert.deepEqual(received[0].body.newlyFailing, ['https://shop.example/products/b']);
+});
+
+test('force ignores when rules; HTTP errors are returned, not thrown', async () => {
+  status = 500;
+  const outcomes = await sendNotifications(notifications([{ type: 'slack', url: `${origin}/slack`, when: 'failure' }]), {
+    run: passingRun, outputDir: '/tmp/reports', force: true
+  });
+
+  assert.deepEqual(outcomes, [{ channel: 'slack #1', sent: false, error: 'HTTP 500' }]);
+  assert.equal(received.length, 1);
+});
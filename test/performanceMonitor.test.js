@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PerformanceMonitor } from '../src/modules/performanceMonitor.js';
+import { mergeConfig } from '../src/config.js';
+
+function check(performance, metrics) {
+  const monitor = new PerformanceMonitor(null, mergeConfig({ performance }));
+  monitor.results.metrics = metrics;
+  monitor.checkBudgets();
+  return monitor.results;
+}
+
+test('a budget violation fails the page by default', () => {
+  const results = check({}, { lcp: 4000, cls: 0.05 });
+
+  assert.equal(results.passed, false);
+  assert.deepEqual(results.violations, [{ metric: 'lcp', value: 4000, budget: 2500 }]);
+  assert.equal(results.errors[0].element, 'performance_lcp');
+});
+
+test('budgetSeverity warning only reports violations', () => {
+  const results = check({ budgetSeverity: 'warning' }, { lcp: 4000 });
+
+  assert.equal(results.passed, true);
+  assert.equal(results.errors.length, 0);
+  assert.equal(results.warnings[0].element, 'performance_lcp');
+});
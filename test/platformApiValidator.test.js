@@ -0,0 +1,237 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { PlatformApiValidator } from '../src/modules/platformApiValidator.js';
+import { mergeConfig } from '../src/config.js';
+
+// Local stand-in for the storefront APIs; each test sets the handler it needs
+let server;
+let origin;
+let handle = (req, res) => {
+  res.writeHead(404);
+  res.end();
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => handle(req, res, body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function json(res, data, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function validator(platform, { url = `${origin}/products/shirt`, pageData = null } = {}) {
+  const page = {
+    url: () => url,
+    evaluate: async () => pageData
+  };
+  const config = mergeConfig({ platformApi: { enabled: true, apiOrigin: origin, timeout: 2000 } });
+  return new PlatformApiValidator(page, config, platform);
+}
+
+function productPage({ title = 'Shirt', amount = 20, enabled = true, variants } = {}) {
+  return {
+    elements: {
+      title: { found: true, text: title },
+      price: { amount },
+      addToCart: { found: true, enabled },
+      variants: variants
+    }
+  };
+}
+
+const shopifyJs = {
+  title: 'Shirt',
+  images: [],
+  variants: [
+    { id: 1, title: 'S / Red', options: ['S', 'Red'], price: 2000, available: true },
+    { id: 2, title: 'S / Blue', options: ['S', 'Blue'], price: 2000, available: true },
+    { id: 3, title: 'M / Red', options: ['M', 'Red'], price: 2200, available: false }
+  ]
+};
+
+const matrixVariant = (options, extra = {}) => ({
+  name: options.join(' / '),
+  options,
+  amount: null,
+  available: true,
+  variantId: null,
+  broken: false,
+  issues: [],
+  ...extra
+});
+
+test('shopify: reads /products/<handle>.js and passes when the page matches', async () => {
+  const requests = [];
+  handle = (req, res) => {
+    requests.push(req.url);
+    if (req.url === '/products/shirt.js') return json(res, shopifyJs);
+    json(res, {}, 404);
+  };
+
+  const results = await validator('shopify').validate(productPage());
+
+  assert.deepEqual(requests, ['/products/shirt.js']);
+  assert.equal(results.source, `${origin}/products/shirt.js`);
+  assert.equal(results.passed, true);
+  assert.deepEqual(results.errors, []);
+  assert.ok(results.checks.some(check => check.field === 'price' && check.passed));
+});
+
+test('shopify: falls back to .json, which has no stock information', async () => {
+  handle = (req, res) => {
+    if (req.url === '/products/shirt.json') {
+      return json(res, { product: { title: 'Shirt', images: [], variants: [{ id: 7, title: 'Default Title', option1: 'Default Title', price: '20.00' }] } });
+    }
+    json(res, {}, 404);
+  };
+
+  const results = await validator('shopify').validate(productPage({ enabled: false }));
+
+  assert.equal(results.source, `${origin}/products/shirt.json`);
+  assert.equal(results.passed, true);
+  assert.ok(!results.checks.some(check => check.field === 'availability'));
+});
+
+test('shopify: a displayed price that differs from the API fails the page', async () => {
+  handle = (req, res) => json(res, shopifyJs);
+
+  const results = await validator('shopify').validate(productPage({ amount: 25 }));
+
+  assert.equal(results.passed, false);
+  assert.match(results.errors[0].message, /API price 20 .* does not match displayed price 25/);
+});
+
+test('variants: a missing option combination is not an error when the matrix reached every API variant', async () => {
+  handle = (req, res) => json(res, shopifyJs);
+  const page = productPage({ variants: { found: true, count: 2, combinations: 4, totalCombinations: 4 } });
+  page.variants = [
+    matrixVariant(['S', 'Red'], { variantId: '1', amount: 20 }),
+    matrixVariant(['S', 'Blue'], { variantId: '2', amount: 20 }),
+    matrixVariant(['M', 'Red'], { variantId: '3', amount: 22, available: false }),
+    matrixVariant(['M', 'Blue'], { broken: true, issues: ['Option could not be selected'] })
+  ];
+
+  const results = await validator('shopify').validate(page);
+
+  assert.equal(results.passed, true);
+  assert.deepEqual(results.errors, []);
+  assert.ok(!results.warnings.some(warning => warning.element.startsWith('platform_api_variants')));
+});
+
+test('variants: a variant id the API does not list fails, unreached API variants warn', async () => {
+  handle = (req, res) => json(res, shopifyJs);
+  const page = productPage({ variants: { found: true, count: 2, combinations: 2, totalCombinations: 2 } });
+  page.variants = [
+    matrixVariant(['S', 'Red'], { variantId: '1' }),
+    matrixVariant(['S', 'Green'], { variantId: '99' })
+  ];
+
+  const results = await validator('shopify').validate(page);
+
+  assert.equal(results.passed, false);
+  assert.match(results.errors.find(error => error.element === 'platform_api_variants').message, /99/);
+  assert.match(results.warnings.find(warning => warning.element === 'platform_api_variants_reached').message, /2 of 3 API variants/);
+});
+
+test('variants: without variant ids, option values are matched in any group order', async () => {
+  handle = (req, res) => json(res, shopifyJs);
+  const page = productPage({ variants: { found: true, count: 2, combinations: 3, totalCombinations: 3 } });
+  page.variants = [
+    matrixVariant(['Red', 'S']),
+    matrixVariant(['Blue', 'S']),
+    matrixVariant(['Red - Sold out', 'M'], { available: false })
+  ];
+
+  const results = await validator('shopify').validate(page);
+
+  assert.equal(results.passed, true);
+  assert.ok(results.checks.some(check => check.field === 'variants' && check.passed));
+});
+
+test('variants: a count difference without matrix data is only a warning', async () => {
+  handle = (req, res) => json(res, shopifyJs);
+
+  const results = await validator('shopify').validate(productPage({ variants: { found: true, count: 1 } }));
+
+  assert.equal(results.passed, true);
+  assert.match(results.warnings.find(warning => warning.element === 'platform_api_variants').message, /API has 3 variants/);
+});
+
+test('bigcommerce: queries Storefront GraphQL with the page token and product id', async () => {
+  let request;
+  handle = (req, res, body) => {
+    request = { method: req.method, url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) };
+    json(res, {
+      data: {
+        site: {
+          product: {
+            name: 'Sample Product',
+            availabilityV2: { status: 'Available' },
+            prices: { price: { value: 49.5, currencyCode: 'USD' } },
+            images: { edges: [] },
+            variants: { edges: [{ node: { entityId: 11, sku: 'SP-1', inventory: { isInStock: true }, prices: null } }] }
+          }
+        }
+      }
+    });
+  };
+
+  const results = await validator('bigcommerce', {
+    url: `${origin}/sample-product/`,
+    pageData: { productId: '77', token: 'page-token' }
+  }).validate(productPage({ title: 'Sample Product', amount: 49.5 }));
+
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, '/graphql');
+  assert.equal(request.authorization, 'Bearer page-token');
+  assert.deepEqual(request.body.variables, { productId: 77 });
+  assert.equal(results.source, `${origin}/graphql`);
+  assert.equal(results.passed, true);
+  assert.equal(results.product.variants[0].price, 49.5);
+});
+
+test('bigcommerce: a sold-out product with an enabled add to cart button fails', async () => {
+  handle = (req, res) => json(res, {
+    data: {
+      site: {
+        product: {
+          name: 'Sample Product',
+          availabilityV2: { status: 'Unavailable' },
+          prices: { price: { value: 49.5, currencyCode: 'USD' } },
+          images: { edges: [] },
+          variants: { edges: [{ node: { entityId: 11, sku: 'SP-1', inventory: { isInStock: false }, prices: null } }] }
+        }
+      }
+    }
+  });
+
+  const results = await validator('bigcommerce', {
+    url: `${origin}/sample-product/`,
+    pageData: { productId: '77', token: 'page-token' }
+  }).validate(productPage({ title: 'Sample Product', amount: 49.5 }));
+
+  assert.equal(results.passed, false);
+  assert.match(results.errors[0].message, /sold out but add to cart button is enabled/);
+});
+
+test('bigcommerce: GraphQL errors become a warning, not a failure', async () => {
+  handle = (req, res) => json(res, { errors: [{ message: 'Invalid token' }] });
+
+  const results = await validator('bigcommerce', {
+    url: `${origin}/sample-product/`,
+    pageData: { productId: '77', token: 'bad' }
+  }).validate(productPage());
+
+  assert.equal(results.passed, true);
+  assert.match(results.warnings[0].message, /Invalid token/);
+});
@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { loadPlugins } from '../src/plugins.js';
+import { CustomCheckRunner } from '../src/modules/customCheckRunner.js';
+import { mergeConfig } from '../src/config.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugins-'));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+async function plugin(name, source) {
+  await fs.writeFile(path.join(dir, name), source);
+  return name;
+}
+
+// Only what the fixture checks use
+const page = { title: async () => 'Red Shirt' };
+const config = mergeConfig({ timeouts: { pageLoad: 50 } });
+
+test('a register function and a checks array both load, with defaults filled in', async () => {
+  const registered = await plugin('register.mjs', `
+    export default function register({ registerCheck }) {
+      registerCheck({ name: 'title', title: 'Page title', run: async ({ page }) => (await page.title()) === 'Red Shirt' });
+    }
+  `);
+  const listed = await plugin('list.mjs', `
+    export const checks = [{ name: 'badge', severity: 'warning', platforms: ['bigcommerce'], run: () => true }];
+  `);
+
+  const checks = await loadPlugins([registered, listed], dir);
+
+  assert.deepEqual(checks.map(({ name, title, severity, platforms, setup, plugin }) => ({ name, title, severity, platforms, setup, plugin })), [
+    { name: 'title', title: 'Page title', severity: 'error', platforms: null, setup: null, plugin: 'register.mjs' },
+    { name: 'badge', title: 'badge', severity: 'warning', platforms: ['bigcommerce'], setup: null, plugin: 'list.mjs' }
+  ]);
+});
+
+test('invalid plugins and check definitions are load errors', async () => {
+  const load = async (name, source) => loadPlugins([await plugin(name, source)], dir);
+
+  await assert.rejects(load('noname.mjs', 'export const checks = [{ run: () => true }];'), /Plugin noname\.mjs registered a check without a name/);
+  await assert.rejects(load('norun.mjs', "export const checks = [{ name: 'a' }];"), /check "a" has no run function/);
+  await assert.rejects(load('setup.mjs', "export const checks = [{ name: 'a', setup: 'yes', run: () => true }];"), /check "a" setup must be a function/);
+  await assert.rejects(load('duplicate.mjs', "export const checks = [{ name: 'a', run: () => true }, { name: 'a', run: () => true }];"),
+    /a check named "a" is already registered/);
+  await assert.rejects(load('severity.mjs', "export const checks = [{ name: 'a', severity: 'critical', run: () => true }];"),
+    /check "a" has invalid severity "critical" \(use error or warning\)/);
+  await assert.rejects(load('empty.mjs', 'export const name = 1;'), /must export a register function or a checks array/);
+  await assert.rejects(loadPlugins(['missing.mjs'], dir), /Could not load plugin missing\.mjs/);
+});
+
+test('checks run against the page, filtered by platform, with outcomes normalized', async () => {
+  const file = await plugin('outcomes.mjs', `
+    export const checks = [
+      { name: 'title', run: async ({ page }) => (await page.title()) === 'Red Shirt' },
+      { name: 'false', run: () => false },
+      { name: 'listed', severity: 'warning', run: () => ({ errors: ['no badge', 42], details: { seen: 0 } }) },
+      { name: 'message', run: () => ({ passed: false, message: 'stock text missing' }) },
+      { name: 'result', run: ({ result, url, platform }) => ({ passed: result.seen && url.endsWith('/shirt') && platform === 'shopify' }) },
+      { name: 'bigcommerce only', platforms: ['bigcommerce'], run: () => false }
+    ];
+  `);
+  const runner = new CustomCheckRunner(page, config, 'shopify', await loadPlugins([file], dir));
+
+  const results = await runner.run('https://shop.example/products/shirt', { seen: true });
+
+  assert.deepEqual(results.checks.map(check => [check.name, check.passed, check.message]), [
+    ['title', true, null],
+    ['false', false, 'Check failed'],
+    ['listed', false, null],
+    ['message', false, 'stock text missing'],
+    ['result', true, null]
+  ]);
+  assert.deepEqual(results.checks[2].details, { seen: 0 });
+  assert.deepEqual(results.errors.map(error => error.message), ['false: Check failed', 'message: stock text missing']);
+  assert.deepEqual(results.warnings.map(warning => [warning.element, warning.message]), [
+    ['custom_listed', 'listed: no badge'],
+    ['custom_listed', 'listed: 42']
+  ]);
+  assert.equal(results.passed, false);
+});
+
+test('setup and run hooks that hang or throw fail their check', async () => {
+  const file = await plugin('timeouts.mjs', `
+    export const checks = [
+      { name: 'slow setup', setup: () => new Promise(() => {}), run: () => true },
+      { name: 'broken setup', setup: () => { throw new Error('no listener'); }, run: () => true },
+      { name: 'slow run', severity: 'warning', run: () => new Promise(() => {}) },
+      { name: 'throws', run: () => { throw new Error('selector missing'); } },
+      { name: 'fine', setup: () => {}, run: () => true }
+    ];
+  `);
+  const runner = new CustomCheckRunner(page, config, 'shopify', await loadPlugins([file], dir));
+
+  await runner.setup('https://shop.example/products/shirt');
+  const results = await runner.run('https://shop.example/products/shirt', {});
+
+  assert.deepEqual(results.checks.map(check => [check.name, check.passed, check.message]), [
+    ['slow setup', false, 'Check threw: setup of "slow setup" timed out after 50ms'],
+    ['broken setup', false, 'Check threw: no listener'],
+    ['slow run', false, 'Check threw: "slow run" timed out after 50ms'],
+    ['throws', false, 'Check threw: selector missing'],
+    ['fine', true, null]
+  ]);
+  assert.equal(results.errors.length, 3);
+  assert.equal(results.warnings.length, 1);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePrice, parseAmount, detectCurrency } from '../src/priceParser.js';
+
+const amount = (text, options) => {
+  const parsed = parsePrice(text, options);
+  return parsed ? parsed.amount : null;
+};
+
+test('US, EU and Swiss separators', () => {
+  assert.equal(amount('$1,234.56'), 1234.56);
+  assert.equal(amount('1.234,56 €'), 1234.56);
+  assert.equal(amount('1 234,56 €'), 1234.56);
+  assert.equal(amount("CHF 1'234.50"), 1234.5);
+  assert.equal(amount('CHF 1’234.–'), 1234);
+  assert.equal(amount('€12,50'), 12.5);
+  assert.equal(amount('£1,000'), 1000);
+  assert.equal(amount('1.000 kr'), 1000);
+});
+
+test('parseAmount works out the decimal separator', () => {
+  assert.equal(parseAmount('1,234.56'), 1234.56);
+  assert.equal(parseAmount('1.234,56'), 1234.56);
+  assert.equal(parseAmount('12,5'), 12.5);
+  assert.equal(parseAmount('1,000'), 1000);
+  assert.equal(parseAmount('-5.00'), -5);
+});
+
+test('currencies from symbols and codes', () => {
+  assert.equal(parsePrice('CA$20').currency, 'CAD');
+  assert.equal(parsePrice('20,00 EUR').currency, 'EUR');
+  assert.equal(parsePrice('$20', { defaultCurrency: 'AUD' }).currency, 'AUD');
+  assert.equal(parsePrice('$20', { defaultCurrency: 'EUR' }).currency, 'USD');
+  assert.equal(parsePrice('49', { defaultCurrency: 'GBP' }).currency, 'GBP');
+  assert.equal(detectCurrency('Top 20 sellers'), null);
+});
+
+test('ranges', () => {
+  const range = parsePrice('$10.00 – $20.00');
+  assert.equal(range.isRange, true);
+  assert.equal(range.min, 10);
+  assert.equal(range.max, 20);
+
+  const from = parsePrice('From 19,90 € to 29,90 €');
+  assert.equal(from.isRange, true);
+  assert.deepEqual([from.min, from.max], [19.9, 29.9]);
+
+  assert.equal(parsePrice('$10 $20').isRange, false);
+});
+
+test('sale and compare-at prices keep the first price', () => {
+  const sale = parsePrice('Sale price $15.00 Regular price $20.00');
+  assert.equal(sale.amount, 15);
+  assert.equal(sale.isRange, false);
+  assert.equal(amount('$20.00'), 20);
+  assert.equal(amount('-$5.00'), -5);
+});
+
+test('stray numbers are skipped in favour of the number next to the currency', () => {
+  assert.equal(amount('Only 3 left $20'), 20);
+  assert.equal(amount('Save 25% now €30,00'), 30);
+  assert.equal(amount('Pack of 2 - 49,90 EUR'), 49.9);
+  assert.equal(amount('4 interest-free payments of $12.50'), 12.5);
+});
+
+test('numbers without a currency need to be on their own or with a price label', () => {
+  assert.equal(amount('49'), 49);
+  assert.equal(amount('Price: 49'), 49);
+  assert.equal(amount('Sale price 19.99'), 19.99);
+  assert.equal(parsePrice('Sold out 0 items'), null);
+  assert.equal(parsePrice('Only 3 left'), null);
+  assert.equal(parsePrice('Sold out'), null);
+  assert.equal(parsePrice(''), null);
+});
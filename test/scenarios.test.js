@@ -0,0 +1,40 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { loadScenarios } from '../src/scenarios.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scenarios-'));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+async function write(name, content) {
+  await fs.writeFile(path.join(dir, name), content);
+  return name;
+}
+
+test('url patterns are compiled when the file is loaded', async () => {
+  const file = await write('ok.yaml', 'name: Sizes\nurls: [/products/, shirt$]\nsteps:\n  - click: addToCart\n');
+
+  const [scenario] = await loadScenarios([file], dir);
+
+  assert.ok(scenario.urls.every(pattern => pattern instanceof RegExp));
+  assert.ok(scenario.urls[1].test('https://shop.example/products/red-shirt'));
+});
+
+test('an invalid url pattern is a load error', async () => {
+  const file = await write('urls.json', JSON.stringify({ name: 'Bad', urls: '/products/(', steps: [{ click: 'addToCart' }] }));
+
+  await assert.rejects(loadScenarios([file], dir), /urls\.json#1 urls: invalid pattern "\/products\/\("/);
+});
+
+test('an invalid matches pattern is a load error', async () => {
+  const file = await write('matches.yaml', 'steps:\n  - assertUrl: { matches: "[cart" }\n');
+
+  await assert.rejects(loadScenarios([file], dir), /matches\.yaml#1 step 1: assertUrl "matches": invalid pattern "\[cart"/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextRun } from '../src/scheduler.js';
+
+// Local time, like the scheduler
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+const next = (expression, after) => nextRun(parseCron(expression), after);
+const values = set => [...set].sort((a, b) => a - b);
+
+test('steps, ranges, lists and names', () => {
+  const schedule = parseCron('*/15 8-18/2 1,15 jan-mar mon-fri');
+
+  assert.deepEqual(values(schedule.minute), [0, 15, 30, 45]);
+  assert.deepEqual(values(schedule.hour), [8, 10, 12, 14, 16, 18]);
+  assert.deepEqual(values(schedule.dayOfMonth), [1, 15]);
+  assert.deepEqual(values(schedule.month), [1, 2, 3]);
+  assert.deepEqual(values(schedule.dayOfWeek), [1, 2, 3, 4, 5]);
+  assert.deepEqual(values(parseCron('5/20 * * * *').minute), [5, 25, 45]);
+});
+
+test('Sunday is 0 or 7, and aliases expand', () => {
+  assert.deepEqual(values(parseCron('0 0 * * 7').dayOfWeek), [0]);
+  assert.equal(parseCron('@daily').anyDayOfMonth, true);
+  assert.deepEqual(next('@hourly', at(2026, 10, 19, 10, 30)), at(2026, 10, 19, 11, 0));
+});
+
+test('the next run is strictly after the reference time', () => {
+  assert.deepEqual(next('0 */6 * * *', at(2026, 10, 19, 6, 0)), at(2026, 10, 19, 12, 0));
+  assert.deepEqual(next('30 9 * * *', at(2026, 10, 19, 9, 29)), at(2026, 10, 19, 9, 30));
+});
+
+test('month and year rollover', () => {
+  assert.deepEqual(next('0 0 1 * *', at(2026, 10, 19)), at(2026, 11, 1));
+  assert.deepEqual(next('0 12 31 * *', at(2026, 11, 5)), at(2026, 12, 31, 12, 0));
+  assert.deepEqual(next('0 0 1 jan *', at(2026, 10, 19)), at(2027, 1, 1));
+  assert.deepEqual(next('0 0 29 2 *', at(2026, 3, 1)), at(2028, 2, 29));
+});
+
+test('two restricted day fields match when either one does', () => {
+  // 2026-10-19 is a Monday; the 20th matches day-of-month, the 26th day-of-week
+  assert.deepEqual(next('0 9 20 * 1', at(2026, 10, 19, 10, 0)), at(2026, 10, 20, 9, 0));
+  assert.deepEqual(next('0 9 20 * 1', at(2026, 10, 20, 10, 0)), at(2026, 10, 26, 9, 0));
+});
+
+test('a day field starting with * is unrestricted, so both must match', () => {
+  // Mondays on odd days: after 2026-10-19 the OR rule would pick Wednesday the 21st
+  assert.equal(parseCron('0 9 */2 * 1').anyDayOfMonth, true);
+  assert.deepEqual(next('0 9 */2 * 1', at(2026, 10, 19, 10, 0)), at(2026, 11, 9, 9, 0));
+  assert.deepEqual(next('0 9 1 * */2', at(2026, 10, 19)), at(2026, 11, 1, 9, 0));
+});
+
+test('invalid expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /needs five fields/);
+  assert.throws(() => parseCron('60 * * * *'), /"60" is not a valid minute \(0-59\)/);
+  assert.throws(() => parseCron('* * * foo *'), /"foo" is not a valid month/);
+  assert.throws(() => parseCron('*/0 * * * *'), /invalid step/);
+  assert.throws(() => parseCron('10-5 * * * *'), /invalid range/);
+  assert.throws(() => parseCron(''), /needs five fields/);
+  assert.throws(() => next('0 0 31 2 *', at(2026, 1, 1)), /never matches/);
+});
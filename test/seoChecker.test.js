@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { SeoChecker } from '../src/modules/seoChecker.js';
+import { defaultConfig, mergeConfig } from '../src/config.js';
+
+// Hreflang alternates: /slow answers after 300 ms, /missing is a 404, everything else is a 200
+let server;
+let origin;
+let requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    const status = req.url === '/missing' ? 404 : 200;
+    setTimeout(() => {
+      res.writeHead(status);
+      res.end();
+    }, req.url.startsWith('/slow') ? 300 : 0);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Only the given checks run
+function checker(checks) {
+  const off = Object.fromEntries(Object.keys(defaultConfig.seo.checks).map(name => [name, 'off']));
+  return new SeoChecker(mergeConfig({ seo: { checks: { ...off, ...checks } } }));
+}
+
+async function canonicalIssues(canonical, pageUrl) {
+  const results = await checker({ canonical: 'error' }).check({ canonical: [canonical] }, pageUrl);
+  return results.errors.map(error => error.message);
+}
+
+test('canonical: the page itself, ignoring trailing slash, case and escapes', async () => {
+  assert.deepEqual(await canonicalIssues('https://shop.example/products/red-shirt', 'https://shop.example/products/red-shirt/?variant=1'), []);
+  assert.deepEqual(await canonicalIssues('https://shop.example/products/caf%C3%A9', 'https://shop.example/products/Café'), []);
+});
+
+test('canonical: a collection-scoped product page may point at the product path', async () => {
+  assert.deepEqual(await canonicalIssues('https://shop.example/products/red-shirt', 'https://shop.example/collections/shirts/products/red-shirt'), []);
+  assert.deepEqual(await canonicalIssues('https://shop.example/en/products/red-shirt', 'https://shop.example/en/collections/shirts/products/red-shirt'), []);
+});
+
+test('canonical: a path that only shares a suffix with the page is a mismatch', async () => {
+  const [issue] = await canonicalIssues('https://shop.example/shirt', 'https://shop.example/products/red-shirt');
+  assert.match(issue, /does not match the page URL/);
+
+  const [other] = await canonicalIssues('https://shop.example/products/shirt', 'https://shop.example/collections/red/products/red-shirt');
+  assert.match(other, /does not match the page URL/);
+});
+
+test('hreflang: alternates are requested in parallel, once per URL', async () => {
+  requests = [];
+  const hreflang = [
+    { lang: 'en', href: `${origin}/slow/en` },
+    { lang: 'de', href: `${origin}/slow/de` },
+    { lang: 'fr', href: `${origin}/slow/fr` },
+    { lang: 'x-default', href: `${origin}/slow/en` },
+    { lang: 'nl', href: `${origin}/missing` }
+  ];
+
+  const started = Date.now();
+  const results = await checker({ hreflang: 'warning' }).check({ hreflang }, `${origin}/slow/en`);
+
+  assert.ok(Date.now() - started < 900, 'slow alternates should not be fetched one after another');
+  assert.deepEqual(requests.sort(), ['HEAD /missing', 'HEAD /slow/de', 'HEAD /slow/en', 'HEAD /slow/fr']);
+  assert.deepEqual(results.warnings.map(warning => warning.message), [`hreflang "nl" alternate ${origin}/missing returned HTTP 404`]);
+});
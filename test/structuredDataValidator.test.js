@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StructuredDataValidator } from '../src/modules/structuredDataValidator.js';
+import { mergeConfig } from '../src/config.js';
+
+// The in-page extractor is replaced by its result
+function validator(extracted, url = 'https://shop.example/products/shirt') {
+  const page = {
+    url: () => url,
+    evaluate: async () => ({ jsonLd: [], microdata: [], parseErrors: [], ...extracted })
+  };
+  return new StructuredDataValidator(page, mergeConfig({}));
+}
+
+function productPage({ enabled = true } = {}) {
+  return {
+    elements: {
+      title: { found: true, text: 'Shirt' },
+      price: { found: true, amount: 20 },
+      addToCart: { found: true, enabled }
+    }
+  };
+}
+
+const offer = (variant, availability, price = '20.00') => ({
+  '@type': 'Offer',
+  url: `https://shop.example/products/shirt?variant=${variant}`,
+  price,
+  priceCurrency: 'USD',
+  availability: `https://schema.org/${availability}`
+});
+
+const shirt = offers => ({ '@type': 'Product', name: 'Shirt', image: 'shirt.jpg', sku: 'SH-1', offers });
+
+test('availability: a sold-out first offer does not fail an in-stock product', async () => {
+  const results = await validator({ jsonLd: [shirt([offer(1, 'OutOfStock'), offer(2, 'InStock')])] }).validate(productPage());
+
+  assert.equal(results.passed, true);
+  assert.equal(results.product.availability, 'https://schema.org/InStock');
+});
+
+test('price and availability come from the same offer when the first variant is sold out', async () => {
+  const jsonLd = [shirt([offer(1, 'OutOfStock', '25.00'), offer(2, 'InStock', '20.00')])];
+
+  const results = await validator({ jsonLd }).validate(productPage());
+
+  assert.equal(results.passed, true);
+  assert.equal(results.product.price, '20.00');
+  assert.equal(results.product.availability, 'https://schema.org/InStock');
+});
+
+test('price comes from the ?variant= offer, not the first one', async () => {
+  const jsonLd = [shirt([offer(1, 'InStock', '25.00'), offer(2, 'InStock', '20.00')])];
+
+  const results = await validator({ jsonLd }, 'https://shop.example/products/shirt?variant=2').validate(productPage());
+
+  assert.equal(results.passed, true);
+  assert.equal(results.product.price, '20.00');
+});
+
+test('availability: the offer for the ?variant= in the page URL is used', async () => {
+  const jsonLd = [shirt([offer(1, 'InStock'), offer(2, 'OutOfStock')])];
+
+  const soldOut = await validator({ jsonLd }, 'https://shop.example/products/shirt?variant=2').validate(productPage());
+  assert.equal(soldOut.passed, false);
+  assert.match(soldOut.errors[0].message, /OutOfStock" but add to cart button is enabled/);
+
+  const disabled = await validator({ jsonLd }, 'https://shop.example/products/shirt?variant=2').validate(productPage({ enabled: false }));
+  assert.equal(disabled.passed, true);
+});
+
+test('availability: every offer sold out with an enabled button fails', async () => {
+  const results = await validator({ jsonLd: [shirt([offer(1, 'OutOfStock'), offer(2, 'SoldOut')])] }).validate(productPage());
+
+  assert.equal(results.passed, false);
+  assert.equal(results.errors[0].element, 'structured_data_mismatch');
+});
+
+test('invalid JSON-LD blocks are warnings', async () => {
+  const results = await validator({
+    jsonLd: [shirt(offer(1, 'InStock'))],
+    parseErrors: ['Unexpected token } in JSON at position 12']
+  }).validate(productPage());
+
+  assert.equal(results.passed, true);
+  assert.match(results.warnings.find(warning => warning.element === 'structured_data_json_ld').message, /Invalid JSON-LD/);
+});
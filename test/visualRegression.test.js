@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { baselineName } from '../src/modules/visualRegression.js';
+
+test('baseline names are readable and stable', () => {
+  assert.equal(baselineName('https://example.com/products/shirt', 'iPhone 13'), baselineName('https://example.com/products/shirt', 'iPhone 13'));
+  assert.match(baselineName('https://example.com/products/shirt', 'iPhone 13'), /^example-com-products-shirt-[0-9a-f]{8}-iphone-13$/);
+});
+
+test('long URLs that share a prefix get different baselines', () => {
+  const base = `https://example.com/collections/${'summer-sale-'.repeat(8)}/products/linen-shirt`;
+
+  assert.notEqual(baselineName(`${base}?variant=1`, '1920x1080'), baselineName(`${base}?variant=2`, '1920x1080'));
+  assert.notEqual(baselineName(`${base}-blue`, '1920x1080'), baselineName(`${base}-green`, '1920x1080'));
+});